@@ -0,0 +1,16 @@
+#!/usr/bin/env node
+import { readFile } from 'node:fs/promises';
+import { run, EXIT_CODES } from '../lib/cli.js';
+
+const { version } = JSON.parse(await readFile(new URL('../package.json', import.meta.url), 'utf8'));
+
+// Ctrl+C aborts the in-flight request so it settles as ABORTED instead of killing the process mid-send
+const controller = new AbortController();
+process.once('SIGINT', () => controller.abort());
+
+try {
+  process.exitCode = await run(process.argv.slice(2), { version, signal: controller.signal });
+} catch (error) {
+  process.stderr.write(`Error: ${error.message}\n`);
+  process.exitCode = EXIT_CODES.UNKNOWN_ERROR;
+}
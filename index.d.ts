@@ -1,30 +1,552 @@
+import { EventEmitter } from 'events';
+
+export interface Attachment {
+  filename?: string;
+  content?: Buffer | Uint8Array | NodeJS.ReadableStream | string;
+  path?: string;
+  encoding?: 'base64' | 'utf8' | 'utf-8';
+  contentType?: string;
+  contentId?: string;
+}
+
+export interface HtmlToTextOptions {
+  wordwrap?: number;
+}
+
+/** `"jane@acme.com"`, `"Jane Doe <jane@acme.com>"` or `{ name, email }`. */
+export type EmailAddress = string | { name?: string; email: string };
+
+export type EmailMetadata = Record<string, string | number | boolean>;
+
+export interface ParsedAddress {
+  name?: string;
+  email: string;
+  local: string;
+  domain: string;
+}
+
+export type Weekday = 'sun' | 'mon' | 'tue' | 'wed' | 'thu' | 'fri' | 'sat';
+
+export interface SendWindow {
+  /** Allowed days; numbers are 0 (Sunday) to 6 (Saturday). Defaults to every day. */
+  days?: 'weekdays' | 'weekends' | 'everyday' | Array<Weekday | number>;
+  /** `'HH:MM'`, defaults to `'00:00'`. */
+  start?: string;
+  /** `'HH:MM'`, defaults to `'24:00'`. */
+  end?: string;
+  /** IANA timezone for the window; defaults to the schedule's timezone. */
+  timezone?: string;
+}
+
+export interface ScheduleSpec {
+  /** A Date, an ISO string, a wall-clock `'2027-03-10 09:00'` or a time of day `'09:00'` in `timezone`. */
+  at?: Date | string;
+  /** Relative to `at` (or now): `'30m'`, `'2h'`, `'1h30m'`, `'3d'`, `'1w'`, `'2bd'` (business days) or milliseconds. */
+  in?: string | number;
+  /** IANA timezone such as `'America/New_York'`; defaults to the system timezone. */
+  timezone?: string;
+  /** Moves the time forward into the next allowed slot. */
+  window?: SendWindow;
+}
+
+/** A Date, a date string, a relative duration such as `'2h'`, or a full `ScheduleSpec`. */
+export type ScheduleInput = Date | string | ScheduleSpec;
+
 export interface EmailOptions {
-  to: string | string[];
-  cc?: string | string[];
-  bcc?: string | string[];
-  from: string;
+  /** A single address, an array, or a comma-separated string. */
+  to: EmailAddress | EmailAddress[];
+  cc?: EmailAddress | EmailAddress[];
+  bcc?: EmailAddress | EmailAddress[];
+  from: EmailAddress;
+  replyTo?: EmailAddress | EmailAddress[];
   subject: string;
   text?: string;
   html?: string;
-  scheduledAt?: Date | string;
+  scheduledAt?: ScheduleInput;
+  attachments?: Attachment[];
+  /** Custom email headers. Reserved headers such as `From`, `Subject` or `Message-ID` are rejected. */
+  headers?: Record<string, string | number>;
+  /** Letters, numbers, underscores and dashes; at most 20. */
+  tags?: string[];
+  metadata?: EmailMetadata;
+  idempotencyKey?: string;
+  autoText?: boolean | HtmlToTextOptions;
+}
+
+export interface TemplateEmailOptions extends Omit<EmailOptions, 'subject'> {
+  subject?: string;
+  template: string;
+  variables?: Record<string, any>;
+}
+
+export interface TemplateDefinition {
+  subject?: string;
+  html?: string;
+  text?: string;
+  layout?: string;
+}
+
+export interface LayoutDefinition {
+  html?: string;
+  text?: string;
+}
+
+export interface RenderedTemplate {
+  subject?: string;
+  html?: string;
+  text?: string;
+}
+
+export type MailblockErrorType = 'VALIDATION_ERROR' | 'CLIENT_ERROR' | 'SERVER_ERROR' | 'NETWORK_ERROR' | 'RATE_LIMIT_ERROR' | 'TIMEOUT_ERROR' | 'ABORTED' | 'UNKNOWN_ERROR';
+
+export interface MailblockErrorDetails {
+  errorType?: MailblockErrorType;
+  statusCode?: number | null;
+  requestId?: string | null;
+  suggestion?: string;
+  endpoint?: string;
+  attempts?: number;
+  response?: object;
+}
+
+export class MailblockError extends Error {
+  constructor(message: string, details?: MailblockErrorDetails);
+  static fromResponse(response: { error?: string; errorType?: MailblockErrorType; statusCode?: number | null; requestId?: string; suggestion?: string; endpoint?: string; attempts?: number }): MailblockError;
+  errorType: MailblockErrorType;
+  statusCode: number | null;
+  requestId: string | null;
+  suggestion?: string;
+  endpoint?: string;
+  attempts?: number;
+  /** The full response envelope that produced this error. */
+  readonly response?: object;
+}
+
+export class MailblockValidationError extends MailblockError {
+  errorType: 'VALIDATION_ERROR';
+}
+
+export class MailblockClientError extends MailblockError {
+  errorType: 'CLIENT_ERROR';
+}
+
+export class MailblockRateLimitError extends MailblockError {
+  errorType: 'RATE_LIMIT_ERROR';
+}
+
+export class MailblockServerError extends MailblockError {
+  errorType: 'SERVER_ERROR';
+}
+
+export class MailblockNetworkError extends MailblockError {
+  errorType: 'NETWORK_ERROR';
+}
+
+export class MailblockTimeoutError extends MailblockError {
+  errorType: 'TIMEOUT_ERROR';
+}
+
+export class MailblockAbortError extends MailblockError {
+  errorType: 'ABORTED';
+}
+
+export class TemplateError extends MailblockValidationError {
+  name: 'TemplateError';
+}
+
+export class TemplateEngine {
+  registerTemplate(name: string, template: TemplateDefinition): void;
+  registerPartial(name: string, source: string): void;
+  registerLayout(name: string, layout: LayoutDefinition): void;
+  hasTemplate(name: string): boolean;
+  render(name: string, variables?: Record<string, any>): RenderedTemplate;
+}
+
+export interface TransportRequest {
+  method: 'GET' | 'POST' | 'PUT' | 'PATCH' | 'DELETE';
+  url: string;
+  headers: Record<string, string>;
+  body?: string;
+  signal?: AbortSignal;
+}
+
+export interface TransportResponse {
+  status: number;
+  headers?: Record<string, string> | Headers;
+  data?: any;
+}
+
+export type Transport = (request: TransportRequest) => Promise<TransportResponse>;
+
+export interface RetryOptions {
+  maxAttempts?: number;
+  baseDelay?: number;
+  maxDelay?: number;
+  jitter?: number;
+  retryOn?: Array<'VALIDATION_ERROR' | 'CLIENT_ERROR' | 'SERVER_ERROR' | 'NETWORK_ERROR' | 'RATE_LIMIT_ERROR' | 'TIMEOUT_ERROR' | 'ABORTED' | 'UNKNOWN_ERROR'>;
+}
+
+export interface RateLimitOptions {
+  requestsPerSecond?: number;
+  burst?: number;
+  maxQueue?: number;
+}
+
+export interface RateLimitStats {
+  queueDepth: number;
+  availableTokens: number;
+  requestsPerSecond: number;
+  burst: number;
+  pausedUntil: Date | null;
+  oldestWaitTime: number;
+  totalRequests: number;
+  delayedRequests: number;
+  averageWaitTime: number;
+  maxWaitTime: number;
+  lastWaitTime: number;
+}
+
+export class RateLimiter {
+  constructor(options?: RateLimitOptions);
+  acquire(signal?: AbortSignal): Promise<number>;
+  update(statusCode: number, headers?: Record<string, string>): void;
+  stats(): RateLimitStats;
+}
+
+export interface ConnectionOptions {
+  /** Default: true */
+  keepAlive?: boolean;
+  /** Maximum concurrent sockets per origin. Default: 50 */
+  maxSockets?: number;
+  /** Idle sockets kept open for reuse. Default: 10 */
+  maxFreeSockets?: number;
+  /** Milliseconds an idle socket stays open. Default: 30000 */
+  idleTimeout?: number;
+  /** An undici Dispatcher (e.g. `new Agent({ pipelining: 10 })`) used with the global fetch instead of a node:http Agent. */
+  dispatcher?: { dispatch(...args: any[]): unknown; close(): Promise<void> };
+}
+
+export interface ConnectionStats {
+  dispatcher: boolean;
+  closed: boolean;
+  activeSockets?: number;
+  idleSockets?: number;
+  queuedRequests?: number;
+  maxSockets?: number;
+}
+
+export class ConnectionPool {
+  constructor(options?: ConnectionOptions);
+  transport(): Transport;
+  stats(): ConnectionStats;
+  close(): Promise<void>;
+}
+
+export interface SuppressionEntry {
+  email: string;
+  reason: string;
+  note?: string;
+  createdAt: string;
+}
+
+export interface SuppressionDetails {
+  reason?: 'unsubscribed' | 'hard_bounce' | 'complaint' | 'manual' | (string & {});
+  note?: string;
+  createdAt?: Date | string;
+}
+
+/** Implement at least `get` to back suppressions with your own database. */
+export interface SuppressionStore {
+  get(email: string): SuppressionEntry | null | undefined | Promise<SuppressionEntry | null | undefined>;
+  add?(email: string, details?: SuppressionDetails): SuppressionEntry | Promise<SuppressionEntry>;
+  remove?(email: string): boolean | Promise<boolean>;
+  list?(): SuppressionEntry[] | Promise<SuppressionEntry[]>;
+}
+
+export class MemorySuppressionStore implements SuppressionStore {
+  constructor(entries?: Array<string | ({ email: string } & SuppressionDetails)>);
+  get(email: string): SuppressionEntry | null;
+  add(email: string, details?: SuppressionDetails): SuppressionEntry;
+  remove(email: string): boolean;
+  list(): SuppressionEntry[];
+}
+
+export class FileSuppressionStore implements SuppressionStore {
+  constructor(path: string);
+  get(email: string): Promise<SuppressionEntry | null>;
+  add(email: string, details?: SuppressionDetails): Promise<SuppressionEntry>;
+  remove(email: string): Promise<boolean>;
+  list(): Promise<SuppressionEntry[]>;
+}
+
+export interface DroppedRecipient {
+  email: string;
+  field: 'to' | 'cc' | 'bcc';
+  reason: 'duplicate' | 'suppressed';
+  /** The field that already contained the address, for duplicates. */
+  duplicateOf?: 'to' | 'cc' | 'bcc';
+  /** The stored suppression reason, for suppressed addresses. */
+  suppressionReason?: string;
+}
+
+export interface OutboxEntry {
+  id: string;
+  /** `failed` entries were rejected by the API and are kept for inspection until dropped. */
+  status: 'pending' | 'failed';
+  /** The request body that will be sent to the API. */
+  payload: Record<string, any>;
+  idempotencyKey: string;
+  createdAt: string;
+  attempts: number;
+  lastError: string | null;
+  lastErrorType: EmailResponse['errorType'] | null;
+  lastAttemptAt: string | null;
+}
+
+/** Implement these to keep the outbox in your own database. `list` must return the oldest entry first. */
+export interface OutboxStore {
+  list(): OutboxEntry[] | Promise<OutboxEntry[]>;
+  add(entry: OutboxEntry): void | Promise<void>;
+  update(entry: OutboxEntry): void | Promise<void>;
+  remove(id: string): boolean | Promise<boolean>;
+}
+
+export class MemoryOutboxStore implements OutboxStore {
+  constructor(entries?: OutboxEntry[]);
+  list(): OutboxEntry[];
+  add(entry: OutboxEntry): void;
+  update(entry: OutboxEntry): void;
+  remove(id: string): boolean;
+}
+
+export class FileOutboxStore implements OutboxStore {
+  constructor(path: string);
+  list(): Promise<OutboxEntry[]>;
+  add(entry: OutboxEntry): Promise<void>;
+  update(entry: OutboxEntry): Promise<void>;
+  remove(id: string): Promise<boolean>;
+}
+
+export interface OutboxOptions {
+  /** Path of a JSON file to persist the queue in. */
+  path?: string;
+  store?: OutboxStore;
+  /** Error types that queue the email instead of failing. Defaults to `['NETWORK_ERROR', 'TIMEOUT_ERROR']`. */
+  queueOn?: NonNullable<EmailResponse['errorType']>[];
+  /** How often queued emails are retried in the background, in ms. Defaults to 30000; 0 disables it. */
+  flushInterval?: number;
+}
+
+export interface OutboxFlushResult {
+  sent: Array<{ id: string; emailId: string | null }>;
+  failed: Array<{ id: string; error?: string; errorType?: EmailResponse['errorType'] }>;
+  /** Pending entries left after the flush stopped on a transient error. */
+  remaining: number;
+}
+
+export interface Outbox {
+  flush(): Promise<OutboxFlushResult>;
+  pending(): Promise<OutboxEntry[]>;
+  drop(id: string): Promise<boolean>;
+  start(): void;
+  stop(): void;
+}
+
+export type MiddlewareOperation = 'sendEmail' | 'cancelEmail' | 'cancelEmails' | 'updateScheduledEmail' | 'getEmail' | 'listEmails';
+
+export interface MiddlewareContext {
+  operation: MiddlewareOperation;
+  method: string;
+  path: string;
+  /** A copy of the JSON request body; edit it in place to change what is sent. */
+  body?: Record<string, any>;
+  /** Extra request headers, merged over the defaults. */
+  headers: Record<string, string>;
+  requestId: string;
+  /** Scratch space shared by the hooks of one request. */
+  state: Record<string, any>;
+}
+
+export interface MiddlewareResponse {
+  ok: boolean;
+  status: number;
+  headers: Record<string, string>;
+  data: any;
+  attempts: number;
+}
+
+/** What a hook returns to short-circuit, replace or recover a response. */
+export interface MiddlewareResult {
+  status?: number;
+  headers?: Record<string, string>;
+  data?: any;
+}
+
+type HookResult = MiddlewareResult | void | Promise<MiddlewareResult | void>;
+
+export interface Middleware {
+  name?: string;
+  /** Runs in registration order. Return a response to skip the API call. */
+  beforeRequest?(context: MiddlewareContext): HookResult;
+  /** Runs in reverse order. Return a response to replace the current one. */
+  afterResponse?(context: MiddlewareContext, response: MiddlewareResponse): HookResult;
+  /** Runs in reverse order when the request throws (network error, timeout, abort). Return a response to recover. */
+  onError?(context: MiddlewareContext, error: Error): HookResult;
+}
+
+interface RequestEventBase {
+  requestId: string;
+  operation: MiddlewareOperation;
+  method: string;
+  /** Full URL of the API endpoint. */
+  endpoint: string;
+}
+
+export interface RequestEvent extends RequestEventBase {
+  attempt: number;
+  timestamp: string;
+}
+
+export interface ResponseEvent extends RequestEventBase {
+  attempt: number;
+  status: number;
+  ok: boolean;
+  /** Duration of this attempt in ms. */
+  duration: number;
+}
+
+export interface RetryEvent extends RequestEventBase {
+  /** The attempt that just failed. */
+  attempt: number;
+  /** Wait before the next attempt in ms. */
+  delay: number;
+  errorType: NonNullable<EmailResponse['errorType']>;
+  statusCode: number | null;
+  error: string | null;
+}
+
+export interface ErrorEvent extends RequestEventBase {
+  attempts: number;
+  /** Total duration including retries in ms. */
+  duration?: number;
+  errorType: NonNullable<EmailResponse['errorType']>;
+  statusCode: number | null;
+  error: string;
+}
+
+export interface MailblockEvents {
+  request: [RequestEvent];
+  response: [ResponseEvent];
+  retry: [RetryEvent];
+  error: [ErrorEvent];
+}
+
+/** StatsD/Datadog-style sink. Tags always include `operation`. */
+export interface MetricsSink {
+  increment?(name: string, value: number, tags: Record<string, string>): void;
+  histogram?(name: string, value: number, tags: Record<string, string>): void;
+}
+
+/** The subset of an OpenTelemetry tracer the tracing adapter uses. */
+export interface Tracer {
+  startSpan(name: string, options?: { kind?: number; attributes?: Record<string, string | number> }): Span;
+}
+
+export interface Span {
+  setAttribute(key: string, value: string | number): unknown;
+  setStatus(status: { code: number; message?: string }): unknown;
+  recordException(exception: Error): unknown;
+  end(): void;
+}
+
+export function createTracingMiddleware(tracer: Tracer, options?: { spanPrefix?: string }): Middleware;
+
+/** An email captured by a dry-run client: the API payload plus simulated server state. */
+export interface RecordedEmail extends EmailRecord {
+  status: 'scheduled' | 'sent' | 'cancelled';
+  text?: string;
+  html?: string;
+  reply_to?: string | string[];
+  headers?: Record<string, string>;
+  tags?: string[];
+  metadata?: EmailMetadata;
+  attachments?: Array<Record<string, any>>;
+  cancelled_at?: string;
+  idempotency_key: string | null;
+  /** The exact request body the client sent. */
+  payload: Record<string, any>;
+}
+
+export class EmailRecorder {
+  constructor();
+  /** Every simulated API call, including lookups and cancellations. */
+  readonly requests: Array<{ method: string; path: string; body?: Record<string, any>; headers: Record<string, string> }>;
+  all(): RecordedEmail[];
+  last(): RecordedEmail | null;
+  find(id: string): RecordedEmail | null;
+  /** Emails with the address in to, cc or bcc. */
+  sentTo(address: EmailAddress): RecordedEmail[];
+  scheduled(): RecordedEmail[];
+  cancelled(): RecordedEmail[];
+  clear(): void;
+  transport(): Transport;
 }
 
 export interface MailblockOptions {
   debug?: boolean;
   logger?: Console;
+  baseUrl?: string;
+  fetch?: typeof fetch;
+  transport?: Transport;
+  /** Reuse keep-alive connections for every call. Pass a ConnectionPool to share one between clients. */
+  connection?: boolean | ConnectionOptions | ConnectionPool;
+  /** Retries are off unless this is `true` or an options object. */
+  retry?: boolean | RetryOptions;
+  timeout?: number;
+  autoIdempotencyKey?: boolean;
+  maxAttachmentsSize?: number;
+  autoText?: boolean | HtmlToTextOptions;
+  templates?: Record<string, TemplateDefinition>;
+  partials?: Record<string, string>;
+  layouts?: Record<string, LayoutDefinition>;
+  throwOnError?: boolean;
+  rateLimit?: boolean | RateLimitOptions | RateLimiter;
+  /** `true` uses an in-memory store. */
+  suppressions?: boolean | SuppressionStore;
+  /** `true` keeps the queue in memory; pass `{ path }` to make it survive restarts. */
+  outbox?: boolean | OutboxOptions;
+  middleware?: Middleware[];
+  /** Receives request counters, retry/error counters and latency histograms. */
+  metrics?: MetricsSink;
+  /** Records a client span per API call. */
+  tracer?: Tracer;
+  /** Validate and simulate every call without network I/O. Emails are captured by `client.recorder`. */
+  dryRun?: boolean;
+  /** Share one recorder between dry-run clients. */
+  recorder?: EmailRecorder;
+}
+
+export interface RequestOptions {
+  signal?: AbortSignal;
+  timeout?: number;
 }
 
 export interface EmailResponse {
   success: boolean;
   message?: string;
   data?: any;
+  idempotencyKey?: string;
+  droppedRecipients?: DroppedRecipient[];
+  /** The email could not be sent now and was written to the outbox; `success` is false and `errorType` says why. */
+  queued?: boolean;
   error?: string;
-  errorType?: 'VALIDATION_ERROR' | 'CLIENT_ERROR' | 'SERVER_ERROR' | 'NETWORK_ERROR' | 'RATE_LIMIT_ERROR' | 'UNKNOWN_ERROR';
+  errorType?: 'VALIDATION_ERROR' | 'CLIENT_ERROR' | 'SERVER_ERROR' | 'NETWORK_ERROR' | 'RATE_LIMIT_ERROR' | 'TIMEOUT_ERROR' | 'ABORTED' | 'UNKNOWN_ERROR';
   suggestion?: string;
   statusCode?: number | null;
   requestId?: string;
   timestamp?: string;
   duration?: number;
+  attempts?: number;
   endpoint?: string;
 }
 
@@ -41,15 +563,46 @@ export interface CancelEmailResponse {
     scheduled_at: string;
   };
   error?: string;
-  errorType?: 'VALIDATION_ERROR' | 'CLIENT_ERROR' | 'SERVER_ERROR' | 'NETWORK_ERROR' | 'RATE_LIMIT_ERROR' | 'UNKNOWN_ERROR';
+  errorType?: 'VALIDATION_ERROR' | 'CLIENT_ERROR' | 'SERVER_ERROR' | 'NETWORK_ERROR' | 'RATE_LIMIT_ERROR' | 'TIMEOUT_ERROR' | 'ABORTED' | 'UNKNOWN_ERROR';
   suggestion?: string;
   statusCode?: number | null;
   requestId?: string;
   timestamp?: string;
   duration?: number;
+  attempts?: number;
   endpoint?: string;
 }
 
+export interface CancelEmailsOptions extends RequestOptions {
+  /** IDs per request. Default: 100 */
+  chunkSize?: number;
+  /** Chunks in flight at once. Default: 3 */
+  concurrency?: number;
+}
+
+export interface CancelEmailError {
+  email_id: number | string;
+  error: string;
+  errorType?: string;
+}
+
+export interface FailedCancelChunk {
+  chunk: number;
+  size: number;
+  error: string;
+  errorType: string;
+  statusCode: number | null;
+  requestId: string;
+}
+
+export interface CancelWhereFilters {
+  tag?: string;
+  to?: string;
+  from?: string;
+  scheduledBefore?: Date | string;
+  scheduledAfter?: Date | string;
+}
+
 export interface CancelEmailsResponse {
   success: boolean;
   message?: string;
@@ -65,14 +618,22 @@ export interface CancelEmailsResponse {
       to: string;
       scheduled_at: string;
     }>;
+    /** IDs that could not be cancelled, including invalid IDs and every ID of a failed chunk. */
+    errors?: CancelEmailError[];
+    /** Number of requests the IDs were split into. */
+    chunks: number;
+    failed_chunks?: FailedCancelChunk[];
+    /** Set by cancelWhere: how many scheduled emails matched the filters. */
+    matched?: number;
   };
   error?: string;
-  errorType?: 'VALIDATION_ERROR' | 'CLIENT_ERROR' | 'SERVER_ERROR' | 'NETWORK_ERROR' | 'RATE_LIMIT_ERROR' | 'UNKNOWN_ERROR';
+  errorType?: 'VALIDATION_ERROR' | 'CLIENT_ERROR' | 'SERVER_ERROR' | 'NETWORK_ERROR' | 'RATE_LIMIT_ERROR' | 'TIMEOUT_ERROR' | 'ABORTED' | 'UNKNOWN_ERROR';
   suggestion?: string;
   statusCode?: number | null;
   requestId?: string;
   timestamp?: string;
   duration?: number;
+  attempts?: number;
   endpoint?: string;
 }
 
@@ -80,7 +641,65 @@ export interface UpdateEmailOptions {
   subject?: string;
   body_html?: string;
   body_text?: string;
-  scheduled_at?: Date | string | null;
+  scheduled_at?: ScheduleInput | null;
+  autoText?: boolean | HtmlToTextOptions;
+}
+
+export interface BulkUpdateItem {
+  id: number | string;
+  updates: UpdateEmailOptions;
+}
+
+export interface BulkUpdateOptions extends RequestOptions {
+  /** Emails updated at once. Default: 5 */
+  concurrency?: number;
+}
+
+export interface ShiftScheduleOptions extends BulkUpdateOptions {
+  /** Timezone whose wall-clock time day offsets keep. Default: the local timezone */
+  timezone?: string;
+}
+
+export interface BulkUpdateResult {
+  index: number;
+  id: number | string;
+  success: boolean;
+  status?: string;
+  scheduled_at?: string;
+  job_rescheduled?: boolean;
+  /** Set by shiftSchedule. */
+  previous_scheduled_at?: string;
+  error?: string;
+  errorType?: string;
+  statusCode?: number | null;
+  /** The email's status when it could no longer be updated, e.g. 'sent'. */
+  currentStatus?: string;
+  requestId: string;
+  attempts: number;
+}
+
+export interface BulkUpdateResponse {
+  success: boolean;
+  message?: string;
+  data?: {
+    message: string;
+    success_count: number;
+    error_count: number;
+    results: BulkUpdateResult[];
+  };
+  /** On a partial failure: how many emails failed, and the first failure's message. */
+  error?: string;
+  errorType?: 'VALIDATION_ERROR' | 'CLIENT_ERROR' | 'SERVER_ERROR' | 'NETWORK_ERROR' | 'RATE_LIMIT_ERROR' | 'TIMEOUT_ERROR' | 'ABORTED' | 'UNKNOWN_ERROR';
+  suggestion?: string;
+  statusCode?: number | null;
+  requestId?: string;
+  timestamp?: string;
+  duration?: number;
+}
+
+export interface UpdateRequestOptions extends RequestOptions {
+  /** When `updates` is an EmailBuilder, only the fields changed since this version are sent. */
+  since?: EmailBuilder;
 }
 
 export interface UpdateEmailResponse {
@@ -104,33 +723,318 @@ export interface UpdateEmailResponse {
     job_rescheduled: boolean;
   };
   error?: string;
-  errorType?: 'VALIDATION_ERROR' | 'CLIENT_ERROR' | 'SERVER_ERROR' | 'NETWORK_ERROR' | 'RATE_LIMIT_ERROR' | 'UNKNOWN_ERROR';
+  errorType?: 'VALIDATION_ERROR' | 'CLIENT_ERROR' | 'SERVER_ERROR' | 'NETWORK_ERROR' | 'RATE_LIMIT_ERROR' | 'TIMEOUT_ERROR' | 'ABORTED' | 'UNKNOWN_ERROR';
   suggestion?: string;
   statusCode?: number | null;
   currentStatus?: string;
   requestId?: string;
   timestamp?: string;
   duration?: number;
+  attempts?: number;
+  endpoint?: string;
+}
+
+export interface EmailRecord {
+  id: string;
+  status: 'scheduled' | 'queued' | 'sent' | 'delivered' | 'cancelled' | 'failed' | 'bounced' | string;
+  to: string | string[];
+  cc?: string[];
+  bcc?: string[];
+  from: string;
+  subject: string;
+  scheduled_at?: string | null;
+  sent_at?: string | null;
+  created_at: string;
+  updated_at?: string;
+}
+
+export interface GetEmailResponse {
+  success: boolean;
+  message?: string;
+  data?: EmailRecord;
+  error?: string;
+  errorType?: EmailResponse['errorType'];
+  suggestion?: string;
+  statusCode?: number | null;
+  requestId?: string;
+  timestamp?: string;
+  duration?: number;
+  attempts?: number;
+  endpoint?: string;
+}
+
+export interface ListEmailsFilters {
+  status?: string | string[];
+  from?: string;
+  to?: string;
+  tag?: string;
+  scheduledBefore?: Date | string;
+  scheduledAfter?: Date | string;
+  limit?: number;
+  cursor?: string;
+}
+
+export interface ListEmailsResponse {
+  success: boolean;
+  message?: string;
+  data?: {
+    emails: EmailRecord[];
+    has_more: boolean;
+    next_cursor: string | null;
+    total?: number;
+  };
+  error?: string;
+  errorType?: EmailResponse['errorType'];
+  suggestion?: string;
+  statusCode?: number | null;
+  requestId?: string;
+  timestamp?: string;
+  duration?: number;
+  attempts?: number;
   endpoint?: string;
 }
 
+/** Resolves to the first page; `for await` iterates every email across all pages. */
+export type EmailListPromise = Promise<ListEmailsResponse> & AsyncIterable<EmailRecord>;
+
+export interface BatchRecipient extends Partial<Omit<EmailOptions, 'to' | 'from' | 'subject' | 'text' | 'html'>> {
+  to: EmailAddress | EmailAddress[];
+  variables?: Record<string, any>;
+}
+
+export interface BatchEmailOptions extends Omit<EmailOptions, 'to' | 'subject'> {
+  subject?: string;
+  template?: string;
+  variables?: Record<string, any>;
+}
+
+export interface BatchOptions extends RequestOptions {
+  concurrency?: number;
+  stagger?: {
+    start?: Date | string;
+    end?: Date | string;
+    window?: number;
+  };
+}
+
+export interface BatchRecipientResult {
+  index: number;
+  to: string | string[];
+  success: boolean;
+  id?: string;
+  status?: string;
+  /** Set on a failed result when the email was written to the outbox instead of being sent. */
+  queued?: boolean;
+  outboxId?: string;
+  error?: string;
+  errorType?: EmailResponse['errorType'];
+  scheduled_at?: string;
+  droppedRecipients?: DroppedRecipient[];
+  requestId: string | null;
+  attempts?: number;
+}
+
+export interface BatchResponse {
+  success: boolean;
+  message?: string;
+  data?: {
+    message: string;
+    success_count: number;
+    error_count: number;
+    total_recipients: number;
+    results: BatchRecipientResult[];
+  };
+  error?: string;
+  errorType?: 'VALIDATION_ERROR';
+  statusCode?: number | null;
+  requestId?: string;
+  timestamp?: string;
+  duration?: number;
+}
+
+/** A draft saved with `EmailBuilder#toJSON()`. Binary attachment content is stored as base64. */
+export interface EmailDraft {
+  to?: EmailAddress | EmailAddress[];
+  cc?: EmailAddress | EmailAddress[];
+  bcc?: EmailAddress | EmailAddress[];
+  from?: EmailAddress;
+  replyTo?: EmailAddress | EmailAddress[];
+  subject?: string;
+  text?: string;
+  html?: string;
+  autoText?: boolean | HtmlToTextOptions;
+  scheduledAt?: string;
+  attachments?: Array<Omit<Attachment, 'content'> & { content?: string }>;
+  headers?: Record<string, string>;
+  tags?: string[];
+  metadata?: EmailMetadata;
+  idempotencyKey?: string;
+}
+
+export interface DraftValidationResult {
+  isValid: boolean;
+  errors: Array<{ field: keyof EmailDraft; error: string }>;
+}
+
 export class EmailBuilder {
-  to(emails: string | string[]): EmailBuilder;
-  cc(emails: string | string[]): EmailBuilder;
-  bcc(emails: string | string[]): EmailBuilder;
-  from(email: string): EmailBuilder;
+  /** Rebuilds a saved draft without validating it; call validate() to list any problems. */
+  static fromJSON(json: EmailDraft | string, client: Mailblock): EmailBuilder;
+  to(emails: EmailAddress | EmailAddress[]): EmailBuilder;
+  cc(emails: EmailAddress | EmailAddress[]): EmailBuilder;
+  bcc(emails: EmailAddress | EmailAddress[]): EmailBuilder;
+  from(email: EmailAddress): EmailBuilder;
+  replyTo(emails: EmailAddress | EmailAddress[]): EmailBuilder;
+  header(name: string, value: string | number): EmailBuilder;
+  tag(...tags: Array<string | string[]>): EmailBuilder;
+  metadata(key: string, value: string | number | boolean): EmailBuilder;
+  metadata(entries: EmailMetadata): EmailBuilder;
   subject(subject: string): EmailBuilder;
   text(content: string): EmailBuilder;
   html(content: string): EmailBuilder;
-  scheduleAt(date: Date | string): EmailBuilder;
-  send(): Promise<EmailResponse>;
+  autoText(enabled?: boolean | HtmlToTextOptions): EmailBuilder;
+  template(name: string, variables?: Record<string, any>): EmailBuilder;
+  scheduleAt(when: ScheduleInput, options?: Pick<ScheduleSpec, 'timezone' | 'window'>): EmailBuilder;
+  attach(attachment: Attachment): EmailBuilder;
+  attach(path: string, options?: Omit<Attachment, 'content' | 'path'>): EmailBuilder;
+  attach(content: Buffer | Uint8Array | NodeJS.ReadableStream, options: Omit<Attachment, 'content' | 'path'> & { filename: string }): EmailBuilder;
+  idempotencyKey(key: string): EmailBuilder;
+  send(requestOptions?: RequestOptions): Promise<EmailResponse>;
+  /** Throws a MailblockValidationError for stream attachments, which can only be read once. */
+  clone(): EmailBuilder;
+  /** Reports every problem with the draft instead of stopping at the first one. */
+  validate(): DraftValidationResult;
+  /** Throws a MailblockValidationError for stream attachments, which cannot be stored. */
+  toJSON(): EmailDraft;
+  /** The updates that turn `previous` into this draft. Throws if a field other than subject, html, text or scheduledAt changed. */
+  diff(previous?: EmailBuilder): UpdateEmailOptions;
 }
 
-export default class Mailblock {
+export function htmlToText(html: string, options?: HtmlToTextOptions): string;
+
+export function parseAddress(input: EmailAddress): { isValid: true; address: ParsedAddress } | { isValid: false; error: string };
+export function resolveSchedule(when: ScheduleInput, options?: Pick<ScheduleSpec, 'timezone' | 'window'> & { now?: Date | number }): { isValid: true; date: Date } | { isValid: false; error: string };
+export function formatAddress(address: { name?: string; email: string }): string;
+
+interface WebhookEventBase<T extends string, D> {
+  id: string;
+  type: T;
+  created_at: string;
+  createdAt: Date | null;
+  data: D;
+}
+
+export interface WebhookEmailData {
+  email_id: string;
+  to: string;
+  from?: string;
+  subject?: string;
+  tags?: string[];
+  metadata?: Record<string, string>;
+}
+
+export type EmailSentEvent = WebhookEventBase<'email.sent', WebhookEmailData & { sent_at: string }>;
+export type EmailDeliveredEvent = WebhookEventBase<'email.delivered', WebhookEmailData & { delivered_at: string }>;
+export type EmailDeliveryDelayedEvent = WebhookEventBase<'email.delivery_delayed', WebhookEmailData & { reason?: string }>;
+export type EmailBouncedEvent = WebhookEventBase<'email.bounced', WebhookEmailData & {
+  bounce_type: 'hard' | 'soft';
+  reason?: string;
+  bounced_at: string;
+}>;
+export type EmailComplainedEvent = WebhookEventBase<'email.complained', WebhookEmailData & { complained_at: string }>;
+export type EmailOpenedEvent = WebhookEventBase<'email.opened', WebhookEmailData & {
+  opened_at: string;
+  user_agent?: string;
+  ip?: string;
+}>;
+export type EmailClickedEvent = WebhookEventBase<'email.clicked', WebhookEmailData & {
+  clicked_at: string;
+  url: string;
+  user_agent?: string;
+  ip?: string;
+}>;
+export type EmailFailedEvent = WebhookEventBase<'email.failed', WebhookEmailData & { reason: string }>;
+export type EmailCancelledEvent = WebhookEventBase<'email.cancelled', WebhookEmailData & { cancelled_at: string }>;
+
+export type WebhookEvent =
+  | EmailSentEvent
+  | EmailDeliveredEvent
+  | EmailDeliveryDelayedEvent
+  | EmailBouncedEvent
+  | EmailComplainedEvent
+  | EmailOpenedEvent
+  | EmailClickedEvent
+  | EmailFailedEvent
+  | EmailCancelledEvent;
+
+export type WebhookEventType = WebhookEvent['type'];
+
+export interface VerifySignatureOptions {
+  /** Maximum age of the signature timestamp in seconds (default 300). Must be positive; Infinity disables the check. */
+  tolerance?: number;
+  now?: number;
+}
+
+export interface WebhookHandlerOptions {
+  secret: string | string[];
+  tolerance?: number;
+  onEvent?: (event: WebhookEvent, req: import('http').IncomingMessage) => void | Promise<void>;
+  on?: { [T in WebhookEventType]?: (event: Extract<WebhookEvent, { type: T }>, req: import('http').IncomingMessage) => void | Promise<void> };
+  onError?: (error: Error, event: WebhookEvent | null) => void | Promise<void>;
+}
+
+export class WebhookVerificationError extends Error {
+  name: 'WebhookVerificationError';
+}
+
+export interface Webhooks {
+  readonly SIGNATURE_HEADER: 'mailblock-signature';
+  readonly EVENT_TYPES: WebhookEventType[];
+  verifySignature(
+    payload: string | Buffer,
+    header: string | undefined,
+    secret: string | string[],
+    options?: VerifySignatureOptions
+  ): { isValid: true; timestamp: number } | { isValid: false; error: string };
+  generateSignature(payload: string | Buffer, secret: string, timestamp?: number): string;
+  constructEvent(payload: string | Buffer, header: string | undefined, secret: string | string[], options?: VerifySignatureOptions): WebhookEvent;
+  createHandler(options: WebhookHandlerOptions): (req: import('http').IncomingMessage, res: import('http').ServerResponse) => Promise<void>;
+}
+
+export const webhooks: Webhooks;
+
+export default class Mailblock extends EventEmitter {
+  on<K extends keyof MailblockEvents>(event: K, listener: (...args: MailblockEvents[K]) => void): this;
+  once<K extends keyof MailblockEvents>(event: K, listener: (...args: MailblockEvents[K]) => void): this;
+  off<K extends keyof MailblockEvents>(event: K, listener: (...args: MailblockEvents[K]) => void): this;
+  static readonly webhooks: Webhooks;
   constructor(apiKey: string, options?: MailblockOptions);
-  sendEmail(options: EmailOptions): Promise<EmailResponse>;
-  cancelEmail(emailId: number | string): Promise<CancelEmailResponse>;
-  cancelEmails(emailIds: (number | string)[]): Promise<CancelEmailsResponse>;
-  updateScheduledEmail(emailId: number | string, updates: UpdateEmailOptions): Promise<UpdateEmailResponse>;
-  email(): EmailBuilder;
+  readonly baseUrl: string;
+  readonly templates: TemplateEngine;
+  readonly suppressions: SuppressionStore | null;
+  readonly outbox: Outbox | null;
+  readonly dryRun: boolean;
+  readonly recorder: EmailRecorder | null;
+  readonly connection: ConnectionPool | null;
+  sendEmail(options: EmailOptions | TemplateEmailOptions, requestOptions?: RequestOptions): Promise<EmailResponse>;
+  sendBatch(recipients: Array<string | BatchRecipient>, baseEmail: BatchEmailOptions, options?: BatchOptions): Promise<BatchResponse>;
+  cancelEmail(emailId: number | string, requestOptions?: RequestOptions): Promise<CancelEmailResponse>;
+  cancelEmails(emailIds: (number | string)[], options?: CancelEmailsOptions): Promise<CancelEmailsResponse>;
+  /** Cancels every scheduled email matching the filters. At least one filter is required. */
+  cancelWhere(filters: CancelWhereFilters, options?: CancelEmailsOptions): Promise<CancelEmailsResponse>;
+  updateScheduledEmail(emailId: number | string, updates: UpdateEmailOptions | EmailBuilder, requestOptions?: UpdateRequestOptions): Promise<UpdateEmailResponse>;
+  updateScheduledEmails(items: BulkUpdateItem[], options?: BulkUpdateOptions): Promise<BulkUpdateResponse>;
+  /** Moves each email's scheduled_at by a duration such as '1d' or by milliseconds (negative moves earlier). */
+  shiftSchedule(emailIds: (number | string)[], offset: string | number, options?: ShiftScheduleOptions): Promise<BulkUpdateResponse>;
+  getEmail(emailId: number | string, requestOptions?: RequestOptions): Promise<GetEmailResponse>;
+  listEmails(filters?: ListEmailsFilters, requestOptions?: RequestOptions): EmailListPromise;
+  /** Starts a new email, or rebuilds a saved draft. */
+  email(draft?: EmailDraft | string): EmailBuilder;
+  use(middleware: Middleware): this;
+  getRateLimitStats(): RateLimitStats | null;
+  getConnectionStats(): ConnectionStats | null;
+  /** Stops the outbox timer and releases pooled connections. Requests made afterwards fail. */
+  close(): Promise<void>;
+  registerTemplate(name: string, template: TemplateDefinition): this;
+  registerPartial(name: string, source: string): this;
+  registerLayout(name: string, layout: LayoutDefinition): this;
 }
\ No newline at end of file
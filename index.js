@@ -1,4 +1,182 @@
+import { EventEmitter } from 'node:events';
+import {
+  MailblockError,
+  MailblockValidationError,
+  MailblockClientError,
+  MailblockRateLimitError,
+  MailblockServerError,
+  MailblockNetworkError,
+  MailblockTimeoutError,
+  MailblockAbortError
+} from './lib/errors.js';
+import { normalizeAttachments, validateAttachment, DEFAULT_MAX_ATTACHMENTS_SIZE } from './lib/attachments.js';
+import { TemplateEngine, TemplateError } from './lib/templates.js';
+import { htmlToText } from './lib/html-to-text.js';
+import { RateLimiter, parseRetryAfter } from './lib/rate-limiter.js';
+import { normalizeAddressList, parseAddress, formatAddress } from './lib/addresses.js';
+import { MemorySuppressionStore, FileSuppressionStore, isSuppressionStore } from './lib/suppressions.js';
+import { normalizeHeaders, validateHeader } from './lib/headers.js';
+import { normalizeTags, normalizeMetadata } from './lib/metadata.js';
+import { resolveSchedule } from './lib/scheduling.js';
+import { Outbox, MemoryOutboxStore, FileOutboxStore } from './lib/outbox.js';
+import { attachMetrics, createTracingMiddleware } from './lib/observability.js';
+import { EmailRecorder } from './lib/recorder.js';
+import { ConnectionPool, ClientClosedError, parseResponseBody } from './lib/connection.js';
+import {
+  constructEvent,
+  createHandler,
+  generateSignature,
+  verifySignature,
+  EVENT_TYPES,
+  SIGNATURE_HEADER,
+  WebhookVerificationError
+} from './lib/webhooks.js';
+
+const DEFAULT_BASE_URL = "https://sdk-backend-production-20e1.up.railway.app";
+
+const DEFAULT_RETRY_OPTIONS = {
+  maxAttempts: 3,
+  baseDelay: 500,
+  maxDelay: 30000,
+  jitter: 0.2,
+  retryOn: ['RATE_LIMIT_ERROR', 'SERVER_ERROR', 'NETWORK_ERROR', 'TIMEOUT_ERROR']
+};
+
+const DEFAULT_TIMEOUT = 30000;
+
+const DEFAULT_CANCEL_CHUNK_SIZE = 100;
+const DEFAULT_CANCEL_CONCURRENCY = 3;
+const DEFAULT_UPDATE_CONCURRENCY = 5;
+
+// Connection failures that guarantee the request never reached the API
+const CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+// Socket failures that can happen after the request was sent, so only idempotent requests retry them
+const SOCKET_ERROR_CODES = ['ECONNRESET', 'EPIPE'];
+
+const createAbortError = (reason) => {
+  const error = new Error(reason instanceof Error ? reason.message : 'Request was aborted');
+  error.name = 'AbortError';
+  return error;
+};
+
+const createTimeoutError = (timeout) => {
+  const error = new Error(`Request timed out after ${timeout}ms`);
+  error.name = 'TimeoutError';
+  return error;
+};
+
+const runWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+  return results;
+};
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError(signal.reason));
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(createAbortError(signal.reason));
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const createFetchTransport = (fetchImpl) => async ({ method, url, headers, body, signal }) => {
+  const doFetch = fetchImpl || globalThis.fetch;
+  if (typeof doFetch !== 'function') {
+    throw new Error('No global HTTP client found. Pass options.fetch or options.transport to Mailblock');
+  }
+
+  const response = await doFetch(url, { method, headers, body, signal });
+
+  return {
+    status: response.status,
+    headers: response.headers,
+    data: parseResponseBody(await response.text())
+  };
+};
+
+const DRAFT_FIELDS = ['to', 'cc', 'bcc', 'from', 'replyTo', 'subject', 'text', 'html', 'autoText', 'scheduledAt', 'attachments', 'headers', 'tags', 'metadata', 'idempotencyKey'];
+
+// Draft fields that can still change once an email is scheduled, and their updateScheduledEmail names
+const UPDATABLE_FIELDS = { subject: 'subject', html: 'body_html', text: 'body_text', scheduledAt: 'scheduled_at' };
+
+const isBinaryContent = (value) => Buffer.isBuffer(value) || value instanceof Uint8Array;
+const isPlainObject = (value) => value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+// Nested arrays, objects and binary attachment content are copied so edits never leak between drafts
+const copyDraftValue = (value) => {
+  if (value instanceof Date) return new Date(value);
+  if (isBinaryContent(value)) return Buffer.from(value);
+  if (Array.isArray(value)) return value.map(copyDraftValue);
+  if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, copyDraftValue(entry)]));
+  return value;
+};
+
+// A stream can only be read once, so a draft holding one can be neither copied nor stored
+const rejectStreamAttachments = (attachments, action) => {
+  attachments?.forEach((attachment, index) => {
+    const content = attachment?.content;
+    if (content === undefined || content === null || typeof content === 'string' || isBinaryContent(content)) return;
+    const label = attachment.filename ? `'${attachment.filename}'` : `#${index + 1}`;
+    throw new MailblockValidationError(`Attachment ${label} is a stream and cannot be ${action}. Use a path or a Buffer instead`);
+  });
+};
+
+const sameDraftValue = (a, b) => {
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  if (isBinaryContent(a) && isBinaryContent(b)) return Buffer.compare(Buffer.from(a), Buffer.from(b)) === 0;
+  if (Array.isArray(a) && Array.isArray(b)) return a.length === b.length && a.every((entry, index) => sameDraftValue(entry, b[index]));
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((key) => sameDraftValue(a[key], b[key]));
+  }
+  return a === b;
+};
+
 class EmailBuilder {
+  // Rebuilds a draft saved with toJSON(). Nothing is validated here; call validate() to list any problems.
+  static fromJSON(json, client) {
+    if (!(client instanceof Mailblock)) {
+      throw new MailblockValidationError("EmailBuilder.fromJSON requires a Mailblock client");
+    }
+    let data = json;
+    if (typeof json === 'string') {
+      try {
+        data = JSON.parse(json);
+      } catch (error) {
+        throw new MailblockValidationError(`Draft is not valid JSON: ${error.message}`);
+      }
+    }
+    if (!isPlainObject(data)) {
+      throw new MailblockValidationError("A draft must be an object or a JSON string");
+    }
+    const unknown = Object.keys(data).filter((field) => !DRAFT_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw new MailblockValidationError(`Unknown draft field${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`);
+    }
+
+    const builder = new EmailBuilder(client);
+    builder.emailData = copyDraftValue(data);
+    if (typeof data.scheduledAt === 'string' && !isNaN(Date.parse(data.scheduledAt))) {
+      builder.emailData.scheduledAt = new Date(data.scheduledAt);
+    }
+    return builder;
+  }
+
   constructor(client) {
     this.client = client;
     this.emailData = {};
@@ -24,10 +202,47 @@ class EmailBuilder {
   }
 
   from(email) {
-    if (!this._isValidEmail(email)) {
-      throw new Error(`Invalid 'from' email address: ${email}`);
+    this.emailData.from = this._validateEmailOrArray(email, 'from', { single: true });
+    return this;
+  }
+
+  replyTo(emails) {
+    this.emailData.replyTo = this._validateEmailOrArray(emails, 'replyTo');
+    return this;
+  }
+
+  header(name, value) {
+    const validation = validateHeader(name, value);
+    if (!validation.isValid) {
+      throw new MailblockValidationError(validation.error);
+    }
+    // Header names are case-insensitive, so setting one again replaces it
+    const headers = Object.fromEntries(
+      Object.entries(this.emailData.headers || {}).filter(([existing]) => existing.toLowerCase() !== name.toLowerCase())
+    );
+    this.emailData.headers = { ...headers, [name]: validation.value };
+    return this;
+  }
+
+  tag(...tags) {
+    const validation = normalizeTags([...(this.emailData.tags || []), ...tags.flat()]);
+    if (!validation.isValid) {
+      throw new MailblockValidationError(validation.error);
+    }
+    this.emailData.tags = validation.tags;
+    return this;
+  }
+
+  metadata(keyOrEntries, value) {
+    const entries = typeof keyOrEntries === 'string' ? { [keyOrEntries]: value } : keyOrEntries;
+    if (entries === null || typeof entries !== 'object' || Array.isArray(entries)) {
+      throw new MailblockValidationError("metadata() expects a key and value or an object of entries");
+    }
+    const validation = normalizeMetadata({ ...this.emailData.metadata, ...entries });
+    if (!validation.isValid) {
+      throw new MailblockValidationError(validation.error);
     }
-    this.emailData.from = email;
+    this.emailData.metadata = validation.metadata;
     return this;
   }
 
@@ -37,7 +252,7 @@ class EmailBuilder {
       typeof subject !== "string" ||
       subject.trim().length === 0
     ) {
-      throw new Error("Subject must be a non-empty string");
+      throw new MailblockValidationError("Subject must be a non-empty string");
     }
     this.emailData.subject = subject.trim();
     return this;
@@ -45,7 +260,7 @@ class EmailBuilder {
 
   text(content) {
     if (!content || typeof content !== "string") {
-      throw new Error("Text content must be a non-empty string");
+      throw new MailblockValidationError("Text content must be a non-empty string");
     }
     this.emailData.text = content;
     return this;
@@ -53,81 +268,304 @@ class EmailBuilder {
 
   html(content) {
     if (!content || typeof content !== "string") {
-      throw new Error("HTML content must be a non-empty string");
+      throw new MailblockValidationError("HTML content must be a non-empty string");
     }
     this.emailData.html = content;
     return this;
   }
 
-  scheduleAt(date) {
-    if (date instanceof Date) {
-      if (date <= new Date()) {
-        throw new Error("Scheduled date must be in the future");
-      }
-      this.emailData.scheduledAt = date;
-    } else if (typeof date === "string") {
-      const parsedDate = new Date(date);
-      if (isNaN(parsedDate.getTime())) {
-        throw new Error("Invalid date format for scheduling");
-      }
-      if (parsedDate <= new Date()) {
-        throw new Error("Scheduled date must be in the future");
-      }
-      this.emailData.scheduledAt = parsedDate;
+  autoText(enabled = true) {
+    this.emailData.autoText = enabled;
+    return this;
+  }
+
+  template(name, variables = {}) {
+    const rendered = this.client.templates.render(name, variables);
+    if (rendered.subject !== undefined) {
+      this.subject(rendered.subject);
+    }
+    if (rendered.text !== undefined) {
+      this.emailData.text = rendered.text;
+    }
+    if (rendered.html !== undefined) {
+      this.emailData.html = rendered.html;
+    }
+    return this;
+  }
+
+  scheduleAt(when, options = {}) {
+    const schedule = resolveSchedule(when, options);
+    if (!schedule.isValid) {
+      throw new MailblockValidationError(schedule.error);
+    }
+    if (schedule.date <= new Date()) {
+      throw new MailblockValidationError("Scheduled date must be in the future");
+    }
+    this.emailData.scheduledAt = schedule.date;
+    return this;
+  }
+
+  attach(source, options = {}) {
+    const isDescriptor = source !== null && typeof source === 'object' &&
+      Object.getPrototypeOf(source) === Object.prototype;
+
+    let attachment;
+    if (isDescriptor) {
+      attachment = { ...source };
+    } else if (typeof source === 'string') {
+      attachment = { ...options, path: source };
     } else {
-      throw new Error(
-        "Scheduled date must be a Date object or valid date string"
-      );
+      attachment = { ...options, content: source };
     }
+
+    const attachments = this.emailData.attachments || [];
+    const validation = validateAttachment(attachment, attachments.length);
+    if (!validation.isValid) {
+      throw new MailblockValidationError(validation.error);
+    }
+    this.emailData.attachments = [...attachments, attachment];
+    return this;
+  }
+
+  idempotencyKey(key) {
+    if (typeof key !== "string" || key.trim().length === 0 || key.length > 255) {
+      throw new MailblockValidationError("Idempotency key must be a non-empty string of at most 255 characters");
+    }
+    this.emailData.idempotencyKey = key;
     return this;
   }
 
-  async send() {
-    return this.client.sendEmail(this.emailData);
+  async send(requestOptions) {
+    return this.client.sendEmail(this.emailData, requestOptions);
   }
 
-  _isValidEmail(email) {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
+  clone() {
+    rejectStreamAttachments(this.emailData.attachments, 'cloned');
+    const copy = new EmailBuilder(this.client);
+    copy.emailData = copyDraftValue(this.emailData);
+    return copy;
   }
 
-  _validateEmailOrArray(emails, fieldName) {
-    if (typeof emails === 'string') {
-      if (!this._isValidEmail(emails)) {
-        throw new Error(`Invalid '${fieldName}' email address: ${emails}`);
-      }
-      return emails;
+  // Checks the whole draft and reports every problem, unlike send() which stops at the first
+  validate() {
+    const { to, cc, bcc, from, replyTo, subject, text, html, scheduledAt, attachments, headers, tags, metadata, idempotencyKey } = this.emailData;
+    const errors = [];
+    const report = (field, error) => errors.push({ field, error });
+
+    if (to === undefined) report('to', "Recipient email address (to) is required");
+    if (from === undefined) report('from', "Sender email address (from) is required");
+    if (subject === undefined) report('subject', "Email subject is required");
+    if (text === undefined && html === undefined) report('html', "Either text or html content is required");
+
+    for (const [field, value, options] of [['to', to], ['cc', cc], ['bcc', bcc], ['from', from, { single: true }], ['replyTo', replyTo]]) {
+      if (value === undefined) continue;
+      const result = normalizeAddressList(value, `'${field}'`, options);
+      if (!result.isValid) report(field, result.error);
     }
-    
-    if (Array.isArray(emails)) {
-      if (emails.length === 0) {
-        throw new Error(`${fieldName} array cannot be empty`);
+
+    if (subject !== undefined && (typeof subject !== 'string' || subject.trim().length === 0)) {
+      report('subject', "Subject must be a non-empty string");
+    }
+    if (text !== undefined && (typeof text !== 'string' || text.length === 0)) {
+      report('text', "Text content must be a non-empty string");
+    }
+    if (html !== undefined && (typeof html !== 'string' || html.length === 0)) {
+      report('html', "HTML content must be a non-empty string");
+    }
+
+    for (const [field, value, normalize] of [['headers', headers, normalizeHeaders], ['tags', tags, normalizeTags], ['metadata', metadata, normalizeMetadata]]) {
+      if (value === undefined) continue;
+      const result = normalize(value);
+      if (!result.isValid) report(field, result.error);
+    }
+
+    if (scheduledAt !== undefined) {
+      const schedule = resolveSchedule(scheduledAt);
+      if (!schedule.isValid) {
+        report('scheduledAt', schedule.error);
+      } else if (schedule.date <= new Date()) {
+        report('scheduledAt', "Scheduled date must be in the future");
       }
-      
-      for (const email of emails) {
-        if (typeof email !== 'string' || !this._isValidEmail(email)) {
-          throw new Error(`Invalid '${fieldName}' email address: ${email}`);
-        }
+    }
+
+    if (attachments !== undefined) {
+      if (!Array.isArray(attachments)) {
+        report('attachments', "Attachments must be an array");
+      } else {
+        attachments.forEach((attachment, index) => {
+          const result = validateAttachment(attachment, index);
+          if (!result.isValid) report('attachments', result.error);
+        });
       }
-      return emails;
     }
-    
-    throw new Error(`${fieldName} must be a string or array of strings`);
+
+    if (idempotencyKey !== undefined && (typeof idempotencyKey !== "string" || idempotencyKey.trim().length === 0 || idempotencyKey.length > 255)) {
+      report('idempotencyKey', "Idempotency key must be a non-empty string of at most 255 characters");
+    }
+
+    return { isValid: errors.length === 0, errors };
+  }
+
+  // A JSON-safe copy of the draft for storage; EmailBuilder.fromJSON() turns it back into a builder
+  toJSON() {
+    rejectStreamAttachments(this.emailData.attachments, 'saved in a draft');
+    const { scheduledAt, attachments, ...fields } = copyDraftValue(this.emailData);
+    return {
+      ...fields,
+      ...(scheduledAt !== undefined && { scheduledAt: scheduledAt instanceof Date ? scheduledAt.toISOString() : scheduledAt }),
+      ...(attachments !== undefined && {
+        attachments: attachments.map((attachment) => (isBinaryContent(attachment.content)
+          ? { ...attachment, content: attachment.content.toString('base64'), encoding: 'base64' }
+          : attachment))
+      })
+    };
+  }
+
+  // The updateScheduledEmail updates that turn `previous` into this draft, or every updatable field when
+  // there is no previous version. Recipients, sender and the other fields are fixed once an email is scheduled.
+  diff(previous) {
+    if (previous !== undefined && !(previous instanceof EmailBuilder)) {
+      throw new MailblockValidationError("diff() expects the EmailBuilder the draft was edited from");
+    }
+
+    const changed = previous
+      ? DRAFT_FIELDS.filter((field) => !sameDraftValue(previous.emailData[field], this.emailData[field]))
+      : Object.keys(UPDATABLE_FIELDS).filter((field) => this.emailData[field] !== undefined);
+    const fixed = changed.filter((field) => !(field in UPDATABLE_FIELDS) && field !== 'autoText');
+    if (fixed.length > 0) {
+      throw new MailblockValidationError(`Only subject, html, text and scheduledAt can change on a scheduled email (changed: ${fixed.join(', ')})`);
+    }
+
+    const { errors } = this.validate();
+    const relevant = errors.filter(({ field }) => changed.includes(field));
+    if (relevant.length > 0) {
+      throw new MailblockValidationError(relevant.map(({ error }) => error).join('; '));
+    }
+
+    const updates = {};
+    for (const field of changed) {
+      if (!(field in UPDATABLE_FIELDS)) continue;
+      // A removed schedule is sent as null, which sends the email right away
+      updates[UPDATABLE_FIELDS[field]] = this.emailData[field] ?? null;
+    }
+    if (updates.body_html && this.emailData.autoText !== undefined) {
+      updates.autoText = this.emailData.autoText;
+    }
+    return updates;
+  }
+
+  _validateEmailOrArray(emails, fieldName, options) {
+    const result = normalizeAddressList(emails, `'${fieldName}'`, options);
+    if (!result.isValid) {
+      throw new MailblockValidationError(result.error);
+    }
+    return result.value;
   }
 }
 
-class Mailblock {
+class Mailblock extends EventEmitter {
   constructor(apiKey, options = {}) {
+    super();
     if (!apiKey) {
       throw new Error("API key is required");
     }
     if (typeof apiKey !== "string" || apiKey.trim().length === 0) {
       throw new Error("API key must be a non-empty string");
     }
+    if (options.baseUrl !== undefined && (typeof options.baseUrl !== "string" || options.baseUrl.trim().length === 0)) {
+      throw new Error("baseUrl must be a non-empty string");
+    }
+    if (options.transport !== undefined && typeof options.transport !== "function") {
+      throw new Error("transport must be a function");
+    }
+    if (options.fetch !== undefined && typeof options.fetch !== "function") {
+      throw new Error("fetch must be a function");
+    }
+    if (options.dryRun && (options.transport || options.fetch)) {
+      throw new Error("dryRun cannot be combined with transport or fetch");
+    }
+    if (options.recorder !== undefined && !options.dryRun) {
+      throw new Error("recorder can only be used with dryRun: true");
+    }
+    if (options.connection && (options.transport || options.fetch || options.dryRun)) {
+      throw new Error("connection cannot be combined with transport, fetch or dryRun");
+    }
+    if (options.connection !== undefined && options.connection !== true && options.connection !== false && (options.connection === null || typeof options.connection !== "object")) {
+      throw new Error("connection must be true, an options object or a ConnectionPool");
+    }
+    if (options.recorder !== undefined && !(options.recorder instanceof EmailRecorder)) {
+      throw new Error("recorder must be an EmailRecorder");
+    }
+    if (options.outbox !== undefined && options.outbox !== true && options.outbox !== false && (options.outbox === null || typeof options.outbox !== "object")) {
+      throw new Error("outbox must be true or an options object");
+    }
+    if (options.suppressions !== undefined && options.suppressions !== true && options.suppressions !== false && !isSuppressionStore(options.suppressions)) {
+      throw new Error("suppressions must be true or a store with a get(email) method");
+    }
+    if (options.maxAttachmentsSize !== undefined && (typeof options.maxAttachmentsSize !== "number" || !(options.maxAttachmentsSize > 0))) {
+      throw new Error("maxAttachmentsSize must be a positive number of bytes");
+    }
     this.apiKey = apiKey.trim();
-    this.baseUrl = "https://sdk-backend-production-20e1.up.railway.app";
+    this.baseUrl = (options.baseUrl || DEFAULT_BASE_URL).trim().replace(/\/+$/, '');
+    this.dryRun = options.dryRun || false;
+    // Dry runs answer every request from the recorder, so nothing ever reaches the network
+    this.recorder = this.dryRun ? options.recorder || new EmailRecorder() : null;
+    this.connection = options.connection instanceof ConnectionPool
+      ? options.connection
+      : options.connection ? new ConnectionPool(options.connection === true ? {} : options.connection) : null;
+    // A pool passed in may be shared with other clients, so close() leaves it open
+    this.ownsConnection = Boolean(this.connection) && !(options.connection instanceof ConnectionPool);
+    this.closed = false;
+    this.transport = this.recorder
+      ? this.recorder.transport()
+      : options.transport || (this.connection ? this.connection.transport() : createFetchTransport(options.fetch));
+    this.retry = this._normalizeRetryOptions(options.retry);
+    this.timeout = this._normalizeTimeout(options.timeout, "timeout") ?? DEFAULT_TIMEOUT;
+    this.autoIdempotencyKey = options.autoIdempotencyKey || false;
+    this.maxAttachmentsSize = options.maxAttachmentsSize ?? DEFAULT_MAX_ATTACHMENTS_SIZE;
+    this.autoText = options.autoText || false;
+    this.throwOnError = options.throwOnError || false;
+    this.rateLimiter = options.rateLimit instanceof RateLimiter
+      ? options.rateLimit
+      : options.rateLimit ? new RateLimiter(options.rateLimit === true ? {} : options.rateLimit) : null;
+    this.suppressions = options.suppressions === true
+      ? new MemorySuppressionStore()
+      : options.suppressions || null;
+    this.outbox = options.outbox ? this._createOutbox(options.outbox === true ? {} : options.outbox) : null;
+    this.templates = new TemplateEngine();
+
+    for (const [name, source] of Object.entries(options.partials || {})) {
+      this.templates.registerPartial(name, source);
+    }
+    for (const [name, layout] of Object.entries(options.layouts || {})) {
+      this.templates.registerLayout(name, layout);
+    }
+    for (const [name, template] of Object.entries(options.templates || {})) {
+      this.templates.registerTemplate(name, template);
+    }
     this.debug = options.debug || false;
     this.logger = options.logger || console;
+    this.middleware = [];
+    // Tracing goes first so its span covers the other middleware
+    if (options.tracer) {
+      this.use(createTracingMiddleware(options.tracer));
+    }
+    for (const middleware of options.middleware || []) {
+      this.use(middleware);
+    }
+    if (options.metrics) {
+      attachMetrics(this, options.metrics);
+    }
+  }
+
+  _emitEvent(event, payload) {
+    // Emitting 'error' without a listener would throw, so events are only emitted when someone listens
+    if (this.listenerCount(event) === 0) return;
+    try {
+      this.emit(event, payload);
+    } catch (error) {
+      this._log('error', `A '${event}' listener threw`, { error: error.message });
+    }
   }
 
   _log(level, message, data = null) {
@@ -143,19 +581,417 @@ class Mailblock {
     }
   }
 
+  _createOutbox({ path, store, ...outboxOptions }) {
+    const outbox = new Outbox({
+      ...outboxOptions,
+      store: store || (path ? new FileOutboxStore(path) : new MemoryOutboxStore()),
+      deliver: (entry) => this._deliverOutboxEntry(entry),
+      onError: (error) => this._log('error', `Outbox flush failed`, { error: error.message })
+    });
+    // Picks up emails left in a durable store by a previous run
+    outbox.start();
+    return outbox;
+  }
+
+  getRateLimitStats() {
+    return this.rateLimiter ? this.rateLimiter.stats() : null;
+  }
+
+  getConnectionStats() {
+    return this.connection ? this.connection.stats() : null;
+  }
+
+  // Stops the outbox timer and releases pooled sockets so the process can exit; later requests fail
+  async close() {
+    if (this.closed) return;
+    this.closed = true;
+    if (this.outbox) {
+      this.outbox.stop();
+      await this.outbox.flushing?.catch(() => {});
+    }
+    if (this.ownsConnection) {
+      await this.connection.close();
+    }
+  }
+
+  _settle(response) {
+    if (this.throwOnError && !response.success && response.errorType) {
+      throw MailblockError.fromResponse(response);
+    }
+    return response;
+  }
+
   _generateRequestId() {
     return 'req_' + Math.random().toString(36).substring(2, 11) + Date.now().toString(36);
   }
 
-  email() {
-    return new EmailBuilder(this);
+  _generateIdempotencyKey() {
+    if (typeof globalThis.crypto?.randomUUID === 'function') {
+      return `idem_${globalThis.crypto.randomUUID()}`;
+    }
+    return 'idem_' + Math.random().toString(36).substring(2, 11) + Math.random().toString(36).substring(2, 11) + Date.now().toString(36);
+  }
+
+  _isValidIdempotencyKey(key) {
+    return typeof key === 'string' && key.trim().length > 0 && key.length <= 255;
   }
 
-  async sendEmail({ to, cc, bcc, from, subject, text, html, scheduledAt }) {
+  email(draft) {
+    return draft === undefined ? new EmailBuilder(this) : EmailBuilder.fromJSON(draft, this);
+  }
+
+  registerTemplate(name, template) {
+    this.templates.registerTemplate(name, template);
+    return this;
+  }
+
+  registerPartial(name, source) {
+    this.templates.registerPartial(name, source);
+    return this;
+  }
+
+  registerLayout(name, layout) {
+    this.templates.registerLayout(name, layout);
+    return this;
+  }
+
+  use(middleware) {
+    const hooks = ['beforeRequest', 'afterResponse', 'onError'];
+    if (middleware === null || typeof middleware !== 'object' || !hooks.some((hook) => typeof middleware[hook] === 'function')) {
+      throw new Error("Middleware must be an object with a beforeRequest, afterResponse or onError function");
+    }
+    for (const hook of hooks) {
+      if (middleware[hook] !== undefined && typeof middleware[hook] !== 'function') {
+        throw new Error(`Middleware ${hook} must be a function`);
+      }
+    }
+    this.middleware.push(middleware);
+    return this;
+  }
+
+  // Runs the middleware pipeline around one logical API call; retries happen inside it
+  async _request(method, path, { operation, body, requestId, headers = {}, signal, timeout, idempotent = true } = {}) {
+    if (this.middleware.length === 0) {
+      return this._requestWithRetry(method, path, { operation, body, requestId, headers, signal, timeout, idempotent });
+    }
+
+    // Hooks get their own copy, so edits never leak into the caller's data or the outbox
+    const context = {
+      operation,
+      method,
+      path,
+      body: body === undefined ? undefined : structuredClone(body),
+      headers: { ...headers },
+      requestId,
+      state: {}
+    };
+
+    // Only middleware whose beforeRequest completed unwind; a short-circuit response still flows back through them
+    const entered = [];
+    let response;
+    let failure = null;
+    try {
+      for (const middleware of this.middleware) {
+        const shortCircuit = await middleware.beforeRequest?.(context);
+        if (shortCircuit !== undefined) {
+          this._log('debug', `Request short-circuited by middleware`, { requestId, operation, middleware: middleware.name });
+          response = this._toMiddlewareResponse(shortCircuit, 0);
+          break;
+        }
+        entered.push(middleware);
+      }
+      if (!response) {
+        response = await this._requestWithRetry(context.method, context.path, {
+          operation,
+          body: context.body,
+          requestId,
+          headers: context.headers,
+          signal,
+          timeout,
+          idempotent
+        });
+      }
+    } catch (error) {
+      failure = error;
+    }
+
+    // Hooks unwind in reverse. Anything thrown on the way, by the request or by a hook, goes to the
+    // onError of every middleware further out; a recovered error continues outwards as a normal response
+    for (const middleware of entered.reverse()) {
+      try {
+        if (failure) {
+          const recovered = await middleware.onError?.(context, failure);
+          if (recovered !== undefined) {
+            response = this._toMiddlewareResponse(recovered, failure.attempts ?? 0);
+            failure = null;
+          }
+        } else {
+          const replaced = await middleware.afterResponse?.(context, response);
+          if (replaced !== undefined) {
+            response = this._toMiddlewareResponse(replaced, response.attempts);
+          }
+        }
+      } catch (error) {
+        failure = error;
+      }
+    }
+    if (failure) throw failure;
+    return response;
+  }
+
+  _toMiddlewareResponse(value, attempts) {
+    if (value === null || typeof value !== 'object') {
+      throw new Error("Middleware must return a response object such as { status, data } or undefined");
+    }
+    const status = value.status ?? 200;
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      headers: this._normalizeHeaders(value.headers),
+      data: value.data ?? {},
+      attempts
+    };
+  }
+
+  async _requestWithRetry(method, path, { operation, body, requestId, headers = {}, signal, timeout, idempotent = true } = {}) {
+    const attemptTimeout = this._normalizeTimeout(timeout, "Request timeout") ?? this.timeout;
+    const request = {
+      method,
+      url: `${this.baseUrl}${path}`,
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${this.apiKey}`,
+        "X-Request-ID": requestId,
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    };
+    const event = { requestId, operation, method, endpoint: request.url };
+    const startTime = Date.now();
+
+    for (let attempt = 1; ; attempt++) {
+      let response;
+      let attemptStart;
+      try {
+        if (this.rateLimiter) {
+          const waited = await this.rateLimiter.acquire(signal);
+          if (waited > 0) {
+            this._log('debug', `Request delayed by rate limiter`, { requestId, waited: `${waited}ms`, queueDepth: this.rateLimiter.queue.length });
+          }
+        }
+        attemptStart = Date.now();
+        this._emitEvent('request', { ...event, attempt, timestamp: new Date(attemptStart).toISOString() });
+        response = await this._sendRequest(request, { signal, timeout: attemptTimeout });
+      } catch (error) {
+        const errorType = this._categorizeException(error);
+        const canRetry = idempotent || this._isConnectionError(error);
+        if (canRetry && this._shouldRetry(errorType, attempt)) {
+          await this._waitBeforeRetry(attempt, null, signal, { ...event, errorType, error: error.message });
+          continue;
+        }
+        error.attempts = attempt;
+        this._emitEvent('error', { ...event, attempts: attempt, duration: Date.now() - startTime, errorType, statusCode: null, error: error.message });
+        throw error;
+      }
+
+      this._emitEvent('response', { ...event, attempt, status: response.status, ok: response.ok, duration: Date.now() - attemptStart });
+      this.rateLimiter?.update(response.status, response.headers);
+
+      if (!response.ok) {
+        const errorType = this._categorizeError(response.status);
+        // A 429 is rejected before any work is done, so it is safe to retry even for sends
+        const canRetry = idempotent || errorType === 'RATE_LIMIT_ERROR';
+        if (canRetry && this._shouldRetry(errorType, attempt)) {
+          const delay = this._getRetryDelay(attempt, response.headers['retry-after']);
+          if (delay !== null) {
+            await this._waitBeforeRetry(attempt, delay, signal, { ...event, errorType, statusCode: response.status });
+            continue;
+          }
+        }
+        this._emitEvent('error', {
+          ...event,
+          attempts: attempt,
+          duration: Date.now() - startTime,
+          errorType,
+          statusCode: response.status,
+          error: response.data?.error || `HTTP error! status: ${response.status}`
+        });
+      }
+
+      response.attempts = attempt;
+      return response;
+    }
+  }
+
+  async _sendRequest(request, { signal, timeout }) {
+    if (this.closed) {
+      throw new ClientClosedError();
+    }
+    if (signal?.aborted) {
+      throw createAbortError(signal.reason);
+    }
+
+    const controller = new AbortController();
+    let timer;
+    let onAbort;
+    // Race the transport so a custom transport that ignores the signal still can't hang the caller
+    const interrupted = new Promise((_, reject) => {
+      onAbort = () => {
+        const error = createAbortError(signal.reason);
+        controller.abort(error);
+        reject(error);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          const error = createTimeoutError(timeout);
+          controller.abort(error);
+          reject(error);
+        }, timeout);
+      }
+    });
+
+    try {
+      const response = await Promise.race([
+        this.transport({ ...request, signal: controller.signal }),
+        interrupted
+      ]);
+
+      const status = response.status;
+      return {
+        ok: status >= 200 && status < 300,
+        status,
+        headers: this._normalizeHeaders(response.headers),
+        data: response.data ?? {}
+      };
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  _normalizeTimeout(timeout, fieldName) {
+    if (timeout === undefined) return undefined;
+    if (timeout === false || timeout === 0) return 0;
+    if (typeof timeout !== "number" || !Number.isFinite(timeout) || timeout < 0) {
+      throw new Error(`${fieldName} must be a non-negative number of milliseconds`);
+    }
+    return timeout;
+  }
+
+  _normalizeRetryOptions(retry) {
+    // Retries are opt-in so a failed call still makes exactly one request unless asked otherwise
+    if (retry === undefined || retry === false) {
+      return { ...DEFAULT_RETRY_OPTIONS, maxAttempts: 1 };
+    }
+    if (retry === true) {
+      return { ...DEFAULT_RETRY_OPTIONS };
+    }
+    if (typeof retry !== "object" || retry === null) {
+      throw new Error("retry must be a boolean or an options object");
+    }
+
+    const normalized = { ...DEFAULT_RETRY_OPTIONS, ...retry };
+    if (!Number.isInteger(normalized.maxAttempts) || normalized.maxAttempts < 1) {
+      throw new Error("retry.maxAttempts must be a positive integer");
+    }
+    for (const field of ['baseDelay', 'maxDelay']) {
+      if (typeof normalized[field] !== "number" || normalized[field] < 0) {
+        throw new Error(`retry.${field} must be a non-negative number`);
+      }
+    }
+    if (typeof normalized.jitter !== "number" || normalized.jitter < 0 || normalized.jitter > 1) {
+      throw new Error("retry.jitter must be a number between 0 and 1");
+    }
+    if (!Array.isArray(normalized.retryOn)) {
+      throw new Error("retry.retryOn must be an array of error types");
+    }
+    return normalized;
+  }
+
+  _shouldRetry(errorType, attempt) {
+    return attempt < this.retry.maxAttempts && this.retry.retryOn.includes(errorType);
+  }
+
+  _isConnectionError(error) {
+    const code = error.code || error.cause?.code;
+    return CONNECTION_ERROR_CODES.includes(code);
+  }
+
+  _getRetryDelay(attempt, retryAfter) {
+    const { baseDelay, maxDelay, jitter } = this.retry;
+
+    const retryAfterMs = parseRetryAfter(retryAfter);
+    if (retryAfterMs !== null) {
+      // Don't wait longer than the policy allows; hand the error back instead
+      return retryAfterMs > maxDelay ? null : retryAfterMs;
+    }
+
+    const backoff = Math.min(baseDelay * 2 ** (attempt - 1), maxDelay);
+    return Math.round(backoff * (1 - jitter * Math.random()));
+  }
+
+  async _waitBeforeRetry(attempt, delay, signal, details) {
+    const wait = delay ?? this._getRetryDelay(attempt);
+    this._log('warn', `Retrying request`, {
+      ...details,
+      attempt,
+      maxAttempts: this.retry.maxAttempts,
+      delay: `${wait}ms`
+    });
+    this._emitEvent('retry', { statusCode: null, error: null, ...details, attempt, delay: wait });
+    try {
+      await sleep(wait, signal);
+    } catch (error) {
+      error.attempts = attempt;
+      this._emitEvent('error', { ...details, attempts: attempt, errorType: this._categorizeException(error), statusCode: null, error: error.message });
+      throw error;
+    }
+  }
+
+  _normalizeHeaders(headers) {
+    if (!headers) return {};
+    const entries = typeof headers.entries === 'function' ? headers.entries() : Object.entries(headers);
+    const normalized = {};
+    for (const [key, value] of entries) {
+      normalized[key.toLowerCase()] = value;
+    }
+    return normalized;
+  }
+
+  async sendEmail(options, requestOptions) {
+    return this._settle(await this._sendEmail(options, requestOptions));
+  }
+
+  async _sendEmail({ to, cc, bcc, from, replyTo, subject, text, html, scheduledAt, attachments, headers, tags, metadata, idempotencyKey, template, variables, autoText }, { signal, timeout } = {}) {
     const requestId = this._generateRequestId();
     const startTime = Date.now();
     const timestamp = new Date().toISOString();
 
+    // Explicit subject/text/html take precedence over the rendered template parts
+    if (template !== undefined) {
+      try {
+        const rendered = this.templates.render(template, variables);
+        subject = subject ?? rendered.subject;
+        text = text ?? rendered.text;
+        html = html ?? rendered.html;
+      } catch (error) {
+        return {
+          success: false,
+          error: error.message,
+          errorType: "VALIDATION_ERROR",
+          statusCode: null,
+          requestId,
+          timestamp,
+          duration: Date.now() - startTime
+        };
+      }
+    }
+
+    if (html && !text) {
+      text = this._deriveText(html, autoText) || undefined;
+    }
+
     this._log('info', `Initiating email send request`, { requestId, to, from, subject: subject?.substring(0, 50) + '...' });
 
     // Validation errors
@@ -208,7 +1044,7 @@ class Mailblock {
     }
 
     // Validate email addresses
-    const emailValidation = this._validateEmailFields({ to, cc, bcc, from });
+    const emailValidation = this._validateEmailFields({ to, cc, bcc, from, replyTo });
     if (!emailValidation.isValid) {
       return {
         success: false,
@@ -220,40 +1056,171 @@ class Mailblock {
         duration: Date.now() - startTime
       };
     }
+    ({ from, replyTo } = emailValidation.normalized);
 
-    const payload = {
-      to,
-      from,
-      subject,
-      ...(text && { text }),
+    const customFields = this._validateCustomFields({ headers, tags, metadata });
+    if (!customFields.isValid) {
+      return {
+        success: false,
+        error: customFields.error,
+        errorType: "VALIDATION_ERROR",
+        statusCode: null,
+        requestId,
+        timestamp,
+        duration: Date.now() - startTime
+      };
+    }
+    ({ headers, tags, metadata } = customFields);
+
+    if (idempotencyKey !== undefined && !this._isValidIdempotencyKey(idempotencyKey)) {
+      return {
+        success: false,
+        error: "idempotencyKey must be a non-empty string of at most 255 characters",
+        errorType: "VALIDATION_ERROR",
+        statusCode: null,
+        requestId,
+        timestamp,
+        duration: Date.now() - startTime
+      };
+    }
+
+    if (scheduledAt) {
+      const schedule = resolveSchedule(scheduledAt);
+      const error = !schedule.isValid
+        ? schedule.error
+        : schedule.date <= new Date() ? "Scheduled date must be in the future" : null;
+      if (error) {
+        return {
+          success: false,
+          error,
+          errorType: "VALIDATION_ERROR",
+          statusCode: null,
+          requestId,
+          timestamp,
+          duration: Date.now() - startTime
+        };
+      }
+      scheduledAt = schedule.date;
+    }
+
+    let recipients;
+    try {
+      recipients = await this._filterRecipients(emailValidation);
+    } catch (error) {
+      const errorType = error instanceof MailblockError ? error.errorType : this._categorizeException(error);
+      return {
+        success: false,
+        error: `Suppression check failed: ${error.message}`,
+        errorType,
+        suggestion: this._getExceptionSuggestion(errorType),
+        statusCode: null,
+        requestId,
+        timestamp,
+        duration: Date.now() - startTime
+      };
+    }
+    ({ to, cc, bcc } = recipients);
+    const droppedRecipients = recipients.dropped;
+
+    if (droppedRecipients.length > 0) {
+      this._log('warn', `Dropped ${droppedRecipients.length} recipient(s) before sending`, { requestId, droppedRecipients });
+    }
+
+    if (!to) {
+      return {
+        success: false,
+        error: "Every 'to' recipient was dropped because it is suppressed",
+        errorType: "VALIDATION_ERROR",
+        suggestion: "Remove the suppressed addresses or lift the suppression with client.suppressions.remove()",
+        statusCode: null,
+        requestId,
+        timestamp,
+        duration: Date.now() - startTime,
+        droppedRecipients
+      };
+    }
+
+    // Attachments go last: they may read files or consume streams, which a rejected send must leave untouched
+    let normalizedAttachments;
+    if (attachments !== undefined && attachments !== null) {
+      const attachmentValidation = await normalizeAttachments(attachments, { maxTotalSize: this.maxAttachmentsSize });
+      if (!attachmentValidation.isValid) {
+        return {
+          success: false,
+          error: attachmentValidation.error,
+          errorType: "VALIDATION_ERROR",
+          statusCode: null,
+          requestId,
+          timestamp,
+          duration: Date.now() - startTime,
+          droppedRecipients
+        };
+      }
+      normalizedAttachments = attachmentValidation.attachments;
+    }
+
+    // Reusing one key across retries lets the backend deduplicate the send
+    // The outbox may resend after a timeout, so it always needs a key to stay duplicate-free
+    const key = idempotencyKey || (this.autoIdempotencyKey || this.outbox ? this._generateIdempotencyKey() : undefined);
+
+    const payload = {
+      to,
+      from,
+      subject,
+      ...(text && { text }),
       ...(html && { html }),
       ...(cc && { cc }),
       ...(bcc && { bcc }),
+      ...(replyTo && { reply_to: replyTo }),
+      ...(headers && { headers }),
+      ...(tags?.length && { tags }),
+      ...(metadata && { metadata }),
+      ...(normalizedAttachments?.length && { attachments: normalizedAttachments }),
     };
 
     if (scheduledAt) {
-      payload.scheduled_at =
-        scheduledAt instanceof Date ? scheduledAt.toISOString() : scheduledAt;
+      payload.scheduled_at = scheduledAt.toISOString();
+    }
+
+    // Emails already waiting in the outbox go out first, so a new send never overtakes them. It is queued
+    // behind them and delivered by a background flush, so a long backlog never holds up this call.
+    const backlog = this.outbox ? await this._outboxBacklog(requestId) : null;
+    if (backlog) {
+      const queued = await this._enqueueSend({
+        payload, key, requestId, timestamp, startTime, attempts: 0, droppedRecipients,
+        errorType: backlog.lastErrorType || 'NETWORK_ERROR',
+        error: `Earlier emails are still waiting in the outbox: ${backlog.lastError}`,
+        statusCode: null
+      });
+      if (queued) {
+        this.outbox.wake();
+        return queued;
+      }
     }
 
     this._log('debug', 'Sending API request', { 
       requestId, 
+      idempotencyKey: key,
       endpoint: `${this.baseUrl}/v1/send-email`,
-      payload: { ...payload, text: text ? '[REDACTED]' : undefined, html: html ? '[REDACTED]' : undefined }
+      payload: {
+        ...payload,
+        text: text ? '[REDACTED]' : undefined,
+        html: html ? '[REDACTED]' : undefined,
+        attachments: payload.attachments?.map(({ filename, content_type }) => ({ filename, content_type }))
+      }
     });
 
     try {
-      const response = await fetch(`${this.baseUrl}/v1/send-email`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${this.apiKey}`,
-          "X-Request-ID": requestId,
-        },
-        body: JSON.stringify(payload),
+      const response = await this._request("POST", "/v1/send-email", {
+        operation: "sendEmail",
+        body: payload,
+        requestId,
+        headers: key ? { "Idempotency-Key": key } : {},
+        signal,
+        timeout,
+        idempotent: Boolean(key)
       });
-
-      const result = await response.json();
+      const result = response.data;
       const duration = Date.now() - startTime;
 
       this._log('debug', `API response received`, { 
@@ -276,6 +1243,9 @@ class Mailblock {
           suggestion
         });
 
+        const queued = await this._queueFailedSend({ payload, key, requestId, timestamp, startTime, attempts: response.attempts, errorType, error: errorMessage, statusCode: response.status, droppedRecipients });
+        if (queued) return queued;
+
         return {
           success: false,
           error: errorMessage,
@@ -285,10 +1255,15 @@ class Mailblock {
           requestId,
           timestamp,
           duration,
-          endpoint: `${this.baseUrl}/v1/send-email`
+          attempts: response.attempts,
+          ...(key && { idempotencyKey: key }),
+          endpoint: `${this.baseUrl}/v1/send-email`,
+          droppedRecipients
         };
       }
 
+      this.outbox?.wake();
+
       // Handle the new API response format
       const emailData = result.results && result.results[0] ? result.results[0] : result;
       
@@ -318,13 +1293,14 @@ class Mailblock {
           : "Email sent successfully",
         requestId,
         timestamp,
-        duration
+        duration,
+        attempts: response.attempts,
+        ...(key && { idempotencyKey: key }),
+        droppedRecipients
       };
     } catch (error) {
       const duration = Date.now() - startTime;
-      const errorType = error.name === 'TypeError' && error.message.includes('fetch') 
-        ? 'NETWORK_ERROR' 
-        : 'UNKNOWN_ERROR';
+      const errorType = this._categorizeException(error);
 
       this._log('error', `Request failed with exception`, { 
         requestId, 
@@ -333,23 +1309,269 @@ class Mailblock {
         duration: `${duration}ms`
       });
 
+      const queued = await this._queueFailedSend({ payload, key, requestId, timestamp, startTime, attempts: error.attempts ?? 0, errorType, error: `Failed to send email: ${error.message}`, statusCode: null, droppedRecipients });
+      if (queued) return queued;
+
       return {
         success: false,
         error: `Failed to send email: ${error.message}`,
         errorType,
-        suggestion: errorType === 'NETWORK_ERROR' 
-          ? 'Check your internet connection and try again' 
-          : 'Please try again or contact support if the issue persists',
+        suggestion: this._getExceptionSuggestion(errorType),
         statusCode: null,
         requestId,
         timestamp,
         duration,
-        endpoint: `${this.baseUrl}/v1/send-email`
+        attempts: error.attempts ?? 0,
+        ...(key && { idempotencyKey: key }),
+        endpoint: `${this.baseUrl}/v1/send-email`,
+        droppedRecipients
+      };
+    }
+  }
+
+  async _queueFailedSend(details) {
+    if (!this.outbox?.shouldQueue(details.errorType)) return null;
+    return this._enqueueSend(details);
+  }
+
+  // The oldest email still waiting in the outbox, or null once it is empty
+  async _outboxBacklog(requestId) {
+    try {
+      return (await this.outbox.pending()).find((entry) => entry.status !== 'failed') || null;
+    } catch (error) {
+      this._log('error', `Could not read the outbox`, { requestId, error: error.message });
+      return null;
+    }
+  }
+
+  // A queued send is still a failed call: the email is safe, but it has not reached the API yet
+  async _enqueueSend({ payload, key, requestId, timestamp, startTime, attempts, errorType, error, statusCode, droppedRecipients }) {
+    let entry;
+    try {
+      entry = await this.outbox.enqueue({ payload, idempotencyKey: key, reason: { error, errorType } });
+    } catch (outboxError) {
+      this._log('error', `Could not write email to the outbox`, { requestId, error: outboxError.message });
+      return null;
+    }
+
+    this._log('warn', `Email queued in the outbox`, { requestId, outboxId: entry.id, errorType });
+
+    return {
+      success: false,
+      queued: true,
+      error,
+      errorType,
+      suggestion: "The email was saved to the outbox and will be sent once the API is reachable",
+      statusCode,
+      data: {
+        id: null,
+        status: 'queued',
+        outboxId: entry.id
+      },
+      requestId,
+      timestamp,
+      duration: Date.now() - startTime,
+      attempts,
+      idempotencyKey: key,
+      endpoint: `${this.baseUrl}/v1/send-email`,
+      droppedRecipients
+    };
+  }
+
+  async _deliverOutboxEntry(entry) {
+    const requestId = this._generateRequestId();
+    try {
+      const response = await this._request("POST", "/v1/send-email", {
+        operation: "sendEmail",
+        body: entry.payload,
+        requestId,
+        headers: { "Idempotency-Key": entry.idempotencyKey },
+        idempotent: true
+      });
+      const result = response.data;
+
+      if (!response.ok) {
+        return {
+          success: false,
+          error: result.error || `HTTP error! status: ${response.status}`,
+          errorType: this._categorizeError(response.status),
+          statusCode: response.status
+        };
+      }
+
+      const emailData = result.results && result.results[0] ? result.results[0] : result;
+      this._log('info', `Outbox email sent`, { requestId, outboxId: entry.id, emailId: emailData.id });
+      return { success: true, data: { id: emailData.id, status: emailData.status } };
+    } catch (error) {
+      return { success: false, error: error.message, errorType: this._categorizeException(error), statusCode: null };
+    }
+  }
+
+  async sendBatch(recipients, baseEmail, options) {
+    return this._settle(await this._sendBatch(recipients, baseEmail, options));
+  }
+
+  async _sendBatch(recipients, baseEmail = {}, { concurrency = 5, stagger, signal, timeout } = {}) {
+    const requestId = this._generateRequestId();
+    const startTime = Date.now();
+    const timestamp = new Date().toISOString();
+
+    this._log('info', `Initiating batch send request`, { requestId, count: recipients?.length, concurrency });
+
+    // Validation
+    if (!Array.isArray(recipients) || recipients.length === 0) {
+      return {
+        success: false,
+        error: "Recipients must be a non-empty array",
+        errorType: "VALIDATION_ERROR",
+        statusCode: null,
+        requestId,
+        timestamp,
+        duration: Date.now() - startTime
+      };
+    }
+
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      return {
+        success: false,
+        error: "concurrency must be a positive integer",
+        errorType: "VALIDATION_ERROR",
+        statusCode: null,
+        requestId,
+        timestamp,
+        duration: Date.now() - startTime
+      };
+    }
+
+    const { template, variables: baseVariables = {}, subject, html, text, ...sharedFields } = baseEmail;
+
+    let schedule;
+    let compiled;
+    try {
+      schedule = this._getStaggerSchedule(stagger, recipients.length);
+      if (template === undefined) {
+        compiled = this.templates.compile({ subject, html, text }, 'batch');
+      }
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        errorType: "VALIDATION_ERROR",
+        statusCode: null,
+        requestId,
+        timestamp,
+        duration: Date.now() - startTime
+      };
+    }
+
+    const results = await runWithConcurrency(recipients, concurrency, async (recipient, index) => {
+      const { to, variables = {}, ...overrides } = typeof recipient === 'string' ? { to: recipient } : (recipient || {});
+      const mergedVariables = { ...baseVariables, ...variables };
+      const email = {
+        ...sharedFields,
+        ...overrides,
+        to,
+        // A slot that is already due, such as the first one of a stagger starting now, is sent right away
+        ...(schedule && schedule[index] > new Date() && { scheduledAt: schedule[index] }),
+      };
+
+      // One key per recipient, otherwise the backend would deduplicate the whole batch into one send
+      if (sharedFields.idempotencyKey && !overrides.idempotencyKey) {
+        email.idempotencyKey = `${sharedFields.idempotencyKey}:${index}`;
+      }
+
+      // Resolve relative schedules here so the reported scheduled_at matches what was sent
+      const resolvedSchedule = email.scheduledAt ? resolveSchedule(email.scheduledAt) : null;
+      if (resolvedSchedule?.isValid) {
+        email.scheduledAt = resolvedSchedule.date;
+      }
+
+      let response;
+      if (template !== undefined) {
+        response = await this._sendEmail({ ...email, template, variables: mergedVariables, subject, html, text }, { signal, timeout });
+      } else {
+        try {
+          const rendered = this.templates.render(compiled, mergedVariables);
+          response = await this._sendEmail({ ...email, ...rendered }, { signal, timeout });
+        } catch (error) {
+          response = { success: false, error: error.message, errorType: "VALIDATION_ERROR", requestId: null };
+        }
+      }
+
+      return {
+        index,
+        to,
+        success: response.success,
+        ...(response.success
+          ? { id: response.data?.id, status: response.data?.status }
+          : { error: response.error, errorType: response.errorType, ...(response.queued && { queued: true, outboxId: response.data.outboxId }) }),
+        ...(resolvedSchedule?.isValid && { scheduled_at: email.scheduledAt.toISOString() }),
+        ...(response.droppedRecipients?.length && { droppedRecipients: response.droppedRecipients }),
+        requestId: response.requestId,
+        attempts: response.attempts
       };
+    });
+
+    const successCount = results.filter((result) => result.success).length;
+    const errorCount = results.length - successCount;
+    const duration = Date.now() - startTime;
+
+    this._log(errorCount > 0 ? 'warn' : 'info', `Batch send completed`, {
+      requestId,
+      duration: `${duration}ms`,
+      successCount,
+      errorCount
+    });
+
+    return {
+      success: errorCount === 0,
+      data: {
+        message: `Sent ${successCount} of ${results.length} emails`,
+        success_count: successCount,
+        error_count: errorCount,
+        total_recipients: results.length,
+        results
+      },
+      message: `Sent ${successCount} of ${results.length} emails`,
+      requestId,
+      timestamp,
+      duration
+    };
+  }
+
+  _getStaggerSchedule(stagger, count) {
+    if (stagger === undefined || stagger === null) return null;
+    if (typeof stagger !== 'object') {
+      throw new Error("stagger must be an object with start and end or window");
+    }
+
+    const start = stagger.start === undefined ? new Date() : new Date(stagger.start);
+    if (isNaN(start.getTime())) {
+      throw new Error("Invalid stagger start date");
+    }
+
+    let window;
+    if (stagger.end !== undefined) {
+      const end = new Date(stagger.end);
+      if (isNaN(end.getTime()) || end <= start) {
+        throw new Error("stagger end must be a valid date after start");
+      }
+      window = end.getTime() - start.getTime();
+    } else if (typeof stagger.window === 'number' && stagger.window > 0) {
+      window = stagger.window;
+    } else {
+      throw new Error("stagger requires an end date or a positive window in milliseconds");
     }
+
+    const step = count > 1 ? window / (count - 1) : 0;
+    return Array.from({ length: count }, (_, index) => new Date(start.getTime() + Math.round(step * index)));
+  }
+
+  async cancelEmail(emailId, requestOptions) {
+    return this._settle(await this._cancelEmail(emailId, requestOptions));
   }
 
-  async cancelEmail(emailId) {
+  async _cancelEmail(emailId, { signal, timeout } = {}) {
     const requestId = this._generateRequestId();
     const startTime = Date.now();
     const timestamp = new Date().toISOString();
@@ -388,16 +1610,8 @@ class Mailblock {
     });
 
     try {
-      const response = await fetch(`${this.baseUrl}/v1/cancel-email/${emailId}`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${this.apiKey}`,
-          "X-Request-ID": requestId,
-        },
-      });
-
-      const result = await response.json();
+      const response = await this._request("POST", `/v1/cancel-email/${emailId}`, { operation: "cancelEmail", requestId, signal, timeout });
+      const result = response.data;
       const duration = Date.now() - startTime;
 
       this._log('debug', `Cancellation API response received`, { 
@@ -429,6 +1643,7 @@ class Mailblock {
           requestId,
           timestamp,
           duration,
+          attempts: response.attempts,
           endpoint: `${this.baseUrl}/v1/cancel-email/${emailId}`
         };
       }
@@ -447,13 +1662,12 @@ class Mailblock {
         message: "Email cancelled successfully",
         requestId,
         timestamp,
-        duration
+        duration,
+        attempts: response.attempts
       };
     } catch (error) {
       const duration = Date.now() - startTime;
-      const errorType = error.name === 'TypeError' && error.message.includes('fetch') 
-        ? 'NETWORK_ERROR' 
-        : 'UNKNOWN_ERROR';
+      const errorType = this._categorizeException(error);
 
       this._log('error', `Cancellation request failed with exception`, { 
         requestId, 
@@ -464,44 +1678,756 @@ class Mailblock {
 
       return {
         success: false,
-        error: `Failed to cancel email: ${error.message}`,
-        errorType,
-        suggestion: errorType === 'NETWORK_ERROR' 
-          ? 'Check your internet connection and try again' 
-          : 'Please try again or contact support if the issue persists',
-        statusCode: null,
+        error: `Failed to cancel email: ${error.message}`,
+        errorType,
+        suggestion: this._getExceptionSuggestion(errorType),
+        statusCode: null,
+        requestId,
+        timestamp,
+        duration,
+        attempts: error.attempts ?? 0,
+        endpoint: `${this.baseUrl}/v1/cancel-email/${emailId}`
+      };
+    }
+  }
+
+  async cancelEmails(emailIds, requestOptions) {
+    return this._settle(await this._cancelEmails(emailIds, requestOptions));
+  }
+
+  async _cancelEmails(emailIds, { chunkSize = DEFAULT_CANCEL_CHUNK_SIZE, concurrency = DEFAULT_CANCEL_CONCURRENCY, signal, timeout } = {}) {
+    const requestId = this._generateRequestId();
+    const startTime = Date.now();
+    const timestamp = new Date().toISOString();
+
+    this._log('info', `Initiating bulk email cancellation request`, { requestId, count: emailIds?.length, chunkSize, concurrency });
+
+    // Validation
+    if (!emailIds) {
+      return {
+        success: false,
+        error: "Email IDs array is required",
+        errorType: "VALIDATION_ERROR",
+        statusCode: null,
+        requestId,
+        timestamp,
+        duration: Date.now() - startTime
+      };
+    }
+
+    if (!Array.isArray(emailIds)) {
+      return {
+        success: false,
+        error: "Email IDs must be an array",
+        errorType: "VALIDATION_ERROR",
+        statusCode: null,
+        requestId,
+        timestamp,
+        duration: Date.now() - startTime
+      };
+    }
+
+    if (emailIds.length === 0) {
+      return {
+        success: false,
+        error: "Email IDs array cannot be empty",
+        errorType: "VALIDATION_ERROR",
+        statusCode: null,
+        requestId,
+        timestamp,
+        duration: Date.now() - startTime
+      };
+    }
+
+    for (const [field, value] of [['chunkSize', chunkSize], ['concurrency', concurrency]]) {
+      if (!Number.isInteger(value) || value < 1) {
+        return {
+          success: false,
+          error: `${field} must be a positive integer`,
+          errorType: "VALIDATION_ERROR",
+          statusCode: null,
+          requestId,
+          timestamp,
+          duration: Date.now() - startTime
+        };
+      }
+    }
+
+    // Invalid and repeated IDs are reported per ID instead of failing the whole cancellation
+    const validIds = [];
+    const invalidErrors = [];
+    const seen = new Set();
+    for (const emailId of emailIds) {
+      const isValidId = (typeof emailId === 'number' && Number.isFinite(emailId)) || (typeof emailId === 'string' && emailId.trim().length > 0);
+      if (!isValidId) {
+        invalidErrors.push({ email_id: emailId, error: `Invalid email ID: ${emailId}. Email IDs must be numbers or non-empty strings`, errorType: "VALIDATION_ERROR" });
+        continue;
+      }
+      if (seen.has(String(emailId))) continue;
+      seen.add(String(emailId));
+      validIds.push(emailId);
+    }
+
+    if (validIds.length === 0) {
+      return {
+        success: false,
+        error: invalidErrors[0].error,
+        errorType: "VALIDATION_ERROR",
+        statusCode: null,
+        requestId,
+        timestamp,
+        duration: Date.now() - startTime
+      };
+    }
+
+    const chunks = [];
+    for (let index = 0; index < validIds.length; index += chunkSize) {
+      chunks.push(validIds.slice(index, index + chunkSize));
+    }
+
+    const responses = await runWithConcurrency(chunks, concurrency, (chunk, index) =>
+      this._cancelEmailsChunk(chunk, { requestId: chunks.length > 1 ? `${requestId}_${index + 1}` : requestId, signal, timeout })
+    );
+
+    const results = [];
+    const errors = [...invalidErrors];
+    const failedChunks = [];
+    let attempts = 0;
+    responses.forEach((response, index) => {
+      attempts += response.attempts ?? 0;
+      if (response.success) {
+        results.push(...(response.data.results || []));
+        errors.push(...(response.data.errors || []));
+        return;
+      }
+      // A chunk that failed as a whole marks each of its IDs, so callers can retry exactly those
+      failedChunks.push({ chunk: index + 1, size: chunks[index].length, error: response.error, errorType: response.errorType, statusCode: response.statusCode, requestId: response.requestId });
+      errors.push(...chunks[index].map((emailId) => ({ email_id: emailId, error: response.error, errorType: response.errorType })));
+    });
+
+    const duration = Date.now() - startTime;
+    const message = `Cancelled ${results.length} of ${emailIds.length} emails`;
+    const data = {
+      message,
+      success_count: results.length,
+      error_count: errors.length,
+      results,
+      ...(errors.length > 0 && { errors }),
+      chunks: chunks.length,
+      ...(failedChunks.length > 0 && { failed_chunks: failedChunks })
+    };
+
+    this._log(failedChunks.length > 0 ? 'warn' : 'info', `Bulk email cancellation completed`, {
+      requestId,
+      duration: `${duration}ms`,
+      successCount: results.length,
+      errorCount: errors.length,
+      chunks: chunks.length,
+      failedChunks: failedChunks.length
+    });
+
+    if (failedChunks.length > 0) {
+      const [firstFailure] = failedChunks;
+      const failedResponse = responses[firstFailure.chunk - 1];
+      return {
+        success: false,
+        data,
+        error: chunks.length > 1
+          ? `${failedChunks.length} of ${chunks.length} chunks failed: ${firstFailure.error}`
+          : firstFailure.error,
+        errorType: firstFailure.errorType,
+        suggestion: failedResponse.suggestion,
+        statusCode: firstFailure.statusCode,
+        message,
+        requestId,
+        timestamp,
+        duration,
+        attempts,
+        endpoint: `${this.baseUrl}/v1/cancel-email`
+      };
+    }
+
+    return {
+      success: true,
+      data,
+      message,
+      requestId,
+      timestamp,
+      duration,
+      attempts
+    };
+  }
+
+  // One POST /v1/cancel-email call; _cancelEmails splits large lists into these
+  async _cancelEmailsChunk(emailIds, { requestId, signal, timeout }) {
+    const startTime = Date.now();
+    const timestamp = new Date().toISOString();
+    const payload = { email_ids: emailIds };
+
+    this._log('debug', 'Sending bulk cancellation API request', { 
+      requestId, 
+      endpoint: `${this.baseUrl}/v1/cancel-email`,
+      payload
+    });
+
+    try {
+      const response = await this._request("POST", "/v1/cancel-email", { operation: "cancelEmails", body: payload, requestId, signal, timeout });
+      const result = response.data;
+      const duration = Date.now() - startTime;
+
+      this._log('debug', `Bulk cancellation API response received`, { 
+        requestId, 
+        statusCode: response.status, 
+        duration: `${duration}ms`,
+        success: response.ok,
+        successCount: result.success_count,
+        errorCount: result.error_count
+      });
+
+      if (!response.ok) {
+        const errorType = this._categorizeError(response.status);
+        const errorMessage = result.error || `HTTP error! status: ${response.status}`;
+        const suggestion = this._getErrorSuggestion(response.status);
+
+        this._log('error', `Bulk cancellation API request failed`, { 
+          requestId, 
+          error: errorMessage, 
+          statusCode: response.status,
+          errorType,
+          suggestion
+        });
+
+        return {
+          success: false,
+          error: errorMessage,
+          errorType,
+          suggestion,
+          statusCode: response.status,
+          requestId,
+          timestamp,
+          duration,
+          attempts: response.attempts,
+          endpoint: `${this.baseUrl}/v1/cancel-email`
+        };
+      }
+
+      this._log('debug', `Bulk cancellation chunk completed`, {
+        requestId,
+        duration: `${duration}ms`,
+        successCount: result.success_count,
+        errorCount: result.error_count,
+        totalRequested: emailIds.length
+      });
+
+      return {
+        success: true,
+        data: result,
+        message: result.message || `Cancelled ${result.success_count} of ${emailIds.length} emails`,
+        requestId,
+        timestamp,
+        duration,
+        attempts: response.attempts
+      };
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      const errorType = this._categorizeException(error);
+
+      this._log('error', `Bulk cancellation request failed with exception`, { 
+        requestId, 
+        error: error.message, 
+        errorType,
+        duration: `${duration}ms`
+      });
+
+      return {
+        success: false,
+        error: `Failed to cancel emails: ${error.message}`,
+        errorType,
+        suggestion: this._getExceptionSuggestion(errorType),
+        statusCode: null,
+        requestId,
+        timestamp,
+        duration,
+        attempts: error.attempts ?? 0,
+        endpoint: `${this.baseUrl}/v1/cancel-email`
+      };
+    }
+  }
+
+  async cancelWhere(filters, options) {
+    return this._settle(await this._cancelWhere(filters, options));
+  }
+
+  // Cancels every scheduled email matching the filters. Matches are collected first, so cancelling
+  // does not shift the pages still being read.
+  async _cancelWhere(filters, { chunkSize, concurrency, signal, timeout } = {}) {
+    const requestId = this._generateRequestId();
+    const startTime = Date.now();
+    const timestamp = new Date().toISOString();
+
+    this._log('info', `Initiating cancel-by-filter request`, { requestId, filters });
+
+    const { tag, to, from, scheduledBefore, scheduledAfter, ...unknown } = filters || {};
+    const unknownFilter = Object.keys(unknown)[0];
+    let error = null;
+    if (filters === null || typeof filters !== 'object' || Array.isArray(filters)) {
+      error = "Filters must be an object";
+    } else if (unknownFilter) {
+      error = `Unknown filter '${unknownFilter}'. Use tag, to, from, scheduledBefore or scheduledAfter`;
+    } else if ([tag, to, from, scheduledBefore, scheduledAfter].every((value) => value === undefined)) {
+      // Refuse to cancel every scheduled email by accident
+      error = "At least one of tag, to, from, scheduledBefore or scheduledAfter is required";
+    }
+    if (error) {
+      return {
+        success: false,
+        error,
+        errorType: "VALIDATION_ERROR",
+        statusCode: null,
+        requestId,
+        timestamp,
+        duration: Date.now() - startTime
+      };
+    }
+
+    const listFilters = { status: 'scheduled', tag, to, from, scheduledBefore, scheduledAfter, limit: 100 };
+    const emailIds = [];
+    for (let cursor; ;) {
+      const page = await this._listEmailsPage({ ...listFilters, cursor }, { signal, timeout });
+      if (!page.success) {
+        return { ...page, requestId, timestamp, duration: Date.now() - startTime };
+      }
+      // Filtering by status again guards against an API that ignores the status parameter
+      emailIds.push(...page.data.emails.filter((email) => email.status === 'scheduled').map((email) => email.id));
+      if (!page.data.has_more || !page.data.next_cursor) break;
+      cursor = page.data.next_cursor;
+    }
+
+    this._log('debug', `Cancel-by-filter matched emails`, { requestId, matched: emailIds.length });
+
+    if (emailIds.length === 0) {
+      return {
+        success: true,
+        data: { message: "No scheduled emails matched", success_count: 0, error_count: 0, results: [], chunks: 0, matched: 0 },
+        message: "No scheduled emails matched",
+        requestId,
+        timestamp,
+        duration: Date.now() - startTime
+      };
+    }
+
+    const response = await this._cancelEmails(emailIds, { chunkSize, concurrency, signal, timeout });
+    return {
+      ...response,
+      ...(response.data && { data: { ...response.data, matched: emailIds.length } }),
+      requestId,
+      timestamp,
+      duration: Date.now() - startTime
+    };
+  }
+
+  async updateScheduledEmail(emailId, updates, requestOptions) {
+    return this._settle(await this._updateScheduledEmail(emailId, updates, requestOptions));
+  }
+
+  async _updateScheduledEmail(emailId, updates, { since, signal, timeout } = {}) {
+    const requestId = this._generateRequestId();
+    const startTime = Date.now();
+    const timestamp = new Date().toISOString();
+
+    // An edited draft is turned into the fields that changed since `since`
+    if (updates instanceof EmailBuilder) {
+      try {
+        updates = updates.diff(since);
+      } catch (error) {
+        if (!(error instanceof MailblockValidationError)) throw error;
+        return {
+          success: false,
+          error: error.message,
+          errorType: "VALIDATION_ERROR",
+          statusCode: null,
+          requestId,
+          timestamp,
+          duration: Date.now() - startTime
+        };
+      }
+    }
+
+    this._log('info', `Initiating scheduled email update request`, { requestId, emailId, updates: updates && typeof updates === 'object' ? Object.keys(updates) : updates });
+
+    // Validation
+    if (!emailId) {
+      return {
+        success: false,
+        error: "Email ID is required",
+        errorType: "VALIDATION_ERROR",
+        statusCode: null,
+        requestId,
+        timestamp,
+        duration: Date.now() - startTime
+      };
+    }
+
+    if (typeof emailId !== 'number' && typeof emailId !== 'string') {
+      return {
+        success: false,
+        error: "Email ID must be a number or string",
+        errorType: "VALIDATION_ERROR",
+        statusCode: null,
+        requestId,
+        timestamp,
+        duration: Date.now() - startTime
+      };
+    }
+
+    if (!updates || typeof updates !== 'object') {
+      return {
+        success: false,
+        error: "Updates object is required",
+        errorType: "VALIDATION_ERROR",
+        statusCode: null,
+        requestId,
+        timestamp,
+        duration: Date.now() - startTime
+      };
+    }
+
+    // Validate that at least one valid field is provided
+    const validFields = ['subject', 'body_html', 'body_text', 'scheduled_at'];
+    const providedFields = Object.keys(updates).filter(key => validFields.includes(key));
+    
+    if (providedFields.length === 0) {
+      return {
+        success: false,
+        error: "At least one field must be provided for update (subject, body_html, body_text, or scheduled_at)",
+        errorType: "VALIDATION_ERROR",
+        statusCode: null,
+        requestId,
+        timestamp,
+        duration: Date.now() - startTime
+      };
+    }
+
+    if (typeof updates.body_html === 'string' && updates.body_text === undefined) {
+      const derivedText = this._deriveText(updates.body_html, updates.autoText);
+      if (derivedText) updates = { ...updates, body_text: derivedText };
+    }
+
+    // Prepare payload - only include valid fields
+    const payload = {};
+    if (updates.subject !== undefined) payload.subject = updates.subject;
+    if (updates.body_html !== undefined) payload.body_html = updates.body_html;
+    if (updates.body_text !== undefined) payload.body_text = updates.body_text;
+    if (updates.scheduled_at !== undefined) {
+      // null unschedules; everything else goes through the same resolver as sendEmail
+      if (updates.scheduled_at === null) {
+        payload.scheduled_at = null;
+      } else {
+        const schedule = resolveSchedule(updates.scheduled_at);
+        if (!schedule.isValid) {
+          return {
+            success: false,
+            error: `Invalid scheduled_at: ${schedule.error}`,
+            errorType: "VALIDATION_ERROR",
+            statusCode: null,
+            requestId,
+            timestamp,
+            duration: Date.now() - startTime
+          };
+        }
+        payload.scheduled_at = schedule.date.toISOString();
+      }
+    }
+
+    this._log('debug', 'Sending update API request', { 
+      requestId, 
+      endpoint: `${this.baseUrl}/v1/update-scheduled-email/${emailId}`,
+      payload: { ...payload, body_html: payload.body_html ? '[REDACTED]' : undefined, body_text: payload.body_text ? '[REDACTED]' : undefined }
+    });
+
+    try {
+      const response = await this._request("PUT", `/v1/update-scheduled-email/${emailId}`, { operation: "updateScheduledEmail", body: payload, requestId, signal, timeout });
+      const result = response.data;
+      const duration = Date.now() - startTime;
+
+      this._log('debug', `Update API response received`, { 
+        requestId, 
+        statusCode: response.status, 
+        duration: `${duration}ms`,
+        success: response.ok 
+      });
+
+      if (!response.ok) {
+        const errorType = this._categorizeError(response.status);
+        const errorMessage = result.error || `HTTP error! status: ${response.status}`;
+        const suggestion = this._getErrorSuggestion(response.status);
+
+        this._log('error', `Update API request failed`, { 
+          requestId, 
+          error: errorMessage, 
+          statusCode: response.status,
+          errorType,
+          suggestion,
+          currentStatus: result.current_status
+        });
+
+        return {
+          success: false,
+          error: errorMessage,
+          errorType,
+          suggestion,
+          statusCode: response.status,
+          currentStatus: result.current_status,
+          requestId,
+          timestamp,
+          duration,
+          attempts: response.attempts,
+          endpoint: `${this.baseUrl}/v1/update-scheduled-email/${emailId}`
+        };
+      }
+
+      this._log('info', `Scheduled email updated successfully`, { 
+        requestId, 
+        duration: `${duration}ms`,
+        emailId: result.email?.id,
+        status: result.email?.status,
+        trackingUpdated: result.tracking_updated,
+        jobRescheduled: result.job_rescheduled
+      });
+
+      return {
+        success: true,
+        data: {
+          message: result.message,
+          email: result.email,
+          tracking_updated: result.tracking_updated,
+          job_rescheduled: result.job_rescheduled
+        },
+        message: "Email updated successfully",
+        requestId,
+        timestamp,
+        duration,
+        attempts: response.attempts
+      };
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      const errorType = this._categorizeException(error);
+
+      this._log('error', `Update request failed with exception`, { 
+        requestId, 
+        error: error.message, 
+        errorType,
+        duration: `${duration}ms`
+      });
+
+      return {
+        success: false,
+        error: `Failed to update scheduled email: ${error.message}`,
+        errorType,
+        suggestion: this._getExceptionSuggestion(errorType),
+        statusCode: null,
+        requestId,
+        timestamp,
+        duration,
+        attempts: error.attempts ?? 0,
+        endpoint: `${this.baseUrl}/v1/update-scheduled-email/${emailId}`
+      };
+    }
+  }
+
+  async updateScheduledEmails(items, options) {
+    return this._settle(await this._updateScheduledEmails(items, options));
+  }
+
+  async _updateScheduledEmails(items, { concurrency = DEFAULT_UPDATE_CONCURRENCY, signal, timeout } = {}) {
+    const requestId = this._generateRequestId();
+    const startTime = Date.now();
+    const timestamp = new Date().toISOString();
+
+    this._log('info', `Initiating bulk scheduled email update`, { requestId, count: items?.length, concurrency });
+
+    const error = !Array.isArray(items) || items.length === 0
+      ? "Updates must be a non-empty array of { id, updates }"
+      : !Number.isInteger(concurrency) || concurrency < 1 ? "concurrency must be a positive integer" : null;
+    if (error) {
+      return {
+        success: false,
+        error,
+        errorType: "VALIDATION_ERROR",
+        statusCode: null,
+        requestId,
+        timestamp,
+        duration: Date.now() - startTime
+      };
+    }
+
+    // Each item goes through the single-email path, so validation and error handling stay identical
+    const results = await runWithConcurrency(items, concurrency, async (item, index) => {
+      const { id, updates } = item !== null && typeof item === 'object' ? item : {};
+      const response = await this._updateScheduledEmail(id, updates, { signal, timeout });
+      return this._toUpdateResult(index, id, response);
+    });
+
+    return this._summarizeUpdates(results, { requestId, timestamp, startTime });
+  }
+
+  async shiftSchedule(emailIds, offset, options) {
+    return this._settle(await this._shiftSchedule(emailIds, offset, options));
+  }
+
+  // Moves each email's current scheduled_at by `offset`: a duration such as '1d', '2h' or '1bd', or
+  // milliseconds (negative to move earlier). Days keep the wall-clock time in `timezone`.
+  async _shiftSchedule(emailIds, offset, { timezone, concurrency = DEFAULT_UPDATE_CONCURRENCY, signal, timeout } = {}) {
+    const requestId = this._generateRequestId();
+    const startTime = Date.now();
+    const timestamp = new Date().toISOString();
+
+    this._log('info', `Initiating schedule shift`, { requestId, count: emailIds?.length, offset, concurrency });
+
+    const shift = (scheduledAt) => typeof offset === 'number'
+      ? { isValid: true, date: new Date(Date.parse(scheduledAt) + offset) }
+      : resolveSchedule({ in: offset }, { timezone, now: Date.parse(scheduledAt) });
+
+    let error = null;
+    if (!Array.isArray(emailIds) || emailIds.length === 0) {
+      error = "Email IDs must be a non-empty array";
+    } else if (typeof offset === 'number' ? !Number.isFinite(offset) || offset === 0 : typeof offset !== 'string') {
+      error = "offset must be a duration such as '1d' or '2h', or a non-zero number of milliseconds";
+    } else if (!Number.isInteger(concurrency) || concurrency < 1) {
+      error = "concurrency must be a positive integer";
+    } else {
+      const check = shift(timestamp);
+      if (!check.isValid) error = `Invalid offset: ${check.error}`;
+    }
+    if (error) {
+      return {
+        success: false,
+        error,
+        errorType: "VALIDATION_ERROR",
+        statusCode: null,
+        requestId,
+        timestamp,
+        duration: Date.now() - startTime
+      };
+    }
+
+    const results = await runWithConcurrency(emailIds, concurrency, async (emailId, index) => {
+      const current = await this._getEmail(emailId, { signal, timeout });
+      if (!current.success) {
+        return this._toUpdateResult(index, emailId, current);
+      }
+
+      const email = current.data;
+      const failure = (message) => this._toUpdateResult(index, emailId, {
+        success: false,
+        error: message,
+        errorType: "VALIDATION_ERROR",
+        statusCode: null,
+        currentStatus: email.status,
+        requestId: current.requestId,
+        attempts: current.attempts
+      });
+      if (email.status !== 'scheduled' || !email.scheduled_at) {
+        return failure(`Only scheduled emails can be shifted (current status: ${email.status})`);
+      }
+      const shifted = shift(email.scheduled_at);
+      if (!shifted.isValid || isNaN(shifted.date.getTime())) {
+        return failure(`Could not shift scheduled_at ${email.scheduled_at}`);
+      }
+      if (shifted.date.getTime() <= Date.now()) {
+        return failure(`Shifting ${email.scheduled_at} would move it to ${shifted.date.toISOString()}, which is in the past`);
+      }
+
+      const response = await this._updateScheduledEmail(emailId, { scheduled_at: shifted.date }, { signal, timeout });
+      return { ...this._toUpdateResult(index, emailId, response), previous_scheduled_at: email.scheduled_at };
+    });
+
+    return this._summarizeUpdates(results, { requestId, timestamp, startTime });
+  }
+
+  _toUpdateResult(index, id, response) {
+    return {
+      index,
+      id,
+      success: response.success,
+      ...(response.success
+        ? { status: response.data.email?.status, scheduled_at: response.data.email?.scheduled_at, job_rescheduled: response.data.job_rescheduled }
+        : {
+          error: response.error,
+          errorType: response.errorType,
+          statusCode: response.statusCode,
+          ...(response.currentStatus && { currentStatus: response.currentStatus })
+        }),
+      requestId: response.requestId,
+      attempts: response.attempts ?? 0
+    };
+  }
+
+  _summarizeUpdates(results, { requestId, timestamp, startTime }) {
+    const successCount = results.filter((result) => result.success).length;
+    const errorCount = results.length - successCount;
+    const duration = Date.now() - startTime;
+    const message = `Updated ${successCount} of ${results.length} emails`;
+
+    this._log(errorCount > 0 ? 'warn' : 'info', `Bulk scheduled email update completed`, {
+      requestId,
+      duration: `${duration}ms`,
+      successCount,
+      errorCount
+    });
+
+    const data = {
+      message,
+      success_count: successCount,
+      error_count: errorCount,
+      results
+    };
+
+    // Like cancelEmails, any failed email fails the call, described by the first failure
+    if (errorCount > 0) {
+      const firstFailure = results.find((result) => !result.success);
+      return {
+        success: false,
+        data,
+        error: results.length > 1
+          ? `${errorCount} of ${results.length} updates failed: ${firstFailure.error}`
+          : firstFailure.error,
+        errorType: firstFailure.errorType,
+        suggestion: "The other emails were updated; retry the ones that failed, listed in data.results",
+        statusCode: firstFailure.statusCode ?? null,
+        message,
         requestId,
         timestamp,
-        duration,
-        endpoint: `${this.baseUrl}/v1/cancel-email/${emailId}`
+        duration
       };
     }
+
+    return {
+      success: true,
+      data,
+      message,
+      requestId,
+      timestamp,
+      duration
+    };
   }
 
-  async cancelEmails(emailIds) {
+  async getEmail(emailId, requestOptions) {
+    return this._settle(await this._getEmail(emailId, requestOptions));
+  }
+
+  async _getEmail(emailId, { signal, timeout } = {}) {
     const requestId = this._generateRequestId();
     const startTime = Date.now();
     const timestamp = new Date().toISOString();
 
-    this._log('info', `Initiating bulk email cancellation request`, { requestId, emailIds, count: emailIds?.length });
+    this._log('info', `Initiating email lookup request`, { requestId, emailId });
 
     // Validation
-    if (!emailIds) {
-      return {
-        success: false,
-        error: "Email IDs array is required",
-        errorType: "VALIDATION_ERROR",
-        statusCode: null,
-        requestId,
-        timestamp,
-        duration: Date.now() - startTime
-      };
-    }
-
-    if (!Array.isArray(emailIds)) {
+    if (!emailId) {
       return {
         success: false,
-        error: "Email IDs must be an array",
+        error: "Email ID is required",
         errorType: "VALIDATION_ERROR",
         statusCode: null,
         requestId,
@@ -510,10 +2436,10 @@ class Mailblock {
       };
     }
 
-    if (emailIds.length === 0) {
+    if (typeof emailId !== 'number' && typeof emailId !== 'string') {
       return {
         success: false,
-        error: "Email IDs array cannot be empty",
+        error: "Email ID must be a number or string",
         errorType: "VALIDATION_ERROR",
         statusCode: null,
         requestId,
@@ -522,60 +2448,37 @@ class Mailblock {
       };
     }
 
-    // Validate each email ID
-    for (const emailId of emailIds) {
-      if (typeof emailId !== 'number' && typeof emailId !== 'string') {
-        return {
-          success: false,
-          error: `Invalid email ID: ${emailId}. All email IDs must be numbers or strings`,
-          errorType: "VALIDATION_ERROR",
-          statusCode: null,
-          requestId,
-          timestamp,
-          duration: Date.now() - startTime
-        };
-      }
-    }
-
-    const payload = { email_ids: emailIds };
+    // IDs are opaque, so characters such as '/' must not change the path
+    const path = `/v1/emails/${encodeURIComponent(emailId)}`;
 
-    this._log('debug', 'Sending bulk cancellation API request', { 
-      requestId, 
-      endpoint: `${this.baseUrl}/v1/cancel-email`,
-      payload
+    this._log('debug', 'Sending lookup API request', {
+      requestId,
+      endpoint: `${this.baseUrl}${path}`,
+      emailId
     });
 
     try {
-      const response = await fetch(`${this.baseUrl}/v1/cancel-email`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${this.apiKey}`,
-          "X-Request-ID": requestId,
-        },
-        body: JSON.stringify(payload),
-      });
-
-      const result = await response.json();
+      const response = await this._request("GET", path, { operation: "getEmail", requestId, signal, timeout });
+      const result = response.data;
       const duration = Date.now() - startTime;
 
-      this._log('debug', `Bulk cancellation API response received`, { 
-        requestId, 
-        statusCode: response.status, 
+      this._log('debug', `Lookup API response received`, {
+        requestId,
+        statusCode: response.status,
         duration: `${duration}ms`,
-        success: response.ok,
-        successCount: result.success_count,
-        errorCount: result.error_count
+        success: response.ok
       });
 
       if (!response.ok) {
         const errorType = this._categorizeError(response.status);
         const errorMessage = result.error || `HTTP error! status: ${response.status}`;
-        const suggestion = this._getErrorSuggestion(response.status);
+        const suggestion = response.status === 404
+          ? 'No email exists with this ID. Check the ID returned by sendEmail'
+          : this._getErrorSuggestion(response.status);
 
-        this._log('error', `Bulk cancellation API request failed`, { 
-          requestId, 
-          error: errorMessage, 
+        this._log('error', `Lookup API request failed`, {
+          requestId,
+          error: errorMessage,
           statusCode: response.status,
           errorType,
           suggestion
@@ -590,107 +2493,86 @@ class Mailblock {
           requestId,
           timestamp,
           duration,
-          endpoint: `${this.baseUrl}/v1/cancel-email`
+          attempts: response.attempts,
+          endpoint: `${this.baseUrl}${path}`
         };
       }
 
-      this._log('info', `Bulk email cancellation completed`, { 
-        requestId, 
+      const email = result.email || result;
+
+      this._log('info', `Email retrieved successfully`, {
+        requestId,
         duration: `${duration}ms`,
-        successCount: result.success_count,
-        errorCount: result.error_count,
-        totalRequested: emailIds.length
+        emailId: email.id,
+        status: email.status
       });
 
       return {
         success: true,
-        data: result,
-        message: result.message || `Cancelled ${result.success_count} of ${emailIds.length} emails`,
+        data: email,
+        message: "Email retrieved successfully",
         requestId,
         timestamp,
-        duration
+        duration,
+        attempts: response.attempts
       };
     } catch (error) {
       const duration = Date.now() - startTime;
-      const errorType = error.name === 'TypeError' && error.message.includes('fetch') 
-        ? 'NETWORK_ERROR' 
-        : 'UNKNOWN_ERROR';
+      const errorType = this._categorizeException(error);
 
-      this._log('error', `Bulk cancellation request failed with exception`, { 
-        requestId, 
-        error: error.message, 
+      this._log('error', `Lookup request failed with exception`, {
+        requestId,
+        error: error.message,
         errorType,
         duration: `${duration}ms`
       });
 
       return {
         success: false,
-        error: `Failed to cancel emails: ${error.message}`,
+        error: `Failed to retrieve email: ${error.message}`,
         errorType,
-        suggestion: errorType === 'NETWORK_ERROR' 
-          ? 'Check your internet connection and try again' 
-          : 'Please try again or contact support if the issue persists',
+        suggestion: this._getExceptionSuggestion(errorType),
         statusCode: null,
         requestId,
         timestamp,
         duration,
-        endpoint: `${this.baseUrl}/v1/cancel-email`
+        attempts: error.attempts ?? 0,
+        endpoint: `${this.baseUrl}${path}`
       };
     }
   }
 
-  async updateScheduledEmail(emailId, updates) {
-    const requestId = this._generateRequestId();
-    const startTime = Date.now();
-    const timestamp = new Date().toISOString();
+  listEmails(filters = {}, requestOptions = {}) {
+    const firstPage = this._listEmailsPage(filters, requestOptions).then((page) => this._settle(page));
 
-    this._log('info', `Initiating scheduled email update request`, { requestId, emailId, updates: Object.keys(updates) });
+    // Awaiting gives the first page; iterating with for await walks every page
+    firstPage[Symbol.asyncIterator] = async function* () {
+      let page = await firstPage;
+      while (true) {
+        if (!page.success) {
+          throw MailblockError.fromResponse(page);
+        }
+        yield* page.data.emails;
+        if (!page.data.has_more || !page.data.next_cursor) return;
+        page = await this._listEmailsPage({ ...filters, cursor: page.data.next_cursor }, requestOptions);
+      }
+    }.bind(this);
 
-    // Validation
-    if (!emailId) {
-      return {
-        success: false,
-        error: "Email ID is required",
-        errorType: "VALIDATION_ERROR",
-        statusCode: null,
-        requestId,
-        timestamp,
-        duration: Date.now() - startTime
-      };
-    }
+    return firstPage;
+  }
 
-    if (typeof emailId !== 'number' && typeof emailId !== 'string') {
-      return {
-        success: false,
-        error: "Email ID must be a number or string",
-        errorType: "VALIDATION_ERROR",
-        statusCode: null,
-        requestId,
-        timestamp,
-        duration: Date.now() - startTime
-      };
-    }
+  async _listEmailsPage(filters, { signal, timeout } = {}) {
+    const requestId = this._generateRequestId();
+    const startTime = Date.now();
+    const timestamp = new Date().toISOString();
 
-    if (!updates || typeof updates !== 'object') {
-      return {
-        success: false,
-        error: "Updates object is required",
-        errorType: "VALIDATION_ERROR",
-        statusCode: null,
-        requestId,
-        timestamp,
-        duration: Date.now() - startTime
-      };
-    }
+    this._log('info', `Initiating email list request`, { requestId, filters });
 
-    // Validate that at least one valid field is provided
-    const validFields = ['subject', 'body_html', 'body_text', 'scheduled_at'];
-    const providedFields = Object.keys(updates).filter(key => validFields.includes(key));
-    
-    if (providedFields.length === 0) {
+    const query = this._buildListQuery(filters);
+    if (!query.isValid) {
       return {
         success: false,
-        error: "At least one field must be provided for update (subject, body_html, body_text, or scheduled_at)",
+        error: query.error,
         errorType: "VALIDATION_ERROR",
         statusCode: null,
         requestId,
@@ -699,70 +2581,23 @@ class Mailblock {
       };
     }
 
-    // Prepare payload - only include valid fields
-    const payload = {};
-    if (updates.subject !== undefined) payload.subject = updates.subject;
-    if (updates.body_html !== undefined) payload.body_html = updates.body_html;
-    if (updates.body_text !== undefined) payload.body_text = updates.body_text;
-    if (updates.scheduled_at !== undefined) {
-      // Handle Date objects or strings
-      if (updates.scheduled_at instanceof Date) {
-        payload.scheduled_at = updates.scheduled_at.toISOString();
-      } else if (updates.scheduled_at === null) {
-        payload.scheduled_at = null;
-      } else if (typeof updates.scheduled_at === 'string') {
-        // Validate date string
-        const parsedDate = new Date(updates.scheduled_at);
-        if (isNaN(parsedDate.getTime())) {
-          return {
-            success: false,
-            error: "Invalid scheduled_at date format",
-            errorType: "VALIDATION_ERROR",
-            statusCode: null,
-            requestId,
-            timestamp,
-            duration: Date.now() - startTime
-          };
-        }
-        payload.scheduled_at = updates.scheduled_at;
-      } else {
-        return {
-          success: false,
-          error: "scheduled_at must be a Date object, valid date string, or null",
-          errorType: "VALIDATION_ERROR",
-          statusCode: null,
-          requestId,
-          timestamp,
-          duration: Date.now() - startTime
-        };
-      }
-    }
+    const path = query.search ? `/v1/emails?${query.search}` : '/v1/emails';
 
-    this._log('debug', 'Sending update API request', { 
-      requestId, 
-      endpoint: `${this.baseUrl}/v1/update-scheduled-email/${emailId}`,
-      payload: { ...payload, body_html: payload.body_html ? '[REDACTED]' : undefined, body_text: payload.body_text ? '[REDACTED]' : undefined }
+    this._log('debug', 'Sending list API request', {
+      requestId,
+      endpoint: `${this.baseUrl}${path}`
     });
 
     try {
-      const response = await fetch(`${this.baseUrl}/v1/update-scheduled-email/${emailId}`, {
-        method: "PUT",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${this.apiKey}`,
-          "X-Request-ID": requestId,
-        },
-        body: JSON.stringify(payload),
-      });
-
-      const result = await response.json();
+      const response = await this._request("GET", path, { operation: "listEmails", requestId, signal, timeout });
+      const result = response.data;
       const duration = Date.now() - startTime;
 
-      this._log('debug', `Update API response received`, { 
-        requestId, 
-        statusCode: response.status, 
+      this._log('debug', `List API response received`, {
+        requestId,
+        statusCode: response.status,
         duration: `${duration}ms`,
-        success: response.ok 
+        success: response.ok
       });
 
       if (!response.ok) {
@@ -770,13 +2605,12 @@ class Mailblock {
         const errorMessage = result.error || `HTTP error! status: ${response.status}`;
         const suggestion = this._getErrorSuggestion(response.status);
 
-        this._log('error', `Update API request failed`, { 
-          requestId, 
-          error: errorMessage, 
+        this._log('error', `List API request failed`, {
+          requestId,
+          error: errorMessage,
           statusCode: response.status,
           errorType,
-          suggestion,
-          currentStatus: result.current_status
+          suggestion
         });
 
         return {
@@ -785,76 +2619,159 @@ class Mailblock {
           errorType,
           suggestion,
           statusCode: response.status,
-          currentStatus: result.current_status,
           requestId,
           timestamp,
           duration,
-          endpoint: `${this.baseUrl}/v1/update-scheduled-email/${emailId}`
+          attempts: response.attempts,
+          endpoint: `${this.baseUrl}${path}`
         };
       }
 
-      this._log('info', `Scheduled email updated successfully`, { 
-        requestId, 
+      const emails = result.emails || [];
+
+      this._log('info', `Email list retrieved successfully`, {
+        requestId,
         duration: `${duration}ms`,
-        emailId: result.email?.id,
-        status: result.email?.status,
-        trackingUpdated: result.tracking_updated,
-        jobRescheduled: result.job_rescheduled
+        count: emails.length,
+        hasMore: Boolean(result.has_more)
       });
 
       return {
         success: true,
         data: {
-          message: result.message,
-          email: result.email,
-          tracking_updated: result.tracking_updated,
-          job_rescheduled: result.job_rescheduled
+          emails,
+          has_more: Boolean(result.has_more),
+          next_cursor: result.next_cursor ?? null,
+          total: result.total
         },
-        message: "Email updated successfully",
+        message: `Retrieved ${emails.length} emails`,
         requestId,
         timestamp,
-        duration
+        duration,
+        attempts: response.attempts
       };
     } catch (error) {
       const duration = Date.now() - startTime;
-      const errorType = error.name === 'TypeError' && error.message.includes('fetch') 
-        ? 'NETWORK_ERROR' 
-        : 'UNKNOWN_ERROR';
+      const errorType = this._categorizeException(error);
 
-      this._log('error', `Update request failed with exception`, { 
-        requestId, 
-        error: error.message, 
+      this._log('error', `List request failed with exception`, {
+        requestId,
+        error: error.message,
         errorType,
         duration: `${duration}ms`
       });
 
       return {
         success: false,
-        error: `Failed to update scheduled email: ${error.message}`,
+        error: `Failed to list emails: ${error.message}`,
         errorType,
-        suggestion: errorType === 'NETWORK_ERROR' 
-          ? 'Check your internet connection and try again' 
-          : 'Please try again or contact support if the issue persists',
+        suggestion: this._getExceptionSuggestion(errorType),
         statusCode: null,
         requestId,
         timestamp,
         duration,
-        endpoint: `${this.baseUrl}/v1/update-scheduled-email/${emailId}`
+        attempts: error.attempts ?? 0,
+        endpoint: `${this.baseUrl}${path}`
       };
     }
   }
 
+  _buildListQuery({ status, from, to, tag, scheduledBefore, scheduledAfter, limit, cursor } = {}) {
+    const params = new URLSearchParams();
+
+    if (status !== undefined) {
+      const statuses = Array.isArray(status) ? status : [status];
+      if (statuses.length === 0 || statuses.some((value) => typeof value !== 'string' || value.trim().length === 0)) {
+        return { isValid: false, error: "status must be a non-empty string or array of strings" };
+      }
+      params.set('status', statuses.join(','));
+    }
+
+    for (const [field, value] of [['from', from], ['to', to], ['tag', tag]]) {
+      if (value === undefined) continue;
+      if (typeof value !== 'string' || value.trim().length === 0) {
+        return { isValid: false, error: `${field} filter must be a non-empty string` };
+      }
+      params.set(field, value.trim());
+    }
+
+    for (const [field, param, value] of [['scheduledBefore', 'scheduled_before', scheduledBefore], ['scheduledAfter', 'scheduled_after', scheduledAfter]]) {
+      if (value === undefined) continue;
+      const date = value instanceof Date ? value : new Date(value);
+      if ((typeof value !== 'string' && !(value instanceof Date)) || isNaN(date.getTime())) {
+        return { isValid: false, error: `${field} must be a Date object or valid date string` };
+      }
+      params.set(param, date.toISOString());
+    }
+
+    if (limit !== undefined) {
+      if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+        return { isValid: false, error: "limit must be an integer between 1 and 100" };
+      }
+      params.set('limit', String(limit));
+    }
+
+    if (cursor !== undefined && cursor !== null) {
+      if (typeof cursor !== 'string' || cursor.length === 0) {
+        return { isValid: false, error: "cursor must be a non-empty string" };
+      }
+      params.set('cursor', cursor);
+    }
+
+    return { isValid: true, search: params.toString() };
+  }
+
+  _deriveText(html, autoText) {
+    const setting = autoText ?? this.autoText;
+    if (!setting) return null;
+    return htmlToText(html, typeof setting === 'object' ? setting : undefined);
+  }
+
   _categorizeError(statusCode) {
-    if (statusCode >= 400 && statusCode < 500) {
+    if (statusCode === 429) {
+      return 'RATE_LIMIT_ERROR';
+    } else if (statusCode >= 400 && statusCode < 500) {
       return 'CLIENT_ERROR';
     } else if (statusCode >= 500) {
       return 'SERVER_ERROR';
-    } else if (statusCode === 429) {
+    }
+    return 'UNKNOWN_ERROR';
+  }
+
+  _categorizeException(error) {
+    if (error.name === 'RateLimitQueueFullError') {
       return 'RATE_LIMIT_ERROR';
     }
+    if (error.name === 'TimeoutError') {
+      return 'TIMEOUT_ERROR';
+    }
+    if (error.name === 'AbortError') {
+      return 'ABORTED';
+    }
+    if (error.name === 'TypeError' && error.message.includes('fetch')) {
+      return 'NETWORK_ERROR';
+    }
+    if (this._isConnectionError(error) || SOCKET_ERROR_CODES.includes(error.code || error.cause?.code)) {
+      return 'NETWORK_ERROR';
+    }
     return 'UNKNOWN_ERROR';
   }
 
+  _getExceptionSuggestion(errorType) {
+    switch (errorType) {
+      case 'NETWORK_ERROR':
+        return 'Check your internet connection and try again';
+      case 'TIMEOUT_ERROR':
+        return 'The API did not respond in time. Try again or increase the timeout option';
+      case 'ABORTED':
+        return 'The request was cancelled by the caller';
+      case 'RATE_LIMIT_ERROR':
+        return 'Too many requests are queued. Lower the concurrency or raise rateLimit.maxQueue';
+      default:
+        return 'Please try again or contact support if the issue persists';
+    }
+  }
+
   _getErrorSuggestion(statusCode) {
     switch (statusCode) {
       case 400:
@@ -876,54 +2793,120 @@ class Mailblock {
     }
   }
 
-  _validateEmailFields({ to, cc, bcc, from }) {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    
-    // Helper to validate single email or array
-    const validateEmailOrArray = (emails, fieldName) => {
-      if (typeof emails === 'string') {
-        if (!emailRegex.test(emails)) {
-          return { isValid: false, error: `Invalid ${fieldName} email address: ${emails}` };
-        }
-      } else if (Array.isArray(emails)) {
-        if (emails.length === 0) {
-          return { isValid: false, error: `${fieldName} array cannot be empty` };
-        }
-        for (const email of emails) {
-          if (typeof email !== 'string' || !emailRegex.test(email)) {
-            return { isValid: false, error: `Invalid ${fieldName} email address: ${email}` };
-          }
-        }
-      } else {
-        return { isValid: false, error: `${fieldName} must be a string or array of strings` };
-      }
-      return { isValid: true };
-    };
+  _validateEmailFields({ to, cc, bcc, from, replyTo }) {
+    const normalized = {};
+    const fields = [
+      ['to', to, 'recipient'],
+      ['from', from, 'sender', { single: true }],
+      ['cc', cc, 'cc'],
+      ['bcc', bcc, 'bcc'],
+      ['replyTo', replyTo, 'reply-to'],
+    ];
+
+    const addresses = {};
+    for (const [key, value, fieldName, options] of fields) {
+      if (value === undefined && (key === 'cc' || key === 'bcc' || key === 'replyTo')) continue;
+      const result = normalizeAddressList(value, fieldName, options);
+      if (!result.isValid) return result;
+      normalized[key] = result.value;
+      addresses[key] = result.addresses;
+    }
 
-    // Validate 'to' field
-    const toValidation = validateEmailOrArray(to, 'recipient');
-    if (!toValidation.isValid) return toValidation;
+    return { isValid: true, normalized, addresses };
+  }
 
-    // Validate 'from' field (always single email)
-    if (!emailRegex.test(from)) {
-      return { isValid: false, error: `Invalid sender email address: ${from}` };
+  _validateCustomFields({ headers, tags, metadata }) {
+    const fields = {};
+    if (headers !== undefined) {
+      const result = normalizeHeaders(headers);
+      if (!result.isValid) return result;
+      if (Object.keys(result.headers).length > 0) fields.headers = result.headers;
     }
-
-    // Validate 'cc' field if provided
-    if (cc !== undefined) {
-      const ccValidation = validateEmailOrArray(cc, 'cc');
-      if (!ccValidation.isValid) return ccValidation;
+    if (tags !== undefined) {
+      const result = normalizeTags(tags);
+      if (!result.isValid) return result;
+      fields.tags = result.tags;
+    }
+    if (metadata !== undefined) {
+      const result = normalizeMetadata(metadata);
+      if (!result.isValid) return result;
+      if (Object.keys(result.metadata).length > 0) fields.metadata = result.metadata;
     }
+    return { isValid: true, ...fields };
+  }
+
+  // Removes repeats across to/cc/bcc (first occurrence wins, in that order) and suppressed addresses
+  async _filterRecipients({ normalized, addresses }) {
+    const seen = new Map();
+    const dropped = [];
+    const filtered = {};
+
+    for (const field of ['to', 'cc', 'bcc']) {
+      if (!addresses[field]) continue;
+      const kept = [];
+      for (const address of addresses[field]) {
+        const key = address.email.toLowerCase();
+        if (seen.has(key)) {
+          dropped.push({ email: address.email, field, reason: 'duplicate', duplicateOf: seen.get(key) });
+          continue;
+        }
+        seen.set(key, field);
+
+        const suppression = this.suppressions ? await this.suppressions.get(address.email) : null;
+        if (suppression) {
+          dropped.push({ email: address.email, field, reason: 'suppressed', suppressionReason: suppression.reason });
+          continue;
+        }
+        kept.push(formatAddress(address));
+      }
 
-    // Validate 'bcc' field if provided
-    if (bcc !== undefined) {
-      const bccValidation = validateEmailOrArray(bcc, 'bcc');
-      if (!bccValidation.isValid) return bccValidation;
+      if (kept.length > 0) {
+        // Keep the caller's shape: a single address stays a string
+        filtered[field] = typeof normalized[field] === 'string' ? kept[0] : kept;
+      }
     }
 
-    return { isValid: true };
+    return { ...filtered, dropped };
   }
+
 }
 
+const webhooks = {
+  SIGNATURE_HEADER,
+  EVENT_TYPES,
+  verifySignature,
+  generateSignature,
+  constructEvent,
+  createHandler
+};
+
+Mailblock.webhooks = webhooks;
+
 export default Mailblock;
-export { EmailBuilder };
+export {
+  EmailBuilder,
+  RateLimiter,
+  parseAddress,
+  formatAddress,
+  resolveSchedule,
+  createTracingMiddleware,
+  EmailRecorder,
+  ConnectionPool,
+  MemoryOutboxStore,
+  FileOutboxStore,
+  MemorySuppressionStore,
+  FileSuppressionStore,
+  TemplateEngine,
+  TemplateError,
+  htmlToText,
+  webhooks,
+  WebhookVerificationError,
+  MailblockError,
+  MailblockValidationError,
+  MailblockClientError,
+  MailblockRateLimitError,
+  MailblockServerError,
+  MailblockNetworkError,
+  MailblockTimeoutError,
+  MailblockAbortError
+};
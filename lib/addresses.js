@@ -0,0 +1,264 @@
+import { domainToASCII } from 'node:url';
+
+const ATEXT = "A-Za-z0-9!#$%&'*+/=?^_`{|}~-";
+const DOT_ATOM_REGEX = new RegExp(`^[${ATEXT}]+(?:\\.[${ATEXT}]+)*$`);
+const LABEL_REGEX = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/;
+const NAME_SPECIALS_REGEX = /[()<>[\]:;@\\,."]/;
+
+const MAX_LOCAL_LENGTH = 64;
+const MAX_DOMAIN_LENGTH = 253;
+const MAX_ADDRESS_LENGTH = 254;
+
+const invalid = (error) => ({ isValid: false, error });
+
+function parseLocalPart(local) {
+  if (local.length === 0) {
+    return invalid('the local part before @ is empty');
+  }
+
+  if (local.startsWith('"')) {
+    if (local.length < 2 || !local.endsWith('"')) {
+      return invalid('the quoted local part is not closed');
+    }
+    const content = local.slice(1, -1);
+    if (/[\r\n]/.test(content)) {
+      return invalid('the quoted local part contains a line break');
+    }
+    if (/(^|[^\\])(\\\\)*"/.test(content)) {
+      return invalid('the quoted local part contains an unescaped quote');
+    }
+    // Quotes are only kept when the local part actually needs them
+    const unescaped = content.replace(/\\(.)/g, '$1');
+    const normalized = DOT_ATOM_REGEX.test(unescaped) ? unescaped : local;
+    if (normalized.length > MAX_LOCAL_LENGTH) {
+      return invalid(`the local part is longer than ${MAX_LOCAL_LENGTH} characters`);
+    }
+    return { isValid: true, local: normalized };
+  }
+
+  if (/[^\x20-\x7e]/.test(local)) {
+    return invalid('the local part contains non-ASCII characters');
+  }
+  if (/\s/.test(local)) {
+    return invalid('the local part contains whitespace');
+  }
+  if (local.startsWith('.') || local.endsWith('.')) {
+    return invalid('the local part cannot start or end with a dot');
+  }
+  if (local.includes('..')) {
+    return invalid('the local part contains consecutive dots');
+  }
+  if (!DOT_ATOM_REGEX.test(local)) {
+    const character = [...local].find((char) => char !== '.' && !new RegExp(`[${ATEXT}]`).test(char));
+    return invalid(`the local part contains an invalid character '${character}'`);
+  }
+  if (local.length > MAX_LOCAL_LENGTH) {
+    return invalid(`the local part is longer than ${MAX_LOCAL_LENGTH} characters`);
+  }
+  return { isValid: true, local };
+}
+
+function parseDomain(domain) {
+  if (domain.length === 0) {
+    return invalid('the domain after @ is empty');
+  }
+  if (domain.startsWith('[')) {
+    return invalid('IP address literals are not supported as domains');
+  }
+  if (/\s/.test(domain)) {
+    return invalid('the domain contains whitespace');
+  }
+
+  // Internationalized domains are converted to punycode (xn--...)
+  const ascii = domainToASCII(domain.replace(/\.$/, ''));
+  if (!ascii) {
+    return invalid(`the domain '${domain}' is not a valid hostname`);
+  }
+  if (ascii.length > MAX_DOMAIN_LENGTH) {
+    return invalid(`the domain is longer than ${MAX_DOMAIN_LENGTH} characters`);
+  }
+
+  const labels = ascii.split('.');
+  if (labels.length < 2) {
+    return invalid(`the domain '${domain}' needs a top-level domain such as .com`);
+  }
+  for (const label of labels) {
+    if (label.length === 0) {
+      return invalid('the domain contains an empty label (consecutive dots)');
+    }
+    if (label.length > 63) {
+      return invalid(`the domain label '${label}' is longer than 63 characters`);
+    }
+    if (!LABEL_REGEX.test(label)) {
+      return invalid(`the domain label '${label}' contains invalid characters or starts/ends with a hyphen`);
+    }
+  }
+  if (/^\d+$/.test(labels[labels.length - 1])) {
+    return invalid('the top-level domain cannot be numeric');
+  }
+  return { isValid: true, domain: ascii };
+}
+
+function parseDisplayName(raw) {
+  let name = raw.trim();
+  if (name.startsWith('"')) {
+    if (name.length < 2 || !name.endsWith('"')) {
+      return invalid('the quoted display name is not closed');
+    }
+    name = name.slice(1, -1).replace(/\\(.)/g, '$1');
+  }
+  if (/[\r\n]/.test(name)) {
+    return invalid('the display name contains a line break');
+  }
+  return { isValid: true, name: name.trim() || undefined };
+}
+
+export function parseEmail(email) {
+  if (typeof email !== 'string') {
+    return invalid('the address must be a string');
+  }
+  const trimmed = email.trim();
+  if (trimmed.length === 0) {
+    return invalid('the address is empty');
+  }
+
+  const at = trimmed.lastIndexOf('@');
+  if (at === -1) {
+    return invalid("missing '@'");
+  }
+
+  const localResult = parseLocalPart(trimmed.slice(0, at));
+  if (!localResult.isValid) return localResult;
+
+  const domainResult = parseDomain(trimmed.slice(at + 1));
+  if (!domainResult.isValid) return domainResult;
+
+  const normalized = `${localResult.local}@${domainResult.domain}`;
+  if (normalized.length > MAX_ADDRESS_LENGTH) {
+    return invalid(`the address is longer than ${MAX_ADDRESS_LENGTH} characters`);
+  }
+  return { isValid: true, email: normalized, local: localResult.local, domain: domainResult.domain };
+}
+
+// Accepts "jane@acme.com", "Jane Doe <jane@acme.com>", "\"Doe, Jane\" <jane@acme.com>" or { name, email }
+export function parseAddress(input) {
+  let name;
+  let email;
+
+  if (input !== null && typeof input === 'object' && !Array.isArray(input)) {
+    if (typeof input.email !== 'string') {
+      return invalid("address objects need an 'email' string");
+    }
+    if (input.name !== undefined && input.name !== null && typeof input.name !== 'string') {
+      return invalid("the address 'name' must be a string");
+    }
+    const nameResult = parseDisplayName(input.name ?? '');
+    if (!nameResult.isValid) return nameResult;
+    name = nameResult.name;
+    email = input.email;
+  } else if (typeof input === 'string') {
+    const trimmed = input.trim();
+    const angle = trimmed.match(/^([\s\S]*?)<([^<>]*)>$/);
+    if (angle) {
+      const nameResult = parseDisplayName(angle[1]);
+      if (!nameResult.isValid) return nameResult;
+      name = nameResult.name;
+      email = angle[2];
+    } else if (/[<>]/.test(trimmed)) {
+      return invalid('unbalanced angle brackets');
+    } else {
+      email = trimmed;
+    }
+  } else {
+    return invalid('the address must be a string or an object with an email');
+  }
+
+  const emailResult = parseEmail(email);
+  if (!emailResult.isValid) return emailResult;
+
+  return {
+    isValid: true,
+    address: {
+      ...(name && { name }),
+      email: emailResult.email,
+      local: emailResult.local,
+      domain: emailResult.domain
+    }
+  };
+}
+
+// Splits "a@x.com, Jane <b@y.com>" on commas that are outside quotes and angle brackets
+export function splitAddressList(value) {
+  const parts = [];
+  let current = '';
+  let inQuotes = false;
+  let inAngle = false;
+
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    if (char === '\\' && inQuotes) {
+      current += char + (value[i + 1] ?? '');
+      i++;
+      continue;
+    }
+    if (char === '"') inQuotes = !inQuotes;
+    else if (char === '<' && !inQuotes) inAngle = true;
+    else if (char === '>' && !inQuotes) inAngle = false;
+
+    if (char === ',' && !inQuotes && !inAngle) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.map((part) => part.trim()).filter(Boolean);
+}
+
+export function formatAddress({ name, email }) {
+  if (!name) return email;
+  const quoted = NAME_SPECIALS_REGEX.test(name) ? `"${name.replace(/(["\\])/g, '\\$1')}"` : name;
+  return `${quoted} <${email}>`;
+}
+
+// Validates one address or a list (array or comma-separated string) and returns normalized strings
+export function normalizeAddressList(input, fieldName, { single = false } = {}) {
+  let items;
+  if (typeof input === 'string') {
+    items = single ? [input] : splitAddressList(input);
+    if (items.length === 0) {
+      return invalid(`${fieldName} email address cannot be empty`);
+    }
+  } else if (Array.isArray(input)) {
+    if (single) {
+      return invalid(`${fieldName} must be a single email address`);
+    }
+    if (input.length === 0) {
+      return invalid(`${fieldName} array cannot be empty`);
+    }
+    items = input;
+  } else if (input !== null && typeof input === 'object') {
+    items = [input];
+  } else {
+    return invalid(`${fieldName} must be a string, an { name, email } object or an array of them`);
+  }
+
+  const addresses = [];
+  for (const item of items) {
+    const result = parseAddress(item);
+    if (!result.isValid) {
+      const shown = typeof item === 'string' ? item : JSON.stringify(item);
+      return invalid(`Invalid ${fieldName} email address: ${shown} (${result.error})`);
+    }
+    addresses.push(result.address);
+  }
+
+  const formatted = addresses.map(formatAddress);
+  return {
+    isValid: true,
+    addresses,
+    // Keep the caller's shape: a single address stays a string
+    value: !Array.isArray(input) && formatted.length === 1 ? formatted[0] : formatted
+  };
+}
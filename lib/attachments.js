@@ -0,0 +1,209 @@
+import { readFile, stat } from 'node:fs/promises';
+import { basename, extname } from 'node:path';
+
+export const DEFAULT_MAX_ATTACHMENTS_SIZE = 25 * 1024 * 1024;
+
+const MIME_TYPES = {
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.ics': 'text/calendar',
+  '.md': 'text/markdown',
+  '.xml': 'application/xml',
+  '.json': 'application/json',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.odt': 'application/vnd.oasis.opendocument.text',
+  '.ods': 'application/vnd.oasis.opendocument.spreadsheet',
+  '.rtf': 'application/rtf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.bmp': 'image/bmp',
+  '.ico': 'image/x-icon',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime',
+};
+
+const DEFAULT_MIME_TYPE = 'application/octet-stream';
+const MIME_TYPE_REGEX = /^[a-z0-9!#$&^_.+-]+\/[a-z0-9!#$&^_.+-]+$/i;
+const BASE64_REGEX = /^[A-Za-z0-9+/]*={0,2}$/;
+
+export function lookupMimeType(filename) {
+  return MIME_TYPES[extname(filename).toLowerCase()] || DEFAULT_MIME_TYPE;
+}
+
+const isReadableStream = (value) =>
+  value !== null && typeof value === 'object' && typeof value[Symbol.asyncIterator] === 'function' && typeof value.pipe === 'function';
+
+const isBinary = (value) => Buffer.isBuffer(value) || value instanceof Uint8Array;
+
+// Checks the shape of a single attachment without touching the file system
+export function validateAttachment(attachment, index = 0) {
+  const label = attachment?.filename ? `'${attachment.filename}'` : `#${index + 1}`;
+
+  if (!attachment || typeof attachment !== 'object' || Array.isArray(attachment)) {
+    return { isValid: false, error: `Attachment ${label} must be an object` };
+  }
+
+  const hasContent = attachment.content !== undefined && attachment.content !== null;
+  const hasPath = attachment.path !== undefined;
+
+  if (hasContent === hasPath) {
+    return { isValid: false, error: `Attachment ${label} must have exactly one of 'content' or 'path'` };
+  }
+
+  if (hasPath && (typeof attachment.path !== 'string' || attachment.path.trim().length === 0)) {
+    return { isValid: false, error: `Attachment ${label} path must be a non-empty string` };
+  }
+
+  if (hasContent && typeof attachment.content !== 'string' && !isBinary(attachment.content) && !isReadableStream(attachment.content)) {
+    return { isValid: false, error: `Attachment ${label} content must be a Buffer, a readable stream or a base64 string` };
+  }
+
+  if (!hasPath && (typeof attachment.filename !== 'string' || attachment.filename.trim().length === 0)) {
+    return { isValid: false, error: `Attachment ${label} requires a filename` };
+  }
+
+  if (attachment.filename !== undefined && (typeof attachment.filename !== 'string' || /[\r\n/\\]/.test(attachment.filename))) {
+    return { isValid: false, error: `Attachment ${label} has an invalid filename` };
+  }
+
+  if (attachment.encoding !== undefined && !['base64', 'utf8', 'utf-8'].includes(attachment.encoding)) {
+    return { isValid: false, error: `Attachment ${label} encoding must be 'base64' or 'utf8'` };
+  }
+
+  if (attachment.contentType !== undefined && (typeof attachment.contentType !== 'string' || !MIME_TYPE_REGEX.test(attachment.contentType))) {
+    return { isValid: false, error: `Attachment ${label} has an invalid content type: ${attachment.contentType}` };
+  }
+
+  if (attachment.contentId !== undefined && (typeof attachment.contentId !== 'string' || !/^[^\s<>]+$/.test(attachment.contentId))) {
+    return { isValid: false, error: `Attachment ${label} contentId must be a string without spaces or angle brackets` };
+  }
+
+  return { isValid: true };
+}
+
+// Content that would not fit in the remaining budget is reported by size only, without being
+// read into memory: files are checked with stat() and streams stop being consumed
+async function readContent(attachment, label, budget) {
+  if (attachment.path !== undefined) {
+    try {
+      const info = await stat(attachment.path);
+      if (!info.isFile()) {
+        return { error: `Attachment ${label} path is not a file: ${attachment.path}` };
+      }
+      if (info.size > budget) {
+        return { size: info.size };
+      }
+      return { buffer: await readFile(attachment.path) };
+    } catch (error) {
+      return { error: `Could not read attachment ${label} from ${attachment.path}: ${error.message}` };
+    }
+  }
+
+  const { content } = attachment;
+
+  if (isBinary(content)) {
+    return { buffer: Buffer.from(content) };
+  }
+
+  if (typeof content === 'string') {
+    if (attachment.encoding === 'utf8' || attachment.encoding === 'utf-8') {
+      return { buffer: Buffer.from(content, 'utf8') };
+    }
+    const compact = content.replace(/\s+/g, '');
+    if (compact.length % 4 !== 0 || !BASE64_REGEX.test(compact)) {
+      return { error: `Attachment ${label} content is not valid base64. Pass encoding: 'utf8' for plain text` };
+    }
+    return { buffer: Buffer.from(compact, 'base64') };
+  }
+
+  try {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of content) {
+      const buffer = typeof chunk === 'string' ? Buffer.from(chunk) : chunk;
+      size += buffer.length;
+      if (size > budget) {
+        // Leaving the loop destroys the stream
+        return { size, partial: true };
+      }
+      chunks.push(buffer);
+    }
+    return { buffer: Buffer.concat(chunks) };
+  } catch (error) {
+    return { error: `Could not read attachment ${label} stream: ${error.message}` };
+  }
+}
+
+// Resolves every attachment source into the API payload format (base64 content)
+export async function normalizeAttachments(attachments, { maxTotalSize = DEFAULT_MAX_ATTACHMENTS_SIZE } = {}) {
+  if (!Array.isArray(attachments)) {
+    return { isValid: false, error: 'attachments must be an array' };
+  }
+
+  for (let i = 0; i < attachments.length; i++) {
+    const validation = validateAttachment(attachments[i], i);
+    if (!validation.isValid) return validation;
+  }
+
+  const normalized = [];
+  const contentIds = new Set();
+  let totalSize = 0;
+
+  for (let i = 0; i < attachments.length; i++) {
+    const attachment = attachments[i];
+    const filename = attachment.filename || basename(attachment.path);
+    const label = `'${filename}'`;
+
+    const { buffer, size, partial, error } = await readContent(attachment, label, maxTotalSize - totalSize);
+    if (error) {
+      return { isValid: false, error };
+    }
+
+    totalSize += buffer ? buffer.length : size;
+    if (totalSize > maxTotalSize) {
+      return {
+        isValid: false,
+        error: `Attachments exceed the maximum total size of ${formatBytes(maxTotalSize)} (adding ${label} brings the total to ${partial ? 'more than ' : ''}${formatBytes(totalSize)})`
+      };
+    }
+
+    if (attachment.contentId) {
+      if (contentIds.has(attachment.contentId)) {
+        return { isValid: false, error: `Duplicate attachment contentId: ${attachment.contentId}` };
+      }
+      contentIds.add(attachment.contentId);
+    }
+
+    normalized.push({
+      filename,
+      content: buffer.toString('base64'),
+      content_type: attachment.contentType || lookupMimeType(filename),
+      disposition: attachment.contentId ? 'inline' : 'attachment',
+      ...(attachment.contentId && { content_id: attachment.contentId })
+    });
+  }
+
+  return { isValid: true, attachments: normalized, totalSize };
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -0,0 +1,421 @@
+import { parseArgs } from 'node:util';
+import { readFile } from 'node:fs/promises';
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+import Mailblock from '../index.js';
+
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  UNKNOWN_ERROR: 1,
+  USAGE_ERROR: 2,
+  VALIDATION_ERROR: 3,
+  CLIENT_ERROR: 4,
+  RATE_LIMIT_ERROR: 5,
+  SERVER_ERROR: 6,
+  NETWORK_ERROR: 7,
+  TIMEOUT_ERROR: 8,
+  PARTIAL_FAILURE: 9,
+  ABORTED: 130,
+};
+
+const USAGE = `Usage: mailblock <command> [options]
+
+Commands:
+  send                     Send or schedule an email
+  cancel <id...>           Cancel scheduled emails (several IDs use one bulk request)
+  update <id>              Update a scheduled email
+  status <id>              Show an email's current status
+
+Send options:
+  --to <address>           Recipient; repeat or comma-separate for several (required)
+  --cc, --bcc <address>    Copy recipients; repeatable
+  --from <address>         Sender (required)
+  --reply-to <address>     Reply-To address; repeatable
+  --subject <text>         Subject (required)
+  --text <text>            Plain-text body
+  --text-file <path|->     Read the plain-text body from a file or stdin
+  --html <html>            HTML body
+  --html-file <path|->     Read the HTML body from a file or stdin
+  --schedule <when>        ISO date, '2h', '3bd', '09:00', ...
+  --timezone <zone>        IANA timezone for --schedule, e.g. America/New_York
+  --tag <tag>              Repeatable
+  --metadata <key=value>   Repeatable
+  --header <Name: value>   Repeatable
+  --attach <path>          Repeatable
+  --idempotency-key <key>
+
+Cancel options:
+  --ids-file <path|->      Read IDs from a file or stdin (one per line, # comments allowed)
+
+Update options:
+  --subject, --text, --text-file, --html, --html-file, --schedule, --timezone
+  --unschedule             Clear the schedule
+
+Global options:
+  --profile <name>         Profile from the config file (default: MAILBLOCK_PROFILE or "default")
+  --base-url <url>         Override the API base URL
+  --json                   Print the full response as JSON
+  --dry-run                Validate and show what would be sent without calling the API
+  -h, --help               Show this help
+  -v, --version            Show the version
+
+The API key is read from MAILBLOCK_API_KEY or from the selected profile in
+~/.mailblock/config.json (override the path with MAILBLOCK_CONFIG):
+
+  { "profiles": { "default": { "apiKey": "mb_live_...", "baseUrl": "https://..." } } }
+
+Exit codes: 0 success, 2 usage, 3 validation, 4 client/auth, 5 rate limit, 6 server,
+7 network, 8 timeout, 9 partial failure, 130 aborted, 1 anything else.`;
+
+const OPTIONS = {
+  to: { type: 'string', multiple: true },
+  cc: { type: 'string', multiple: true },
+  bcc: { type: 'string', multiple: true },
+  from: { type: 'string' },
+  'reply-to': { type: 'string', multiple: true },
+  subject: { type: 'string' },
+  text: { type: 'string' },
+  'text-file': { type: 'string' },
+  html: { type: 'string' },
+  'html-file': { type: 'string' },
+  schedule: { type: 'string' },
+  timezone: { type: 'string' },
+  unschedule: { type: 'boolean' },
+  tag: { type: 'string', multiple: true },
+  metadata: { type: 'string', multiple: true },
+  header: { type: 'string', multiple: true },
+  attach: { type: 'string', multiple: true },
+  'idempotency-key': { type: 'string' },
+  'ids-file': { type: 'string' },
+  profile: { type: 'string' },
+  'base-url': { type: 'string' },
+  json: { type: 'boolean' },
+  'dry-run': { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+  version: { type: 'boolean', short: 'v' },
+};
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+const createAbortError = () => {
+  const error = new Error('Aborted while reading stdin');
+  error.name = 'AbortError';
+  return error;
+};
+
+// Ctrl+C while waiting on stdin rejects, so a terminal that never sends EOF doesn't leave the CLI hanging
+function readStream(stream, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const chunks = [];
+    const onAbort = () => {
+      stream.destroy?.();
+      reject(createAbortError());
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+    const settle = (callback) => (value) => {
+      signal?.removeEventListener('abort', onAbort);
+      callback(value);
+    };
+    stream.on('data', (chunk) => chunks.push(Buffer.from(chunk)));
+    stream.on('end', settle(() => resolve(Buffer.concat(chunks).toString('utf8'))));
+    stream.on('error', settle(reject));
+  });
+}
+
+// Reads `path`, or stdin for '-'; stdin can only be consumed once per invocation
+function createInputReader(stdin, signal) {
+  let stdinUsedBy = null;
+  return async (path, flag) => {
+    if (path !== '-') {
+      try {
+        return await readFile(path, 'utf8');
+      } catch (error) {
+        throw new UsageError(`Cannot read ${flag} '${path}': ${error.code === 'ENOENT' ? 'file not found' : error.message}`);
+      }
+    }
+    if (stdinUsedBy) {
+      throw new UsageError(`Only one option can read from stdin (already used by ${stdinUsedBy})`);
+    }
+    stdinUsedBy = flag;
+    return readStream(stdin, signal);
+  };
+}
+
+async function loadProfile({ env, profile }) {
+  const path = env.MAILBLOCK_CONFIG || join(homedir(), '.mailblock', 'config.json');
+  let config;
+  try {
+    config = JSON.parse(await readFile(path, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      if (profile) throw new UsageError(`Config file ${path} not found (needed for --profile ${profile})`);
+      return {};
+    }
+    throw new UsageError(`Cannot read config file ${path}: ${error.message}`);
+  }
+
+  const name = profile || env.MAILBLOCK_PROFILE || 'default';
+  const selected = config.profiles?.[name];
+  if (!selected) {
+    if (profile || env.MAILBLOCK_PROFILE) throw new UsageError(`Profile '${name}' not found in ${path}`);
+    return {};
+  }
+  return selected;
+}
+
+// An explicit --profile wins over MAILBLOCK_API_KEY; otherwise the environment wins over the default profile
+async function resolveCredentials({ values, env }) {
+  if (!values.profile && env.MAILBLOCK_API_KEY) {
+    return { apiKey: env.MAILBLOCK_API_KEY, baseUrl: values['base-url'] };
+  }
+  const profile = await loadProfile({ env, profile: values.profile });
+  return { apiKey: profile.apiKey || null, baseUrl: values['base-url'] || profile.baseUrl };
+}
+
+const splitList = (values = []) => values.flatMap((value) => value.split(',')).map((value) => value.trim()).filter(Boolean);
+
+function parseKeyValues(values = [], flag, separator) {
+  const entries = {};
+  for (const value of values) {
+    const index = value.indexOf(separator);
+    if (index <= 0) {
+      throw new UsageError(`${flag} expects '${separator === '=' ? 'key=value' : 'Name: value'}', got '${value}'`);
+    }
+    entries[value.slice(0, index).trim()] = value.slice(index + 1).trim();
+  }
+  return entries;
+}
+
+// Metadata values that look like numbers or booleans are sent as such
+const coerceMetadataValue = (value) => {
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (/^-?\d+(\.\d+)?$/.test(value) && Number.isFinite(Number(value))) return Number(value);
+  return value;
+};
+
+async function readBody(values, read) {
+  if (values.text !== undefined && values['text-file'] !== undefined) {
+    throw new UsageError('Use either --text or --text-file, not both');
+  }
+  if (values.html !== undefined && values['html-file'] !== undefined) {
+    throw new UsageError('Use either --html or --html-file, not both');
+  }
+  return {
+    text: values['text-file'] !== undefined ? await read(values['text-file'], '--text-file') : values.text,
+    html: values['html-file'] !== undefined ? await read(values['html-file'], '--html-file') : values.html
+  };
+}
+
+function readSchedule(values) {
+  if (values.schedule === undefined) {
+    if (values.timezone !== undefined) throw new UsageError('--timezone needs --schedule');
+    return undefined;
+  }
+  return values.timezone ? { at: values.schedule, timezone: values.timezone } : values.schedule;
+}
+
+async function buildSend(values, read) {
+  const { text, html } = await readBody(values, read);
+  const metadata = parseKeyValues(values.metadata, '--metadata', '=');
+  const headers = parseKeyValues(values.header, '--header', ':');
+
+  return {
+    to: splitList(values.to),
+    ...(values.cc && { cc: splitList(values.cc) }),
+    ...(values.bcc && { bcc: splitList(values.bcc) }),
+    from: values.from,
+    ...(values['reply-to'] && { replyTo: splitList(values['reply-to']) }),
+    subject: values.subject,
+    ...(text !== undefined && { text }),
+    ...(html !== undefined && { html }),
+    ...(values.schedule !== undefined && { scheduledAt: readSchedule(values) }),
+    ...(values.tag && { tags: splitList(values.tag) }),
+    ...(Object.keys(metadata).length > 0 && {
+      metadata: Object.fromEntries(Object.entries(metadata).map(([key, value]) => [key, coerceMetadataValue(value)]))
+    }),
+    ...(Object.keys(headers).length > 0 && { headers }),
+    ...(values.attach && { attachments: values.attach.map((path) => ({ path })) }),
+    ...(values['idempotency-key'] && { idempotencyKey: values['idempotency-key'] })
+  };
+}
+
+async function buildUpdate(values, read) {
+  const { text, html } = await readBody(values, read);
+  if (values.unschedule && values.schedule !== undefined) {
+    throw new UsageError('Use either --schedule or --unschedule, not both');
+  }
+  const updates = {
+    ...(values.subject !== undefined && { subject: values.subject }),
+    ...(html !== undefined && { body_html: html }),
+    ...(text !== undefined && { body_text: text }),
+    ...(values.schedule !== undefined && { scheduled_at: readSchedule(values) }),
+    ...(values.unschedule && { scheduled_at: null })
+  };
+  if (Object.keys(updates).length === 0) {
+    throw new UsageError('update needs at least one of --subject, --text, --text-file, --html, --html-file, --schedule or --unschedule');
+  }
+  return updates;
+}
+
+async function readIds(positionals, values, read) {
+  const ids = [...positionals];
+  if (values['ids-file'] !== undefined) {
+    const contents = await read(values['ids-file'], '--ids-file');
+    for (const line of contents.split(/\r?\n/)) {
+      const withoutComment = line.replace(/#.*$/, '');
+      ids.push(...withoutComment.split(/[\s,]+/).filter(Boolean));
+    }
+  }
+  if (ids.length === 0) {
+    throw new UsageError('cancel needs at least one email ID or --ids-file');
+  }
+  return [...new Set(ids)];
+}
+
+// Dry-run sends go to the client's recorder; everything else stops here, after validation, since the
+// recorder has no emails to cancel, update or look up. Each request is kept so it can be shown.
+function createDryRunMiddleware(requests) {
+  return {
+    name: 'cli-dry-run',
+    beforeRequest({ operation, method, path, body }) {
+      requests.push({ method, path, body });
+      if (operation === 'sendEmail') return undefined;
+      return { status: 200, data: { dry_run: true, message: `Dry run: would ${method} ${path}` } };
+    }
+  };
+}
+
+function exitCodeFor(response) {
+  if (response.success) {
+    return response.data?.error_count > 0 ? EXIT_CODES.PARTIAL_FAILURE : EXIT_CODES.SUCCESS;
+  }
+  return EXIT_CODES[response.errorType] ?? EXIT_CODES.UNKNOWN_ERROR;
+}
+
+function describe(command, response, dryRunRequests) {
+  const data = response.data || {};
+  if (dryRunRequests) {
+    const { method, path, body } = dryRunRequests[dryRunRequests.length - 1];
+    // Attachment content is base64 and only adds noise
+    const shown = body?.attachments
+      ? { ...body, attachments: body.attachments.map(({ filename, content_type }) => ({ filename, content_type })) }
+      : body;
+    return [
+      `Dry run: would ${method} ${path} (nothing was sent)`,
+      ...(shown !== undefined ? [JSON.stringify(shown, null, 2)] : [])
+    ];
+  }
+  switch (command) {
+    case 'send':
+      return [`${data.status === 'scheduled' ? 'Scheduled' : 'Sent'} email ${data.id} (status: ${data.status})`];
+    case 'cancel':
+      if (data.results) {
+        return [
+          response.message,
+          ...data.results.map((result) => `  cancelled ${result.email_id}`),
+          ...(data.errors || []).map((error) => `  failed ${error.email_id}: ${error.error}`)
+        ];
+      }
+      return [`Cancelled email ${data.email_id} (was ${data.previous_status})`];
+    case 'update':
+      return [`Updated email ${data.email?.id} (status: ${data.email?.status}${data.email?.scheduled_at ? `, scheduled for ${data.email.scheduled_at}` : ''})`];
+    case 'status':
+      return Object.entries(data)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => `${key.padEnd(14)} ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+    default:
+      return [];
+  }
+}
+
+// Resolves to the process exit code; streams and environment can be swapped out when embedding
+export async function run(argv, { version, env = process.env, stdin = process.stdin, stdout = process.stdout, stderr = process.stderr, signal } = {}) {
+  const print = (stream, lines) => stream.write(`${lines.join('\n')}\n`);
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+  } catch (error) {
+    print(stderr, [`Error: ${error.message}`, 'Run mailblock --help for usage.']);
+    return EXIT_CODES.USAGE_ERROR;
+  }
+
+  const { values, positionals } = parsed;
+  const [command, ...args] = positionals;
+
+  if (values.version) {
+    print(stdout, [version]);
+    return EXIT_CODES.SUCCESS;
+  }
+  if (values.help || !command) {
+    print(values.help ? stdout : stderr, [USAGE]);
+    return values.help ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE_ERROR;
+  }
+
+  const read = createInputReader(stdin, signal);
+  const dryRunRequests = values['dry-run'] ? [] : null;
+  let call;
+  try {
+    if (!['send', 'cancel', 'update', 'status'].includes(command)) {
+      throw new UsageError(`Unknown command '${command}'`);
+    }
+    if (command === 'send' && args.length > 0) {
+      throw new UsageError(`send does not take positional arguments (got '${args[0]}')`);
+    }
+    if ((command === 'update' || command === 'status') && args.length !== 1) {
+      throw new UsageError(`${command} needs exactly one email ID`);
+    }
+
+    const dryRun = Boolean(values['dry-run']);
+    const { apiKey, baseUrl } = await resolveCredentials({ values, env });
+    if (!apiKey && !dryRun) {
+      throw new UsageError('No API key found. Set MAILBLOCK_API_KEY or add a profile to the config file');
+    }
+
+    const client = new Mailblock(apiKey || 'dry-run', {
+      ...(baseUrl && { baseUrl }),
+      ...(dryRun && { dryRun: true, middleware: [createDryRunMiddleware(dryRunRequests)] })
+    });
+    const requestOptions = signal ? { signal } : undefined;
+
+    if (command === 'send') {
+      const email = await buildSend(values, read);
+      call = () => client.sendEmail(email, requestOptions);
+    } else if (command === 'cancel') {
+      const ids = await readIds(args, values, read);
+      call = () => (ids.length === 1 ? client.cancelEmail(ids[0], requestOptions) : client.cancelEmails(ids, requestOptions));
+    } else if (command === 'update') {
+      const updates = await buildUpdate(values, read);
+      call = () => client.updateScheduledEmail(args[0], updates, requestOptions);
+    } else {
+      call = () => client.getEmail(args[0], requestOptions);
+    }
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      print(stderr, ['Aborted']);
+      return EXIT_CODES.ABORTED;
+    }
+    if (error.name !== 'UsageError') throw error;
+    print(stderr, [`Error: ${error.message}`, 'Run mailblock --help for usage.']);
+    return EXIT_CODES.USAGE_ERROR;
+  }
+
+  const response = await call();
+  if (values.json) {
+    print(stdout, [JSON.stringify(response, null, 2)]);
+  } else if (response.success) {
+    print(stdout, describe(command, response, dryRunRequests));
+  } else {
+    print(stderr, [`Error (${response.errorType}): ${response.error}`, ...(response.suggestion ? [`  ${response.suggestion}`] : [])]);
+  }
+  return exitCodeFor(response);
+}
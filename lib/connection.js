@@ -0,0 +1,149 @@
+import http from 'node:http';
+import https from 'node:https';
+
+export const DEFAULT_CONNECTION_OPTIONS = {
+  keepAlive: true,
+  maxSockets: 50,
+  maxFreeSockets: 10,
+  idleTimeout: 30000,
+};
+
+export class ClientClosedError extends Error {
+  constructor() {
+    super('Mailblock client has been closed');
+    this.name = 'ClientClosedError';
+  }
+}
+
+const isDispatcher = (value) =>
+  value !== null && typeof value === 'object' && typeof value.dispatch === 'function' && typeof value.close === 'function';
+
+function normalizeConnectionOptions(options) {
+  const { keepAlive, maxSockets, maxFreeSockets, idleTimeout, dispatcher } = { ...DEFAULT_CONNECTION_OPTIONS, ...options };
+
+  if (typeof keepAlive !== 'boolean') {
+    throw new Error('connection.keepAlive must be a boolean');
+  }
+  if (maxSockets !== Infinity && (!Number.isInteger(maxSockets) || maxSockets < 1)) {
+    throw new Error('connection.maxSockets must be a positive integer or Infinity');
+  }
+  if (!Number.isInteger(maxFreeSockets) || maxFreeSockets < 0) {
+    throw new Error('connection.maxFreeSockets must be a non-negative integer');
+  }
+  if (typeof idleTimeout !== 'number' || !(idleTimeout > 0)) {
+    throw new Error('connection.idleTimeout must be a positive number of milliseconds');
+  }
+  if (dispatcher !== undefined && !isDispatcher(dispatcher)) {
+    throw new Error('connection.dispatcher must be an undici Dispatcher such as new Agent({ pipelining: 10 })');
+  }
+  return { keepAlive, maxSockets, maxFreeSockets, idleTimeout, dispatcher };
+}
+
+function readBody(response) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    response.on('data', (chunk) => chunks.push(chunk));
+    response.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    response.on('error', reject);
+  });
+}
+
+// Proxies and load balancers answer with HTML error pages or empty bodies; those carry no API
+// payload, so they parse to {} and the status code alone decides how the response is handled
+export function parseResponseBody(text) {
+  if (!text) return {};
+  try {
+    return JSON.parse(text);
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Owns the sockets a client talks to the API over. By default requests go through a keep-alive
+ * node:http(s) Agent, so connections and TLS sessions are reused across calls; an undici dispatcher
+ * (for HTTP pipelining) can be passed instead and is used with the global fetch.
+ */
+export class ConnectionPool {
+  constructor(options = {}) {
+    const { dispatcher, ...agentOptions } = normalizeConnectionOptions(options);
+    this.options = agentOptions;
+    this.dispatcher = dispatcher || null;
+    this.agents = { 'http:': null, 'https:': null };
+    this.closed = false;
+  }
+
+  transport() {
+    return async (request) => {
+      if (this.closed) throw new Error('Connection pool has been closed');
+      return this.dispatcher ? this._fetch(request) : this._request(request);
+    };
+  }
+
+  stats() {
+    if (this.dispatcher) {
+      return { dispatcher: true, closed: this.closed };
+    }
+    const count = (sockets) => Object.values(sockets).reduce((total, list) => total + list.length, 0);
+    const agents = Object.values(this.agents).filter(Boolean);
+    return {
+      dispatcher: false,
+      closed: this.closed,
+      activeSockets: agents.reduce((total, agent) => total + count(agent.sockets), 0),
+      idleSockets: agents.reduce((total, agent) => total + count(agent.freeSockets), 0),
+      queuedRequests: agents.reduce((total, agent) => total + count(agent.requests), 0),
+      maxSockets: this.options.maxSockets,
+    };
+  }
+
+  async close() {
+    if (this.closed) return;
+    this.closed = true;
+    for (const agent of Object.values(this.agents)) {
+      agent?.destroy();
+    }
+    await this.dispatcher?.close();
+  }
+
+  _agent(protocol) {
+    if (!(protocol in this.agents)) {
+      throw new Error(`Unsupported protocol '${protocol}' in baseUrl`);
+    }
+    if (!this.agents[protocol]) {
+      const { keepAlive, maxSockets, maxFreeSockets, idleTimeout } = this.options;
+      const Agent = protocol === 'https:' ? https.Agent : http.Agent;
+      // LIFO keeps a few sockets warm and lets the rest reach the idle timeout and close
+      this.agents[protocol] = new Agent({ keepAlive, maxSockets, maxFreeSockets, timeout: idleTimeout, scheduling: 'lifo' });
+    }
+    return this.agents[protocol];
+  }
+
+  async _fetch({ method, url, headers, body, signal }) {
+    const response = await globalThis.fetch(url, { method, headers, body, signal, dispatcher: this.dispatcher });
+    return {
+      status: response.status,
+      headers: response.headers,
+      data: parseResponseBody(await response.text())
+    };
+  }
+
+  _request({ method, url, headers, body, signal }) {
+    const target = new URL(url);
+    const agent = this._agent(target.protocol);
+    const client = target.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const request = client.request(target, { method, headers, agent, signal }, (response) => {
+        readBody(response).then((text) => {
+          resolve({
+            status: response.statusCode,
+            headers: response.headers,
+            data: parseResponseBody(text)
+          });
+        }, reject);
+      });
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+}
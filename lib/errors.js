@@ -0,0 +1,86 @@
+export class MailblockError extends Error {
+  constructor(message, { errorType = 'UNKNOWN_ERROR', statusCode = null, requestId = null, suggestion, endpoint, attempts, response } = {}) {
+    super(message);
+    this.name = 'MailblockError';
+    this.errorType = errorType;
+    this.statusCode = statusCode;
+    this.requestId = requestId;
+    this.suggestion = suggestion;
+    this.endpoint = endpoint;
+    this.attempts = attempts;
+    // Keep the full response envelope around without cluttering logs
+    Object.defineProperty(this, 'response', { value: response, enumerable: false });
+  }
+
+  static fromResponse(response) {
+    const ErrorClass = ERROR_CLASSES[response.errorType] || MailblockError;
+    return new ErrorClass(response.error, {
+      errorType: response.errorType,
+      statusCode: response.statusCode ?? null,
+      requestId: response.requestId ?? null,
+      suggestion: response.suggestion,
+      endpoint: response.endpoint,
+      attempts: response.attempts,
+      response
+    });
+  }
+}
+
+export class MailblockValidationError extends MailblockError {
+  constructor(message, details = {}) {
+    super(message, { ...details, errorType: 'VALIDATION_ERROR' });
+    this.name = 'MailblockValidationError';
+  }
+}
+
+export class MailblockClientError extends MailblockError {
+  constructor(message, details = {}) {
+    super(message, { ...details, errorType: 'CLIENT_ERROR' });
+    this.name = 'MailblockClientError';
+  }
+}
+
+export class MailblockRateLimitError extends MailblockError {
+  constructor(message, details = {}) {
+    super(message, { ...details, errorType: 'RATE_LIMIT_ERROR' });
+    this.name = 'MailblockRateLimitError';
+  }
+}
+
+export class MailblockServerError extends MailblockError {
+  constructor(message, details = {}) {
+    super(message, { ...details, errorType: 'SERVER_ERROR' });
+    this.name = 'MailblockServerError';
+  }
+}
+
+export class MailblockNetworkError extends MailblockError {
+  constructor(message, details = {}) {
+    super(message, { ...details, errorType: 'NETWORK_ERROR' });
+    this.name = 'MailblockNetworkError';
+  }
+}
+
+export class MailblockTimeoutError extends MailblockError {
+  constructor(message, details = {}) {
+    super(message, { ...details, errorType: 'TIMEOUT_ERROR' });
+    this.name = 'MailblockTimeoutError';
+  }
+}
+
+export class MailblockAbortError extends MailblockError {
+  constructor(message, details = {}) {
+    super(message, { ...details, errorType: 'ABORTED' });
+    this.name = 'MailblockAbortError';
+  }
+}
+
+const ERROR_CLASSES = {
+  VALIDATION_ERROR: MailblockValidationError,
+  CLIENT_ERROR: MailblockClientError,
+  RATE_LIMIT_ERROR: MailblockRateLimitError,
+  SERVER_ERROR: MailblockServerError,
+  NETWORK_ERROR: MailblockNetworkError,
+  TIMEOUT_ERROR: MailblockTimeoutError,
+  ABORTED: MailblockAbortError,
+};
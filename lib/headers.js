@@ -0,0 +1,75 @@
+// Headers the API sets itself; overriding them would break delivery, threading or DKIM signatures
+export const RESERVED_HEADERS = new Set([
+  'bcc',
+  'cc',
+  'content-disposition',
+  'content-id',
+  'content-transfer-encoding',
+  'content-type',
+  'date',
+  'dkim-signature',
+  'from',
+  'message-id',
+  'mime-version',
+  'received',
+  'reply-to',
+  'return-path',
+  'sender',
+  'subject',
+  'to',
+]);
+
+const RESERVED_PREFIXES = ['x-mailblock-'];
+const HEADER_NAME_REGEX = /^[!-9;-~]+$/;
+const MAX_HEADER_LINE_LENGTH = 998;
+const MAX_HEADERS = 50;
+
+export function isReservedHeader(name) {
+  const lower = name.toLowerCase();
+  return RESERVED_HEADERS.has(lower) || RESERVED_PREFIXES.some((prefix) => lower.startsWith(prefix));
+}
+
+export function validateHeader(name, value) {
+  if (typeof name !== 'string' || !HEADER_NAME_REGEX.test(name)) {
+    return { isValid: false, error: `Invalid header name '${name}': use printable ASCII without spaces or colons` };
+  }
+  if (isReservedHeader(name)) {
+    return { isValid: false, error: `Header '${name}' is reserved and cannot be set as a custom header` };
+  }
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return { isValid: false, error: `Header '${name}' must have a string value` };
+  }
+  const stringValue = String(value);
+  // Line breaks would let a value inject extra headers
+  if (/[\r\n]/.test(stringValue)) {
+    return { isValid: false, error: `Header '${name}' cannot contain line breaks` };
+  }
+  if (name.length + 2 + stringValue.length > MAX_HEADER_LINE_LENGTH) {
+    return { isValid: false, error: `Header '${name}' is longer than ${MAX_HEADER_LINE_LENGTH} characters` };
+  }
+  return { isValid: true, value: stringValue };
+}
+
+export function normalizeHeaders(headers) {
+  if (headers === null || typeof headers !== 'object' || Array.isArray(headers)) {
+    return { isValid: false, error: 'headers must be an object of header names to values' };
+  }
+
+  const entries = Object.entries(headers);
+  if (entries.length > MAX_HEADERS) {
+    return { isValid: false, error: `At most ${MAX_HEADERS} custom headers are allowed` };
+  }
+
+  const normalized = {};
+  const seen = new Set();
+  for (const [name, value] of entries) {
+    const result = validateHeader(name, value);
+    if (!result.isValid) return result;
+    if (seen.has(name.toLowerCase())) {
+      return { isValid: false, error: `Header '${name}' is set more than once` };
+    }
+    seen.add(name.toLowerCase());
+    normalized[name] = result.value;
+  }
+  return { isValid: true, headers: normalized };
+}
@@ -0,0 +1,203 @@
+const DEFAULT_WORDWRAP = 78;
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  copy: '©',
+  reg: '®',
+  trade: '™',
+  hellip: '…',
+  mdash: '—',
+  ndash: '–',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  bull: '•',
+  middot: '·',
+  euro: '€',
+  pound: '£',
+  yen: '¥',
+  cent: '¢',
+  deg: '°',
+  times: '×',
+  laquo: '«',
+  raquo: '»',
+};
+
+const PARAGRAPH_TAGS = new Set(['p', 'blockquote', 'table', 'pre', 'address', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+const LINE_TAGS = new Set(['div', 'tr', 'section', 'article', 'header', 'footer', 'main', 'nav', 'aside', 'center', 'dd', 'dt', 'caption']);
+const LIST_ITEM_PREFIX = /^(\s*(?:\* |\d+\. )?)/;
+
+// Control characters are stripped from the input, so they can mark what word wrapping must leave alone:
+// lines from a <pre> block, and the spaces inside inline <code>, which is kept on one line like a long URL
+const PREFORMATTED = '\u0000';
+const CODE_SPACE = '\u0001';
+
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+function getAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  if (!match) return null;
+  return decodeEntities(match[1] ?? match[2] ?? match[3]).trim();
+}
+
+function wrapLine(line, width) {
+  if (width <= 0 || line.length <= width) return [line];
+
+  const prefix = line.match(LIST_ITEM_PREFIX)[1];
+  const indent = ' '.repeat(prefix.length);
+  const words = line.slice(prefix.length).split(' ').filter(Boolean);
+  const wrapped = [];
+  let current = prefix;
+
+  for (const word of words) {
+    const isLineStart = current === prefix || current === indent;
+    // Long words such as URLs are never split; they just overflow
+    if (!isLineStart && current.length + 1 + word.length > width) {
+      wrapped.push(current);
+      current = indent + word;
+    } else {
+      current += (isLineStart ? '' : ' ') + word;
+    }
+  }
+  wrapped.push(current);
+  return wrapped;
+}
+
+// Converts an HTML body into a readable plain-text alternative
+export function htmlToText(html, { wordwrap = DEFAULT_WORDWRAP } = {}) {
+  if (typeof html !== 'string' || html.length === 0) return '';
+
+  const source = html
+    .replace(/[\u0000\u0001]/g, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head|title|noscript|template)\b[\s\S]*?<\/\1\s*>/gi, '');
+
+  const tokenRegex = /<(\/?)([a-zA-Z][a-zA-Z0-9]*)\b([^>]*)>|([^<]+)|</g;
+  const lists = [];
+  const links = [];
+  const headings = [];
+  let preDepth = 0;
+  let codeDepth = 0;
+  let out = '';
+
+  const endsWithBreak = () => out.length === 0 || out.endsWith('\n');
+  const newline = () => {
+    out = out.replace(/[ \t]+$/, '');
+    if (!endsWithBreak()) out += '\n';
+  };
+  const paragraph = () => {
+    newline();
+    if (out.length > 0 && !out.endsWith('\n\n')) out += '\n';
+  };
+  const append = (text) => {
+    if (preDepth > 0) {
+      out += text.split('\n').map((segment) => segment && PREFORMATTED + segment).join('\n');
+      return;
+    }
+    let collapsed = text.replace(/\s+/g, ' ');
+    if (endsWithBreak() || out.endsWith(' ')) {
+      collapsed = collapsed.replace(/^ /, '');
+    }
+    out += codeDepth > 0 ? collapsed.replace(/ /g, CODE_SPACE) : collapsed;
+  };
+
+  let match;
+  while ((match = tokenRegex.exec(source)) !== null) {
+    const [token, closing, rawName, attributes = '', text] = match;
+
+    if (text !== undefined || token === '<') {
+      append(decodeEntities(text ?? token));
+      continue;
+    }
+
+    const name = rawName.toLowerCase();
+    const isClosing = closing === '/';
+
+    if (name === 'br') {
+      out = out.replace(/[ \t]+$/, '') + '\n';
+    } else if (name === 'hr') {
+      paragraph();
+      out += '-'.repeat(Math.min(wordwrap > 0 ? wordwrap : DEFAULT_WORDWRAP, 40));
+      paragraph();
+    } else if (name === 'img' && !isClosing) {
+      const alt = getAttribute(attributes, 'alt');
+      if (alt) append(`[${alt}]`);
+    } else if (name === 'a') {
+      if (!isClosing) {
+        links.push({ href: getAttribute(attributes, 'href'), start: out.length });
+      } else if (links.length > 0) {
+        const { href, start } = links.pop();
+        const label = out.slice(start).trim();
+        const target = href?.replace(/^mailto:/i, '');
+        const isUseful = href && !href.startsWith('#') && !/^javascript:/i.test(href);
+        if (isUseful && label !== target && label !== href) {
+          out = label ? `${out.replace(/\s+$/, '')} (${href})` : `${out}${href}`;
+        }
+      }
+    } else if (name === 'ul' || name === 'ol') {
+      if (!isClosing) {
+        if (lists.length === 0) paragraph(); else newline();
+        lists.push({ ordered: name === 'ol', counter: Number(getAttribute(attributes, 'start')) || 1 });
+      } else if (lists.length > 0) {
+        lists.pop();
+        if (lists.length === 0) paragraph(); else newline();
+      }
+    } else if (name === 'li') {
+      if (!isClosing) {
+        newline();
+        const list = lists[lists.length - 1];
+        const bullet = list?.ordered ? `${list.counter++}. ` : '* ';
+        out += '  '.repeat(Math.max(lists.length - 1, 0)) + bullet;
+      } else {
+        newline();
+      }
+    } else if (/^h[1-6]$/.test(name)) {
+      if (!isClosing) {
+        paragraph();
+        headings.push(out.length);
+      } else if (headings.length > 0) {
+        const start = headings.pop();
+        const heading = out.slice(start).trim();
+        if (name === 'h1' || name === 'h2') {
+          const underline = (name === 'h1' ? '=' : '-').repeat(Math.min(heading.length, wordwrap > 0 ? wordwrap : heading.length));
+          out = `${out.slice(0, start)}${heading.toUpperCase()}\n${underline}`;
+        }
+        paragraph();
+      }
+    } else if (name === 'td' || name === 'th') {
+      if (!isClosing && !endsWithBreak() && !out.endsWith(' ')) out += ' ';
+    } else if (name === 'pre') {
+      paragraph();
+      preDepth = Math.max(preDepth + (isClosing ? -1 : 1), 0);
+    } else if (name === 'code') {
+      codeDepth = Math.max(codeDepth + (isClosing ? -1 : 1), 0);
+    } else if (PARAGRAPH_TAGS.has(name)) {
+      paragraph();
+    } else if (LINE_TAGS.has(name)) {
+      newline();
+    }
+  }
+
+  return out
+    .split('\n')
+    .map((line) => line.replace(/\s+$/, ''))
+    .flatMap((line) => (line.includes(PREFORMATTED) ? [line.replaceAll(PREFORMATTED, '')] : wrapLine(line, wordwrap)))
+    .join('\n')
+    .replaceAll(CODE_SPACE, ' ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
@@ -0,0 +1,51 @@
+import { readFile, writeFile, rename, mkdir } from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+// Base for stores that keep an in-memory store in a JSON array on disk. The file is read on first use;
+// writes are serialized and go through a temporary file and a rename, so a crash never leaves it half-written.
+// Subclasses implement _createMemory(entries) and persist whatever its list() returns.
+export class JsonFileStore {
+  constructor(path, description) {
+    this.path = path;
+    this.description = description;
+    this.memory = null;
+    this.loading = null;
+    this.writing = Promise.resolve();
+  }
+
+  _load() {
+    if (this.memory) return Promise.resolve(this.memory);
+    if (!this.loading) {
+      this.loading = readFile(this.path, 'utf8')
+        .then((contents) => {
+          const entries = JSON.parse(contents);
+          if (!Array.isArray(entries)) {
+            throw new Error(`${this.description} ${this.path} must contain a JSON array`);
+          }
+          return entries;
+        }, (error) => {
+          if (error.code === 'ENOENT') return [];
+          throw error;
+        })
+        .then((entries) => {
+          this.memory = this._createMemory(entries);
+          return this.memory;
+        })
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+    return this.loading;
+  }
+
+  _save() {
+    const write = async () => {
+      const temporaryPath = `${this.path}.${process.pid}.tmp`;
+      await mkdir(dirname(this.path), { recursive: true });
+      await writeFile(temporaryPath, JSON.stringify(this.memory.list(), null, 2));
+      await rename(temporaryPath, this.path);
+    };
+    this.writing = this.writing.then(write, write);
+    return this.writing;
+  }
+}
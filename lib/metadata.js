@@ -0,0 +1,63 @@
+const TAG_REGEX = /^[A-Za-z0-9_-]+$/;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 64;
+const METADATA_KEY_REGEX = /^[A-Za-z0-9_.-]+$/;
+const MAX_METADATA_KEYS = 50;
+const MAX_METADATA_KEY_LENGTH = 40;
+const MAX_METADATA_VALUE_LENGTH = 500;
+
+export function validateTag(tag) {
+  if (typeof tag !== 'string' || !TAG_REGEX.test(tag)) {
+    return { isValid: false, error: `Invalid tag '${tag}': use only letters, numbers, underscores and dashes` };
+  }
+  if (tag.length > MAX_TAG_LENGTH) {
+    return { isValid: false, error: `Tag '${tag}' is longer than ${MAX_TAG_LENGTH} characters` };
+  }
+  return { isValid: true };
+}
+
+// Accepts a single tag or an array; duplicates are removed
+export function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : [tags];
+  for (const tag of list) {
+    const result = validateTag(tag);
+    if (!result.isValid) return result;
+  }
+  const unique = [...new Set(list)];
+  if (unique.length > MAX_TAGS) {
+    return { isValid: false, error: `At most ${MAX_TAGS} tags are allowed` };
+  }
+  return { isValid: true, tags: unique };
+}
+
+export function validateMetadataEntry(key, value) {
+  if (typeof key !== 'string' || !METADATA_KEY_REGEX.test(key)) {
+    return { isValid: false, error: `Invalid metadata key '${key}': use only letters, numbers, dots, underscores and dashes` };
+  }
+  if (key.length > MAX_METADATA_KEY_LENGTH) {
+    return { isValid: false, error: `Metadata key '${key}' is longer than ${MAX_METADATA_KEY_LENGTH} characters` };
+  }
+  const isScalar = typeof value === 'string' || typeof value === 'boolean' || (typeof value === 'number' && Number.isFinite(value));
+  if (!isScalar) {
+    return { isValid: false, error: `Metadata value for '${key}' must be a string, finite number or boolean` };
+  }
+  if (typeof value === 'string' && value.length > MAX_METADATA_VALUE_LENGTH) {
+    return { isValid: false, error: `Metadata value for '${key}' is longer than ${MAX_METADATA_VALUE_LENGTH} characters` };
+  }
+  return { isValid: true };
+}
+
+export function normalizeMetadata(metadata) {
+  if (metadata === null || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    return { isValid: false, error: 'metadata must be an object of keys to string, number or boolean values' };
+  }
+  const entries = Object.entries(metadata);
+  if (entries.length > MAX_METADATA_KEYS) {
+    return { isValid: false, error: `At most ${MAX_METADATA_KEYS} metadata keys are allowed` };
+  }
+  for (const [key, value] of entries) {
+    const result = validateMetadataEntry(key, value);
+    if (!result.isValid) return result;
+  }
+  return { isValid: true, metadata: Object.fromEntries(entries) };
+}
@@ -0,0 +1,83 @@
+// OpenTelemetry SpanStatusCode values, so no dependency on @opentelemetry/api is needed
+const SPAN_STATUS_OK = 1;
+const SPAN_STATUS_ERROR = 2;
+const SPAN_KIND_CLIENT = 2;
+
+export const METRIC_NAMES = {
+  requests: 'mailblock.requests',
+  duration: 'mailblock.request.duration',
+  retries: 'mailblock.retries',
+  errors: 'mailblock.errors',
+};
+
+export function isMetricsSink(value) {
+  return value !== null && typeof value === 'object' &&
+    (typeof value.increment === 'function' || typeof value.histogram === 'function');
+}
+
+// Turns the client's lifecycle events into counters and latency histograms, tagged by operation
+export function attachMetrics(client, metrics) {
+  if (!isMetricsSink(metrics)) {
+    throw new Error('metrics must be an object with increment(name, value, tags) and/or histogram(name, value, tags)');
+  }
+  const increment = (name, tags) => metrics.increment?.(name, 1, tags);
+
+  client.on('request', ({ operation, method }) => {
+    increment(METRIC_NAMES.requests, { operation, method });
+  });
+  client.on('response', ({ operation, method, status, duration }) => {
+    metrics.histogram?.(METRIC_NAMES.duration, duration, { operation, method, status: String(status) });
+  });
+  client.on('retry', ({ operation, errorType }) => {
+    increment(METRIC_NAMES.retries, { operation, errorType });
+  });
+  client.on('error', ({ operation, errorType, statusCode }) => {
+    increment(METRIC_NAMES.errors, { operation, errorType, status: statusCode === null ? 'none' : String(statusCode) });
+  });
+}
+
+// Middleware that wraps every API call in a client span. Works with any tracer exposing
+// startSpan(name, options) and spans with setAttribute/setStatus/recordException/end.
+export function createTracingMiddleware(tracer, { spanPrefix = 'mailblock' } = {}) {
+  if (!tracer || typeof tracer.startSpan !== 'function') {
+    throw new Error('tracer must have a startSpan(name, options) method');
+  }
+
+  return {
+    name: 'tracing',
+    beforeRequest(context) {
+      context.state.span = tracer.startSpan(`${spanPrefix}.${context.operation}`, {
+        kind: SPAN_KIND_CLIENT,
+        attributes: {
+          'http.request.method': context.method,
+          'url.path': context.path,
+          'mailblock.operation': context.operation,
+          'mailblock.request_id': context.requestId,
+        },
+      });
+    },
+    // The span is ended even if the tracer throws while it is annotated, so it never leaks
+    afterResponse(context, response) {
+      const { span } = context.state;
+      if (!span) return;
+      try {
+        span.setAttribute('http.response.status_code', response.status);
+        span.setAttribute('mailblock.attempts', response.attempts);
+        span.setStatus(response.ok ? { code: SPAN_STATUS_OK } : { code: SPAN_STATUS_ERROR, message: `HTTP ${response.status}` });
+      } finally {
+        span.end();
+      }
+    },
+    onError(context, error) {
+      const { span } = context.state;
+      if (!span) return;
+      try {
+        span.recordException(error);
+        if (error.attempts !== undefined) span.setAttribute('mailblock.attempts', error.attempts);
+        span.setStatus({ code: SPAN_STATUS_ERROR, message: error.message });
+      } finally {
+        span.end();
+      }
+    },
+  };
+}
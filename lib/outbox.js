@@ -0,0 +1,206 @@
+import { randomUUID } from 'node:crypto';
+import { JsonFileStore } from './json-file-store.js';
+
+export const DEFAULT_QUEUE_ON = ['NETWORK_ERROR', 'TIMEOUT_ERROR'];
+export const DEFAULT_FLUSH_INTERVAL = 30000;
+
+// Failures that say nothing about the email itself; flushing stops and tries again later to keep the order
+const TRANSIENT_ERRORS = new Set(['NETWORK_ERROR', 'TIMEOUT_ERROR', 'RATE_LIMIT_ERROR', 'SERVER_ERROR']);
+
+export function isOutboxStore(value) {
+  return value !== null && typeof value === 'object' &&
+    ['list', 'add', 'update', 'remove'].every((method) => typeof value[method] === 'function');
+}
+
+// Any object with list() -> entry[] (oldest first), add(entry), update(entry) and remove(id) can back the
+// outbox, e.g. a database table. Methods may be sync or async.
+export class MemoryOutboxStore {
+  constructor(entries = []) {
+    this.entries = entries.map((entry) => ({ ...entry }));
+  }
+
+  list() {
+    return this.entries.map((entry) => ({ ...entry }));
+  }
+
+  add(entry) {
+    this.entries.push({ ...entry });
+  }
+
+  update(entry) {
+    const index = this.entries.findIndex((existing) => existing.id === entry.id);
+    if (index !== -1) this.entries[index] = { ...entry };
+  }
+
+  remove(id) {
+    const before = this.entries.length;
+    this.entries = this.entries.filter((entry) => entry.id !== id);
+    return this.entries.length < before;
+  }
+}
+
+// Keeps the queue in a JSON file so queued emails survive restarts
+export class FileOutboxStore extends JsonFileStore {
+  constructor(path) {
+    if (typeof path !== 'string' || path.trim().length === 0) {
+      throw new Error('FileOutboxStore requires a file path');
+    }
+    super(path, 'Outbox file');
+  }
+
+  async list() {
+    return (await this._load()).list();
+  }
+
+  async add(entry) {
+    (await this._load()).add(entry);
+    await this._save();
+  }
+
+  async update(entry) {
+    (await this._load()).update(entry);
+    await this._save();
+  }
+
+  async remove(id) {
+    const removed = (await this._load()).remove(id);
+    if (removed) await this._save();
+    return removed;
+  }
+
+  _createMemory(entries) {
+    return new MemoryOutboxStore(entries);
+  }
+}
+
+export class Outbox {
+  constructor({ store = new MemoryOutboxStore(), deliver, queueOn = DEFAULT_QUEUE_ON, flushInterval = DEFAULT_FLUSH_INTERVAL, onError } = {}) {
+    if (!isOutboxStore(store)) {
+      throw new Error('outbox.store must implement list(), add(), update() and remove()');
+    }
+    if (typeof deliver !== 'function') {
+      throw new Error('Outbox requires a deliver function');
+    }
+    if (!Array.isArray(queueOn)) {
+      throw new Error('outbox.queueOn must be an array of error types');
+    }
+    if (typeof flushInterval !== 'number' || flushInterval < 0) {
+      throw new Error('outbox.flushInterval must be a non-negative number of milliseconds');
+    }
+
+    this.store = store;
+    this.deliver = deliver;
+    this.queueOn = queueOn;
+    this.flushInterval = flushInterval;
+    this.onError = onError || (() => {});
+    this.flushing = null;
+    this.wakeAgain = false;
+    this.timer = null;
+  }
+
+  shouldQueue(errorType) {
+    return this.queueOn.includes(errorType);
+  }
+
+  async enqueue({ payload, idempotencyKey, reason }) {
+    const entry = {
+      id: `outbox_${randomUUID()}`,
+      status: 'pending',
+      payload,
+      idempotencyKey,
+      createdAt: new Date().toISOString(),
+      attempts: 0,
+      lastError: reason?.error ?? null,
+      lastErrorType: reason?.errorType ?? null,
+      lastAttemptAt: null
+    };
+    await this.store.add(entry);
+    this.start();
+    return entry;
+  }
+
+  async pending() {
+    return this.store.list();
+  }
+
+  async drop(id) {
+    return Boolean(await this.store.remove(id));
+  }
+
+  // Only one flush runs at a time, so an entry is never delivered twice concurrently
+  flush() {
+    if (!this.flushing) {
+      this.wakeAgain = false;
+      this.flushing = this._flush().finally(() => {
+        this.flushing = null;
+        // Entries added while it ran were not in its snapshot
+        if (this.wakeAgain) this.wake();
+      });
+    }
+    return this.flushing;
+  }
+
+  // Starts a background flush without waiting for it, e.g. after a request shows the API is reachable again
+  wake() {
+    if (this.flushing) {
+      this.wakeAgain = true;
+      return;
+    }
+    this.flush().catch((error) => this.onError(error));
+  }
+
+  start() {
+    if (this.timer || this.flushInterval === 0) return;
+    this.timer = setInterval(() => this.wake(), this.flushInterval);
+    // The retry timer alone should never keep the process alive
+    this.timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.wakeAgain = false;
+  }
+
+  async _flush() {
+    const entries = await this.store.list();
+    const result = { sent: [], failed: [], remaining: 0 };
+    let halted = false;
+
+    for (const entry of entries) {
+      if (halted || entry.status === 'failed') {
+        result.remaining += entry.status === 'failed' ? 0 : 1;
+        continue;
+      }
+
+      const response = await this.deliver(entry);
+      if (response.success) {
+        await this.store.remove(entry.id);
+        result.sent.push({ id: entry.id, emailId: response.data?.id ?? null });
+        continue;
+      }
+
+      const updated = {
+        ...entry,
+        attempts: entry.attempts + 1,
+        lastError: response.error,
+        lastErrorType: response.errorType,
+        lastAttemptAt: new Date().toISOString()
+      };
+
+      if (TRANSIENT_ERRORS.has(response.errorType)) {
+        await this.store.update(updated);
+        result.remaining += 1;
+        halted = true;
+      } else {
+        // The API rejected the email itself; retrying would fail the same way, so keep it for inspection
+        await this.store.update({ ...updated, status: 'failed' });
+        result.failed.push({ id: entry.id, error: response.error, errorType: response.errorType });
+      }
+    }
+
+    // Entries queued while this flush ran still need the timer
+    if (!(await this.store.list()).some((entry) => entry.status !== 'failed')) this.stop();
+    return result;
+  }
+}
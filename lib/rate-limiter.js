@@ -0,0 +1,184 @@
+// Retry-After holds either a number of seconds or an HTTP date; returns the wait in ms, or null if unreadable
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(seconds, 0) * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(date - now, 0);
+}
+
+export class RateLimitQueueFullError extends Error {
+  constructor(maxQueue) {
+    super(`Rate limiter queue is full (${maxQueue} requests waiting)`);
+    this.name = 'RateLimitQueueFullError';
+  }
+}
+
+const createAbortError = () => {
+  const error = new Error('Request was aborted while waiting for the rate limiter');
+  error.name = 'AbortError';
+  return error;
+};
+
+// Token bucket: `burst` tokens refilled at `requestsPerSecond`, with a FIFO queue for callers that have to wait
+export class RateLimiter {
+  constructor({ requestsPerSecond = 10, burst, maxQueue = Infinity } = {}) {
+    if (typeof requestsPerSecond !== 'number' || !(requestsPerSecond > 0)) {
+      throw new Error('rateLimit.requestsPerSecond must be a positive number');
+    }
+    const capacity = burst ?? Math.max(1, Math.ceil(requestsPerSecond));
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      throw new Error('rateLimit.burst must be a positive integer');
+    }
+    if (maxQueue !== Infinity && (!Number.isInteger(maxQueue) || maxQueue < 0)) {
+      throw new Error('rateLimit.maxQueue must be a non-negative integer');
+    }
+
+    this.requestsPerSecond = requestsPerSecond;
+    this.capacity = capacity;
+    this.maxQueue = maxQueue;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.queue = [];
+    this.timer = null;
+    this.counters = { totalRequests: 0, delayedRequests: 0, totalWaitTime: 0, maxWaitTime: 0, lastWaitTime: 0 };
+  }
+
+  acquire(signal) {
+    if (signal?.aborted) {
+      return Promise.reject(createAbortError());
+    }
+
+    this._refill();
+    if (this.queue.length === 0 && this.tokens >= 1 && Date.now() >= this.pausedUntil) {
+      this.tokens -= 1;
+      this._record(0);
+      return Promise.resolve(0);
+    }
+
+    if (this.queue.length >= this.maxQueue) {
+      return Promise.reject(new RateLimitQueueFullError(this.maxQueue));
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { resolve, reject, enqueuedAt: Date.now(), signal, onAbort: null };
+      if (signal) {
+        entry.onAbort = () => {
+          this.queue = this.queue.filter((queued) => queued !== entry);
+          // With nobody left waiting, the drain timer must not keep the process alive until the pause ends
+          if (this.queue.length === 0) {
+            clearTimeout(this.timer);
+            this.timer = null;
+          }
+          reject(createAbortError());
+        };
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+      this.queue.push(entry);
+      this._schedule();
+    });
+  }
+
+  // Syncs the bucket with what the API reports, so we slow down before hitting a 429
+  update(statusCode, headers = {}) {
+    const now = Date.now();
+    const remaining = Number(headers['x-ratelimit-remaining']);
+    const reset = this._parseReset(headers['x-ratelimit-reset'], now);
+
+    if (headers['x-ratelimit-remaining'] !== undefined && Number.isFinite(remaining)) {
+      this._refill();
+      this.tokens = Math.min(this.tokens, Math.max(remaining, 0));
+      if (remaining <= 0 && reset !== null) {
+        this.pausedUntil = Math.max(this.pausedUntil, reset);
+      }
+    }
+
+    if (statusCode === 429) {
+      this.tokens = 0;
+      const retryAfter = parseRetryAfter(headers['retry-after'], now);
+      const resumeAt = retryAfter !== null ? now + retryAfter : reset ?? now + 1000 / this.requestsPerSecond;
+      this.pausedUntil = Math.max(this.pausedUntil, resumeAt);
+    }
+
+    if (this.queue.length > 0) {
+      this._schedule(true);
+    }
+  }
+
+  stats() {
+    this._refill();
+    const { totalRequests, delayedRequests, totalWaitTime, maxWaitTime, lastWaitTime } = this.counters;
+    const now = Date.now();
+    return {
+      queueDepth: this.queue.length,
+      availableTokens: Math.floor(this.tokens),
+      requestsPerSecond: this.requestsPerSecond,
+      burst: this.capacity,
+      pausedUntil: this.pausedUntil > now ? new Date(this.pausedUntil) : null,
+      oldestWaitTime: this.queue.length > 0 ? now - this.queue[0].enqueuedAt : 0,
+      totalRequests,
+      delayedRequests,
+      averageWaitTime: totalRequests > 0 ? Math.round(totalWaitTime / totalRequests) : 0,
+      maxWaitTime,
+      lastWaitTime
+    };
+  }
+
+  _refill() {
+    const now = Date.now();
+    const elapsed = now - this.lastRefill;
+    if (elapsed > 0) {
+      this.tokens = Math.min(this.capacity, this.tokens + (elapsed * this.requestsPerSecond) / 1000);
+      this.lastRefill = now;
+    }
+  }
+
+  _drain() {
+    this.timer = null;
+    this._refill();
+    const now = Date.now();
+
+    while (this.queue.length > 0 && this.tokens >= 1 && now >= this.pausedUntil) {
+      const entry = this.queue.shift();
+      this.tokens -= 1;
+      entry.signal?.removeEventListener('abort', entry.onAbort);
+      const waited = now - entry.enqueuedAt;
+      this._record(waited);
+      entry.resolve(waited);
+    }
+
+    if (this.queue.length > 0) {
+      this._schedule();
+    }
+  }
+
+  _schedule(reschedule = false) {
+    if (this.timer && !reschedule) return;
+    clearTimeout(this.timer);
+
+    const now = Date.now();
+    const untilToken = this.tokens >= 1 ? 0 : ((1 - this.tokens) * 1000) / this.requestsPerSecond;
+    const delay = Math.max(untilToken, this.pausedUntil - now, 0);
+    this.timer = setTimeout(() => this._drain(), Math.ceil(delay));
+  }
+
+  _record(waited) {
+    this.counters.totalRequests += 1;
+    this.counters.totalWaitTime += waited;
+    this.counters.lastWaitTime = waited;
+    this.counters.maxWaitTime = Math.max(this.counters.maxWaitTime, waited);
+    if (waited > 0) this.counters.delayedRequests += 1;
+  }
+
+  _parseReset(value, now) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+      const date = Date.parse(value);
+      return isNaN(date) ? null : date;
+    }
+    // Large values are epoch seconds, small ones are seconds until the window resets
+    return number > 1e9 ? number * 1000 : now + number * 1000;
+  }
+}
@@ -0,0 +1,265 @@
+import { parseAddress } from './addresses.js';
+
+const DEFAULT_LIST_LIMIT = 20;
+
+const toList = (value) => (value === undefined || value === null ? [] : Array.isArray(value) ? value : [value]);
+
+const addressKey = (value) => {
+  const result = parseAddress(value);
+  return result.isValid ? result.address.email.toLowerCase() : String(value).trim().toLowerCase();
+};
+
+const reply = (status, data) => ({ status, headers: {}, data });
+
+// The fields the real API returns when an email is looked up
+const publicView = ({ id, status, to, cc, bcc, from, reply_to, subject, tags, metadata, scheduled_at, sent_at, cancelled_at, created_at, updated_at }) => ({
+  id,
+  status,
+  to,
+  ...(cc && { cc }),
+  ...(bcc && { bcc }),
+  from,
+  ...(reply_to && { reply_to }),
+  subject,
+  ...(tags && { tags }),
+  ...(metadata && { metadata }),
+  scheduled_at,
+  sent_at,
+  ...(cancelled_at && { cancelled_at }),
+  created_at,
+  updated_at
+});
+
+// Records every email a dry-run client sends and answers API calls from that state, so scheduled emails
+// can be looked up, updated and cancelled like the real thing
+export class EmailRecorder {
+  constructor() {
+    this.emails = [];
+    this.requests = [];
+    this.sequence = 0;
+    this.idempotentResponses = new Map();
+  }
+
+  all() {
+    return [...this.emails];
+  }
+
+  last() {
+    return this.emails[this.emails.length - 1] || null;
+  }
+
+  find(id) {
+    this._advance();
+    return this.emails.find((email) => email.id === String(id)) || null;
+  }
+
+  // Emails that list the address in to, cc or bcc, matched case-insensitively on the address itself
+  sentTo(address) {
+    const key = addressKey(address);
+    return this.emails.filter((email) =>
+      [...toList(email.to), ...toList(email.cc), ...toList(email.bcc)].some((recipient) => addressKey(recipient) === key)
+    );
+  }
+
+  scheduled() {
+    this._advance();
+    return this.emails.filter((email) => email.status === 'scheduled');
+  }
+
+  cancelled() {
+    return this.emails.filter((email) => email.status === 'cancelled');
+  }
+
+  clear() {
+    this.emails = [];
+    this.requests = [];
+    this.idempotentResponses.clear();
+  }
+
+  // A transport that never touches the network
+  transport() {
+    return async (request) => this.handle(request);
+  }
+
+  handle({ method, url, headers = {}, body }) {
+    const { pathname, searchParams } = new URL(url);
+    const path = pathname.slice(Math.max(pathname.indexOf('/v1/'), 0));
+    const data = body ? JSON.parse(body) : undefined;
+    this.requests.push({ method, path, body: data, headers });
+    this._advance();
+
+    let match;
+    if (method === 'POST' && path === '/v1/send-email') {
+      const key = Object.entries(headers).find(([name]) => name.toLowerCase() === 'idempotency-key')?.[1];
+      return this._send(data, key);
+    }
+    if (method === 'POST' && (match = path.match(/^\/v1\/cancel-email\/([^/]+)$/))) {
+      return this._cancel(decodeURIComponent(match[1]));
+    }
+    if (method === 'POST' && path === '/v1/cancel-email') {
+      return this._cancelMany(data?.email_ids || []);
+    }
+    if (method === 'PUT' && (match = path.match(/^\/v1\/update-scheduled-email\/([^/]+)$/))) {
+      return this._update(decodeURIComponent(match[1]), data || {});
+    }
+    if (method === 'GET' && (match = path.match(/^\/v1\/emails\/([^/]+)$/))) {
+      const email = this.find(decodeURIComponent(match[1]));
+      return email ? reply(200, { email: publicView(email) }) : reply(404, { error: 'Email not found' });
+    }
+    if (method === 'GET' && path === '/v1/emails') {
+      return this._list(searchParams);
+    }
+    return reply(404, { error: `Dry run does not simulate ${method} ${path}` });
+  }
+
+  _send(payload, idempotencyKey) {
+    if (idempotencyKey && this.idempotentResponses.has(idempotencyKey)) {
+      return this.idempotentResponses.get(idempotencyKey);
+    }
+
+    const now = new Date().toISOString();
+    const isScheduled = Boolean(payload.scheduled_at) && Date.parse(payload.scheduled_at) > Date.now();
+    const email = {
+      ...payload,
+      id: `dryrun_${++this.sequence}`,
+      status: isScheduled ? 'scheduled' : 'sent',
+      scheduled_at: payload.scheduled_at ?? null,
+      sent_at: isScheduled ? null : now,
+      created_at: now,
+      updated_at: now,
+      idempotency_key: idempotencyKey ?? null,
+      payload
+    };
+    this.emails.push(email);
+
+    const recipients = toList(email.to).length + toList(email.cc).length + toList(email.bcc).length;
+    const response = reply(200, {
+      success: true,
+      message: isScheduled ? 'Email scheduled successfully' : 'Email sent successfully',
+      results: [{ id: email.id, status: email.status, to: email.to, cc: email.cc, bcc: email.bcc }],
+      success_count: 1,
+      error_count: 0,
+      total_recipients: recipients
+    });
+    if (idempotencyKey) this.idempotentResponses.set(idempotencyKey, response);
+    return response;
+  }
+
+  _cancel(id) {
+    const email = this.find(id);
+    if (!email) {
+      return reply(404, { error: 'Email not found' });
+    }
+    if (email.status !== 'scheduled') {
+      return reply(400, { error: `Only scheduled emails can be cancelled (current status: ${email.status})`, current_status: email.status });
+    }
+
+    const previousStatus = email.status;
+    email.status = 'cancelled';
+    email.cancelled_at = email.updated_at = new Date().toISOString();
+    return reply(200, {
+      message: 'Email cancelled successfully',
+      email_id: email.id,
+      previous_status: previousStatus,
+      current_status: email.status,
+      job_cancelled: true,
+      to: email.to,
+      scheduled_at: email.scheduled_at
+    });
+  }
+
+  _cancelMany(ids) {
+    const results = [];
+    const errors = [];
+    for (const id of ids) {
+      const response = this._cancel(String(id));
+      if (response.status === 200) {
+        const { message, ...result } = response.data;
+        results.push(result);
+      } else {
+        errors.push({ email_id: id, error: response.data.error });
+      }
+    }
+    return reply(200, {
+      message: `Cancelled ${results.length} of ${ids.length} emails`,
+      success_count: results.length,
+      error_count: errors.length,
+      results,
+      ...(errors.length > 0 && { errors })
+    });
+  }
+
+  _update(id, updates) {
+    const email = this.find(id);
+    if (!email) {
+      return reply(404, { error: 'Email not found' });
+    }
+    if (email.status !== 'scheduled') {
+      return reply(400, { error: `Only scheduled emails can be updated (current status: ${email.status})`, current_status: email.status });
+    }
+
+    const now = new Date().toISOString();
+    if (updates.subject !== undefined) email.subject = updates.subject;
+    if (updates.body_html !== undefined) email.html = updates.body_html;
+    if (updates.body_text !== undefined) email.text = updates.body_text;
+
+    const rescheduled = updates.scheduled_at !== undefined && updates.scheduled_at !== email.scheduled_at;
+    if (rescheduled) {
+      email.scheduled_at = updates.scheduled_at;
+      // Clearing the schedule, or moving it into the past, sends the email right away
+      if (!updates.scheduled_at || Date.parse(updates.scheduled_at) <= Date.now()) {
+        email.status = 'sent';
+        email.sent_at = now;
+      }
+    }
+    email.updated_at = now;
+
+    return reply(200, {
+      message: 'Email updated successfully',
+      email: publicView(email),
+      tracking_updated: false,
+      job_rescheduled: rescheduled
+    });
+  }
+
+  _list(params) {
+    const statuses = params.get('status')?.split(',');
+    const from = params.get('from')?.toLowerCase();
+    const to = params.get('to')?.toLowerCase();
+    const tag = params.get('tag');
+    const before = params.has('scheduled_before') ? Date.parse(params.get('scheduled_before')) : null;
+    const after = params.has('scheduled_after') ? Date.parse(params.get('scheduled_after')) : null;
+
+    const matches = this.emails.filter((email) => {
+      const scheduledAt = email.scheduled_at ? Date.parse(email.scheduled_at) : null;
+      return (!statuses || statuses.includes(email.status)) &&
+        (!from || addressKey(email.from) === addressKey(from)) &&
+        (!to || toList(email.to).some((recipient) => addressKey(recipient) === addressKey(to))) &&
+        (!tag || toList(email.tags).includes(tag)) &&
+        (before === null || (scheduledAt !== null && scheduledAt < before)) &&
+        (after === null || (scheduledAt !== null && scheduledAt > after));
+    });
+
+    const limit = Number(params.get('limit')) || DEFAULT_LIST_LIMIT;
+    const offset = Number(params.get('cursor')) || 0;
+    const page = matches.slice(offset, offset + limit);
+    const hasMore = offset + limit < matches.length;
+    return reply(200, {
+      emails: page.map(publicView),
+      has_more: hasMore,
+      next_cursor: hasMore ? String(offset + limit) : null,
+      total: matches.length
+    });
+  }
+
+  // Scheduled emails whose time has come count as sent, just like on the real API
+  _advance() {
+    const now = Date.now();
+    for (const email of this.emails) {
+      if (email.status === 'scheduled' && Date.parse(email.scheduled_at) <= now) {
+        email.status = 'sent';
+        email.sent_at = email.scheduled_at;
+      }
+    }
+  }
+}
@@ -0,0 +1,281 @@
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const EXACT_UNITS = { ms: 1, s: 1000, m: MINUTE, h: HOUR };
+const DURATION_REGEX = /^(?:\d+(?:\.\d+)?(?:ms|bd|s|m|h|d|w))+$/;
+const DURATION_PART_REGEX = /(\d+(?:\.\d+)?)(ms|bd|s|m|h|d|w)/g;
+const TIME_REGEX = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/;
+const LOCAL_DATETIME_REGEX = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_PRESETS = {
+  everyday: [0, 1, 2, 3, 4, 5, 6],
+  weekdays: [1, 2, 3, 4, 5],
+  weekends: [0, 6],
+};
+
+const invalid = (error) => ({ isValid: false, error });
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone.length === 0) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function getLocalTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+// Wall-clock fields of an instant as seen in `timeZone`
+function toWallTime(ms, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(ms))) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  const wall = {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+    millisecond: ((ms % 1000) + 1000) % 1000,
+  };
+  wall.weekday = new Date(Date.UTC(wall.year, wall.month - 1, wall.day)).getUTCDay();
+  return wall;
+}
+
+const wallAsUtc = ({ year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 }) =>
+  Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+
+const getOffset = (ms, timeZone) => wallAsUtc(toWallTime(ms, timeZone)) - ms;
+
+// Converts wall-clock fields in `timeZone` to an instant. Times that occur twice when clocks fall back
+// resolve to the first occurrence; times skipped when clocks spring forward move ahead by the gap.
+export function zonedTimeToUtc(wall, timeZone) {
+  const local = wallAsUtc(wall);
+  const before = getOffset(local - DAY, timeZone);
+  const after = getOffset(local + DAY, timeZone);
+  const candidates = [...new Set([before, after])]
+    .map((offset) => local - offset)
+    .filter((ms) => getOffset(ms, timeZone) === local - ms);
+
+  return candidates.length > 0 ? Math.min(...candidates) : local - before;
+}
+
+function addCalendarDays(wall, days) {
+  const date = new Date(Date.UTC(wall.year, wall.month - 1, wall.day + days));
+  return {
+    ...wall,
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay(),
+  };
+}
+
+function parseDuration(value) {
+  const compact = value.replace(/\s+/g, '').toLowerCase();
+  if (!DURATION_REGEX.test(compact)) return null;
+
+  const duration = { exact: 0, days: 0, businessDays: 0 };
+  for (const [, amount, unit] of compact.matchAll(DURATION_PART_REGEX)) {
+    const number = Number(amount);
+    if (unit in EXACT_UNITS) {
+      duration.exact += number * EXACT_UNITS[unit];
+      continue;
+    }
+    if (!Number.isInteger(number)) {
+      return { error: `'${amount}${unit}' must be a whole number of ${unit === 'bd' ? 'business days' : unit === 'w' ? 'weeks' : 'days'}` };
+    }
+    if (unit === 'bd') duration.businessDays += number;
+    else duration.days += unit === 'w' ? number * 7 : number;
+  }
+  return duration;
+}
+
+// Days and weeks keep the wall-clock time across DST changes; hours and smaller units are elapsed time
+function addDuration(ms, { exact, days, businessDays }, timeZone) {
+  let result = ms;
+  if (days > 0 || businessDays > 0) {
+    let wall = addCalendarDays(toWallTime(ms, timeZone), days);
+    for (let remaining = businessDays; remaining > 0;) {
+      wall = addCalendarDays(wall, 1);
+      if (wall.weekday !== 0 && wall.weekday !== 6) remaining--;
+    }
+    result = zonedTimeToUtc(wall, timeZone);
+  }
+  return result + exact;
+}
+
+function parseTime(value, label) {
+  const match = typeof value === 'string' ? value.match(TIME_REGEX) : null;
+  if (!match) return invalid(`${label} must be a time like '09:00'`);
+  const [hour, minute, second = 0] = match.slice(1).map((part) => Number(part ?? 0));
+  if (hour > 24 || minute > 59 || second > 59 || (hour === 24 && (minute > 0 || second > 0))) {
+    return invalid(`${label} '${value}' is not a valid time`);
+  }
+  return { isValid: true, hour, minute, second, minutes: hour * 60 + minute + second / 60 };
+}
+
+function parseDays(days) {
+  if (days === undefined) return DAY_PRESETS.everyday;
+  if (typeof days === 'string' && DAY_PRESETS[days]) return DAY_PRESETS[days];
+  if (!Array.isArray(days) || days.length === 0) return null;
+
+  const parsed = [];
+  for (const day of days) {
+    const index = typeof day === 'number' ? day : DAY_NAMES.indexOf(String(day).slice(0, 3).toLowerCase());
+    if (!Number.isInteger(index) || index < 0 || index > 6) return null;
+    parsed.push(index);
+  }
+  return parsed;
+}
+
+export function normalizeWindow(window, defaultTimeZone) {
+  if (window === null || typeof window !== 'object') {
+    return invalid('window must be an object with days, start and end');
+  }
+  const timeZone = window.timezone ?? defaultTimeZone;
+  if (!isValidTimeZone(timeZone)) {
+    return invalid(`Unknown timezone '${timeZone}'`);
+  }
+  const days = parseDays(window.days);
+  if (!days) {
+    return invalid("window.days must be 'weekdays', 'weekends', 'everyday' or an array of days such as ['mon', 'fri'] or [1, 5]");
+  }
+  const start = parseTime(window.start ?? '00:00', 'window.start');
+  if (!start.isValid) return start;
+  const end = parseTime(window.end ?? '24:00', 'window.end');
+  if (!end.isValid) return end;
+  if (end.minutes <= start.minutes) {
+    return invalid('window.end must be later than window.start');
+  }
+  return { isValid: true, days: new Set(days), start, end, timeZone };
+}
+
+// Moves an instant forward into the next allowed slot, or keeps it if it already falls inside one
+function applyWindow(ms, { days, start, end, timeZone }) {
+  const wall = toWallTime(ms, timeZone);
+  const minutes = wall.hour * 60 + wall.minute + wall.second / 60;
+
+  for (let offset = 0; offset <= 7; offset++) {
+    const day = addCalendarDays(wall, offset);
+    if (!days.has(day.weekday)) continue;
+    if (offset === 0 && minutes >= end.minutes) continue;
+    if (offset === 0 && minutes >= start.minutes) return ms;
+    return zonedTimeToUtc({ ...day, hour: start.hour, minute: start.minute, second: start.second, millisecond: 0 }, timeZone);
+  }
+  return ms;
+}
+
+function resolveAt(at, timeZone, explicitTimeZone, now) {
+  if (at instanceof Date) {
+    return isNaN(at.getTime()) ? invalid('Invalid date for scheduling') : { isValid: true, ms: at.getTime() };
+  }
+  if (typeof at !== 'string' || at.trim().length === 0) {
+    return invalid('Scheduled date must be a Date object or valid date string');
+  }
+
+  const value = at.trim();
+  const time = value.match(TIME_REGEX);
+  if (time) {
+    const parsed = parseTime(value, 'Scheduled time');
+    if (!parsed.isValid) return parsed;
+    // A bare time means its next occurrence
+    const today = toWallTime(now, timeZone);
+    for (let offset = 0; offset <= 1; offset++) {
+      const ms = zonedTimeToUtc({ ...addCalendarDays(today, offset), hour: parsed.hour, minute: parsed.minute, second: parsed.second, millisecond: 0 }, timeZone);
+      if (ms > now) return { isValid: true, ms };
+    }
+    return invalid(`Could not find the next occurrence of '${value}'`);
+  }
+
+  // Without an explicit timezone, strings keep the built-in Date parsing they always had
+  const local = explicitTimeZone ? value.match(LOCAL_DATETIME_REGEX) : null;
+  if (local) {
+    const [year, month, day, hour = 0, minute = 0, second = 0] = local.slice(1).map((part) => Number(part ?? 0));
+    if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59 || second > 59) {
+      return invalid(`Invalid date for scheduling: '${value}'`);
+    }
+    return { isValid: true, ms: zonedTimeToUtc({ year, month, day, hour, minute, second }, timeZone) };
+  }
+
+  const parsed = new Date(value);
+  return isNaN(parsed.getTime()) ? invalid('Invalid date format for scheduling') : { isValid: true, ms: parsed.getTime() };
+}
+
+/**
+ * Resolves a schedule to a Date. `when` may be a Date, a date string, a relative duration such as '2h',
+ * '1h30m', '3d' or '2bd' (business days), a time of day such as '09:00', or an object
+ * `{ at, in, timezone, window }`. Options provide `timezone` and `window` when `when` is not an object.
+ */
+export function resolveSchedule(when, { timezone, window, now = Date.now() } = {}) {
+  const spec = when !== null && typeof when === 'object' && !(when instanceof Date)
+    ? { timezone, window, ...when }
+    : { timezone, window, at: when };
+
+  if (spec.timezone !== undefined && !isValidTimeZone(spec.timezone)) {
+    return invalid(`Unknown timezone '${spec.timezone}'. Use an IANA name such as 'America/New_York'`);
+  }
+  const timeZone = spec.timezone ?? getLocalTimeZone();
+  const nowMs = now instanceof Date ? now.getTime() : now;
+
+  let relative = spec.in;
+  let at = spec.at;
+  if (typeof at === 'string' && parseDuration(at) !== null) {
+    relative = relative ?? at;
+    at = undefined;
+  }
+  if (at === undefined && relative === undefined && spec.window === undefined) {
+    return invalid('A schedule needs a date, a relative duration or a send window');
+  }
+
+  let ms = nowMs;
+  if (at !== undefined) {
+    const resolved = resolveAt(at, timeZone, spec.timezone !== undefined, nowMs);
+    if (!resolved.isValid) return resolved;
+    ms = resolved.ms;
+  }
+
+  if (relative !== undefined) {
+    const duration = typeof relative === 'number' && relative >= 0
+      ? { exact: relative, days: 0, businessDays: 0 }
+      : typeof relative === 'string' ? parseDuration(relative) : null;
+    if (!duration) {
+      return invalid(`Invalid relative duration '${relative}'. Use values like '30m', '2h', '3d' or '2bd'`);
+    }
+    if (duration.error) return invalid(duration.error);
+    ms = addDuration(ms, duration, timeZone);
+  }
+
+  if (spec.window !== undefined) {
+    const normalized = normalizeWindow(spec.window, timeZone);
+    if (!normalized.isValid) return normalized;
+    ms = applyWindow(ms, normalized);
+  }
+
+  return { isValid: true, date: new Date(ms) };
+}
@@ -0,0 +1,97 @@
+import { JsonFileStore } from './json-file-store.js';
+import { parseAddress } from './addresses.js';
+import { MailblockValidationError } from './errors.js';
+
+// Suppressions are keyed by the normalized, lower-cased address so "Jane <JANE@Acme.com>" matches "jane@acme.com"
+export function suppressionKey(email) {
+  const result = parseAddress(email);
+  if (!result.isValid) {
+    throw new MailblockValidationError(`Invalid suppression email address: ${email} (${result.error})`);
+  }
+  return result.address.email.toLowerCase();
+}
+
+function createEntry(email, { reason = 'manual', note, createdAt } = {}) {
+  if (typeof reason !== 'string' || reason.trim().length === 0) {
+    throw new MailblockValidationError('Suppression reason must be a non-empty string');
+  }
+  return {
+    email: suppressionKey(email),
+    reason,
+    ...(note !== undefined && { note }),
+    createdAt: createdAt ? new Date(createdAt).toISOString() : new Date().toISOString()
+  };
+}
+
+// Any object with get(email) -> entry | null can be passed as the `suppressions` option, e.g. one backed by
+// your own database. add/remove/list are optional there; methods may be sync or async.
+export class MemorySuppressionStore {
+  constructor(entries = []) {
+    this.entries = new Map();
+    for (const entry of entries) {
+      const { email, ...details } = typeof entry === 'string' ? { email: entry } : entry;
+      const created = createEntry(email, details);
+      this.entries.set(created.email, created);
+    }
+  }
+
+  get(email) {
+    return this.entries.get(suppressionKey(email)) || null;
+  }
+
+  add(email, details) {
+    const entry = createEntry(email, details);
+    this.entries.set(entry.email, entry);
+    return entry;
+  }
+
+  remove(email) {
+    return this.entries.delete(suppressionKey(email));
+  }
+
+  list() {
+    return [...this.entries.values()];
+  }
+}
+
+// Persists suppressions as a JSON array so they survive restarts
+export class FileSuppressionStore extends JsonFileStore {
+  constructor(path) {
+    if (typeof path !== 'string' || path.trim().length === 0) {
+      throw new Error('FileSuppressionStore requires a file path');
+    }
+    super(path, 'Suppression file');
+  }
+
+  async get(email) {
+    const memory = await this._load();
+    return memory.get(email);
+  }
+
+  async add(email, details) {
+    const memory = await this._load();
+    const entry = memory.add(email, details);
+    await this._save();
+    return entry;
+  }
+
+  async remove(email) {
+    const memory = await this._load();
+    const removed = memory.remove(email);
+    if (removed) await this._save();
+    return removed;
+  }
+
+  async list() {
+    const memory = await this._load();
+    return memory.list();
+  }
+
+  _createMemory(entries) {
+    return new MemorySuppressionStore(entries);
+  }
+}
+
+export function isSuppressionStore(value) {
+  return value !== null && typeof value === 'object' && typeof value.get === 'function';
+}
@@ -0,0 +1,322 @@
+import { MailblockValidationError } from './errors.js';
+
+const TAG_REGEX = /\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g;
+const PATH_REGEX = /^(?:this|@index|@first|@last|@key|(?:this\.)?[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*|\.\d+)*)$/;
+const NAME_REGEX = /^[A-Za-z0-9_.\-/]+$/;
+const MAX_PARTIAL_DEPTH = 20;
+const TEMPLATE_PARTS = ['subject', 'html', 'text'];
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+export class TemplateError extends MailblockValidationError {
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateError';
+  }
+}
+
+export function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+function parse(source, sourceName) {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+  let match;
+
+  const current = () => stack[stack.length - 1];
+  const append = (node) => {
+    const parent = current();
+    (parent.inElse ? parent.inverse : parent.children).push(node);
+  };
+
+  TAG_REGEX.lastIndex = 0;
+  while ((match = TAG_REGEX.exec(source)) !== null) {
+    if (match.index > lastIndex) {
+      append({ type: 'text', value: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = TAG_REGEX.lastIndex;
+
+    const raw = match[1] !== undefined;
+    const tag = (raw ? match[1] : match[2]).trim();
+
+    if (raw) {
+      append({ type: 'variable', path: parsePath(tag, sourceName), raw: true });
+    } else if (tag.startsWith('!')) {
+      continue;
+    } else if (tag.startsWith('#')) {
+      const [keyword, path, ...rest] = tag.slice(1).trim().split(/\s+/);
+      if (!['if', 'unless', 'each'].includes(keyword)) {
+        throw new TemplateError(`Unknown block helper '#${keyword}' in ${sourceName}`);
+      }
+      if (!path || rest.length > 0) {
+        throw new TemplateError(`Block '#${keyword}' in ${sourceName} expects exactly one variable`);
+      }
+      const node = { type: keyword, path: parsePath(path, sourceName), children: [], inverse: [] };
+      append(node);
+      stack.push(node);
+    } else if (tag.startsWith('/')) {
+      const keyword = tag.slice(1).trim();
+      const open = current();
+      if (open.type !== keyword) {
+        throw new TemplateError(
+          open.type === 'root'
+            ? `Unexpected '{{/${keyword}}}' in ${sourceName}`
+            : `Expected '{{/${open.type}}}' but found '{{/${keyword}}}' in ${sourceName}`
+        );
+      }
+      delete open.inElse;
+      stack.pop();
+    } else if (tag === 'else') {
+      const open = current();
+      if (open.type === 'root' || open.inElse) {
+        throw new TemplateError(`Unexpected '{{else}}' in ${sourceName}`);
+      }
+      open.inElse = true;
+    } else if (tag.startsWith('>')) {
+      const name = tag.slice(1).trim();
+      if (!NAME_REGEX.test(name)) {
+        throw new TemplateError(`Invalid partial name '${name}' in ${sourceName}`);
+      }
+      append({ type: 'partial', name });
+    } else {
+      append({ type: 'variable', path: parsePath(tag, sourceName), raw: false });
+    }
+  }
+
+  if (lastIndex < source.length) {
+    append({ type: 'text', value: source.slice(lastIndex) });
+  }
+
+  if (stack.length > 1) {
+    throw new TemplateError(`Unclosed '{{#${current().type}}}' block in ${sourceName}`);
+  }
+
+  return root.children;
+}
+
+function parsePath(expression, sourceName) {
+  if (!PATH_REGEX.test(expression)) {
+    throw new TemplateError(`Invalid expression '{{${expression}}}' in ${sourceName}`);
+  }
+  return expression;
+}
+
+function lookup(frames, path) {
+  if (path === 'this') {
+    return { found: true, value: frames[frames.length - 1].value };
+  }
+  if (path.startsWith('@')) {
+    for (let i = frames.length - 1; i >= 0; i--) {
+      if (frames[i].data && path.slice(1) in frames[i].data) {
+        return { found: true, value: frames[i].data[path.slice(1)] };
+      }
+    }
+    return { found: false };
+  }
+
+  const ownScopeOnly = path.startsWith('this.');
+  const [head, ...tail] = path.replace(/^this\./, '').split('.');
+  const lowest = ownScopeOnly ? frames.length - 1 : 0;
+
+  // Walk up the context stack so loop bodies can still read top-level variables
+  for (let i = frames.length - 1; i >= lowest; i--) {
+    const scope = frames[i].value;
+    if (scope === null || typeof scope !== 'object' || !Object.prototype.hasOwnProperty.call(scope, head)) {
+      continue;
+    }
+    let value = scope[head];
+    for (const key of tail) {
+      if (value === null || value === undefined || !Object.prototype.hasOwnProperty.call(Object(value), key)) {
+        return { found: false };
+      }
+      value = value[key];
+    }
+    return { found: value !== undefined, value };
+  }
+  return { found: false };
+}
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+export class TemplateEngine {
+  constructor() {
+    this.templates = new Map();
+    this.partials = new Map();
+    this.layouts = new Map();
+  }
+
+  registerTemplate(name, definition) {
+    this._assertName(name, 'Template');
+    this.templates.set(name, this.compile(definition, name));
+  }
+
+  // Compiles a template without registering it, e.g. for one-off batch content
+  compile({ subject, html, text, layout } = {}, name = 'inline') {
+    if (subject === undefined && html === undefined && text === undefined) {
+      throw new TemplateError(`Template '${name}' needs at least one of subject, html or text`);
+    }
+    if (layout !== undefined && (typeof layout !== 'string' || !NAME_REGEX.test(layout))) {
+      throw new TemplateError(`Template '${name}' has an invalid layout name`);
+    }
+
+    const compiled = { layout };
+    for (const part of TEMPLATE_PARTS) {
+      const source = { subject, html, text }[part];
+      if (source === undefined) continue;
+      if (typeof source !== 'string') {
+        throw new TemplateError(`Template '${name}' ${part} must be a string`);
+      }
+      compiled[part] = parse(source, `template '${name}' (${part})`);
+    }
+    return { name, ...compiled };
+  }
+
+  registerPartial(name, source) {
+    this._assertName(name, 'Partial');
+    if (typeof source !== 'string') {
+      throw new TemplateError(`Partial '${name}' must be a string`);
+    }
+    this.partials.set(name, parse(source, `partial '${name}'`));
+  }
+
+  registerLayout(name, { html, text } = {}) {
+    this._assertName(name, 'Layout');
+    if (html === undefined && text === undefined) {
+      throw new TemplateError(`Layout '${name}' needs html or text`);
+    }
+    const compiled = {};
+    for (const [part, source] of Object.entries({ html, text })) {
+      if (source === undefined) continue;
+      if (typeof source !== 'string') {
+        throw new TemplateError(`Layout '${name}' ${part} must be a string`);
+      }
+      compiled[part] = parse(source, `layout '${name}' (${part})`);
+    }
+    this.layouts.set(name, compiled);
+  }
+
+  hasTemplate(name) {
+    return this.templates.has(name);
+  }
+
+  render(nameOrCompiled, variables = {}) {
+    const template = typeof nameOrCompiled === 'string' ? this.templates.get(nameOrCompiled) : nameOrCompiled;
+    if (!template) {
+      throw new TemplateError(`Template '${nameOrCompiled}' is not registered`);
+    }
+    const { name } = template;
+    if (variables === null || typeof variables !== 'object' || Array.isArray(variables)) {
+      throw new TemplateError(`Variables for template '${name}' must be an object`);
+    }
+
+    const layout = template.layout !== undefined ? this.layouts.get(template.layout) : undefined;
+    if (template.layout !== undefined && !layout) {
+      throw new TemplateError(`Layout '${template.layout}' used by template '${name}' is not registered`);
+    }
+
+    const rendered = {};
+    for (const part of TEMPLATE_PARTS) {
+      if (!template[part]) continue;
+      const escape = part === 'html';
+      const sourceName = `template '${name}' (${part})`;
+      let output = this._renderNodes(template[part], [{ value: variables }], { escape, sourceName, depth: 0 });
+
+      if (layout && layout[part]) {
+        // The rendered body is already escaped, so layouts should output it with {{{body}}}
+        output = this._renderNodes(layout[part], [{ value: variables }, { value: { body: output } }], {
+          escape,
+          sourceName: `layout '${template.layout}' (${part})`,
+          depth: 0
+        });
+      }
+
+      rendered[part] = part === 'subject' ? output.replace(/\s+/g, ' ').trim() : output;
+    }
+    return rendered;
+  }
+
+  _renderNodes(nodes, frames, options) {
+    let output = '';
+    for (const node of nodes) {
+      output += this._renderNode(node, frames, options);
+    }
+    return output;
+  }
+
+  _renderNode(node, frames, options) {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+
+      case 'variable': {
+        const { found, value } = lookup(frames, node.path);
+        if (!found) {
+          throw new TemplateError(`Missing template variable '${node.path}' in ${options.sourceName}`);
+        }
+        if (value === null) return '';
+        const string = typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : String(value);
+        return options.escape && !node.raw ? escapeHtml(string) : string;
+      }
+
+      case 'if':
+      case 'unless': {
+        const { value } = lookup(frames, node.path);
+        const condition = node.type === 'if' ? isTruthy(value) : !isTruthy(value);
+        return this._renderNodes(condition ? node.children : node.inverse, frames, options);
+      }
+
+      case 'each': {
+        const { value } = lookup(frames, node.path);
+        const entries = Array.isArray(value)
+          ? value.map((item, index) => [index, item])
+          : value !== null && typeof value === 'object'
+            ? Object.entries(value)
+            : [];
+
+        if (entries.length === 0) {
+          return this._renderNodes(node.inverse, frames, options);
+        }
+
+        let output = '';
+        entries.forEach(([key, item], index) => {
+          const data = { index, first: index === 0, last: index === entries.length - 1 };
+          if (!Array.isArray(value)) data.key = key;
+          output += this._renderNodes(node.children, [...frames, { value: item, data }], options);
+        });
+        return output;
+      }
+
+      case 'partial': {
+        const partial = this.partials.get(node.name);
+        if (!partial) {
+          throw new TemplateError(`Partial '${node.name}' used in ${options.sourceName} is not registered`);
+        }
+        if (options.depth >= MAX_PARTIAL_DEPTH) {
+          throw new TemplateError(`Partials nested more than ${MAX_PARTIAL_DEPTH} levels deep in ${options.sourceName}`);
+        }
+        return this._renderNodes(partial, frames, {
+          ...options,
+          sourceName: `partial '${node.name}'`,
+          depth: options.depth + 1
+        });
+      }
+
+      default:
+        return '';
+    }
+  }
+
+  _assertName(name, kind) {
+    if (typeof name !== 'string' || !NAME_REGEX.test(name)) {
+      throw new TemplateError(`${kind} name must be a non-empty string of letters, digits, '.', '_', '-' or '/'`);
+    }
+  }
+}
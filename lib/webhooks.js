@@ -0,0 +1,204 @@
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+export const SIGNATURE_HEADER = 'mailblock-signature';
+export const DEFAULT_TOLERANCE = 300;
+const MAX_BODY_SIZE = 1024 * 1024;
+
+export const EVENT_TYPES = [
+  'email.sent',
+  'email.delivered',
+  'email.delivery_delayed',
+  'email.bounced',
+  'email.complained',
+  'email.opened',
+  'email.clicked',
+  'email.failed',
+  'email.cancelled',
+];
+
+export class WebhookVerificationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebhookVerificationError';
+  }
+}
+
+// A tolerance of 0 would silently turn off replay protection, so only Infinity can disable the check
+const isValidTolerance = (tolerance) => typeof tolerance === 'number' && tolerance > 0;
+
+const toBuffer = (payload) => (Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload), 'utf8'));
+
+const sign = (payload, secret, timestamp) =>
+  createHmac('sha256', secret).update(`${timestamp}.`).update(toBuffer(payload)).digest('hex');
+
+function parseSignatureHeader(header) {
+  const parsed = { timestamp: null, signatures: [] };
+  for (const part of header.split(',')) {
+    const [key, value] = part.split('=').map((piece) => piece?.trim());
+    if (key === 't' && /^\d+$/.test(value)) {
+      parsed.timestamp = Number(value);
+    } else if (key === 'v1' && /^[0-9a-f]{64}$/i.test(value)) {
+      parsed.signatures.push(value.toLowerCase());
+    }
+  }
+  return parsed;
+}
+
+export function generateSignature(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${sign(payload, secret, timestamp)}`;
+}
+
+// Secrets may be an array while a rotated secret is being rolled out
+export function verifySignature(payload, header, secret, { tolerance = DEFAULT_TOLERANCE, now = Date.now() } = {}) {
+  const secrets = Array.isArray(secret) ? secret : [secret];
+  if (secrets.length === 0 || secrets.some((value) => typeof value !== 'string' || value.length === 0)) {
+    return { isValid: false, error: 'Webhook secret must be a non-empty string' };
+  }
+  if (payload === undefined || payload === null || (typeof payload !== 'string' && !Buffer.isBuffer(payload))) {
+    return { isValid: false, error: 'Webhook payload must be the raw request body as a string or Buffer' };
+  }
+  if (!isValidTolerance(tolerance)) {
+    return { isValid: false, error: 'Webhook tolerance must be a positive number of seconds, or Infinity to skip the timestamp check' };
+  }
+  if (typeof header !== 'string' || header.length === 0) {
+    return { isValid: false, error: `Missing ${SIGNATURE_HEADER} header` };
+  }
+
+  const { timestamp, signatures } = parseSignatureHeader(header);
+  if (timestamp === null || signatures.length === 0) {
+    return { isValid: false, error: `Malformed ${SIGNATURE_HEADER} header` };
+  }
+
+  if (Math.abs(Math.floor(now / 1000) - timestamp) > tolerance) {
+    return { isValid: false, error: `Webhook timestamp is outside the ${tolerance}s tolerance window` };
+  }
+
+  for (const candidate of secrets) {
+    const expected = Buffer.from(sign(payload, candidate, timestamp), 'hex');
+    for (const signature of signatures) {
+      const received = Buffer.from(signature, 'hex');
+      if (received.length === expected.length && timingSafeEqual(received, expected)) {
+        return { isValid: true, timestamp };
+      }
+    }
+  }
+
+  return { isValid: false, error: 'Webhook signature does not match' };
+}
+
+export function constructEvent(payload, header, secret, options = {}) {
+  const verification = verifySignature(payload, header, secret, options);
+  if (!verification.isValid) {
+    throw new WebhookVerificationError(verification.error);
+  }
+
+  let event;
+  try {
+    event = JSON.parse(toBuffer(payload).toString('utf8'));
+  } catch (error) {
+    throw new WebhookVerificationError(`Webhook payload is not valid JSON: ${error.message}`);
+  }
+
+  if (!event || typeof event !== 'object' || typeof event.type !== 'string' || typeof event.id !== 'string') {
+    throw new WebhookVerificationError('Webhook payload is not a Mailblock event');
+  }
+
+  return {
+    ...event,
+    data: event.data || {},
+    createdAt: event.created_at ? new Date(event.created_at) : null,
+  };
+}
+
+function readRawBody(req) {
+  // Frameworks that already buffered the body (e.g. express.raw()) leave it on req.body
+  if (Buffer.isBuffer(req.body) || typeof req.body === 'string') {
+    return Promise.resolve(req.body);
+  }
+  if (req.body !== undefined && req.body !== null && typeof req.body === 'object') {
+    return Promise.reject(new WebhookVerificationError(
+      'Request body was already parsed as JSON. Mount the webhook handler before any JSON body parser or use express.raw()'
+    ));
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(new WebhookVerificationError('Webhook payload is too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// onError only observes failures; if it throws or rejects, the response must still be sent
+function notify(onError, error, event) {
+  if (!onError) return;
+  try {
+    Promise.resolve(onError(error, event)).catch(() => {});
+  } catch {
+    // Nothing left to report it to
+  }
+}
+
+const respond = (res, statusCode, body) => {
+  if (res.headersSent) return;
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+};
+
+export function createHandler({ secret, tolerance, onEvent, on = {}, onError } = {}) {
+  if (secret === undefined || secret === null) {
+    throw new Error('A webhook secret is required');
+  }
+  if (tolerance !== undefined && !isValidTolerance(tolerance)) {
+    throw new Error('tolerance must be a positive number of seconds, or Infinity to skip the timestamp check');
+  }
+  if (onEvent !== undefined && typeof onEvent !== 'function') {
+    throw new Error('onEvent must be a function');
+  }
+  if (onError !== undefined && typeof onError !== 'function') {
+    throw new Error('onError must be a function');
+  }
+  for (const [type, handler] of Object.entries(on)) {
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for '${type}' must be a function`);
+    }
+  }
+
+  return async (req, res) => {
+    if (req.method && req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      respond(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+
+    let event;
+    try {
+      const payload = await readRawBody(req);
+      event = constructEvent(payload, req.headers[SIGNATURE_HEADER], secret, { tolerance });
+    } catch (error) {
+      notify(onError, error, null);
+      respond(res, 400, { error: error.message });
+      return;
+    }
+
+    try {
+      if (on[event.type]) await on[event.type](event, req);
+      if (onEvent) await onEvent(event, req);
+      respond(res, 200, { received: true });
+    } catch (error) {
+      notify(onError, error, event);
+      // A non-2xx response makes Mailblock redeliver the event later
+      respond(res, 500, { error: 'Webhook handler failed' });
+    }
+  };
+}
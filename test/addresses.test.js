@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Mailblock, { parseAddress, formatAddress } from '../index.js';
+import { splitAddressList, normalizeAddressList } from '../lib/addresses.js';
+
+test('display names, quoted names and angle brackets are parsed', () => {
+  assert.deepEqual(parseAddress('Jane Doe <jane@acme.com>').address, { name: 'Jane Doe', email: 'jane@acme.com', local: 'jane', domain: 'acme.com' });
+  assert.equal(parseAddress('"Doe, Jane" <jane@acme.com>').address.name, 'Doe, Jane');
+  assert.equal(parseAddress('<jane@acme.com>').address.name, undefined);
+  assert.equal(parseAddress({ name: 'Jane', email: 'jane@acme.com' }).address.email, 'jane@acme.com');
+});
+
+test('quoted local parts are kept and domains are normalized', () => {
+  assert.equal(parseAddress('"john smith"@example.com').address.local, '"john smith"');
+  assert.equal(parseAddress('JANE@ACME.COM').address.email, 'JANE@acme.com');
+});
+
+test('internationalized domains are converted to punycode', () => {
+  assert.equal(parseAddress('user@bücher.de').address.email, 'user@xn--bcher-kva.de');
+});
+
+test('invalid addresses get a precise reason', () => {
+  assert.equal(parseAddress('no-at-sign').error, "missing '@'");
+  assert.equal(parseAddress('a@b').error, "the domain 'b' needs a top-level domain such as .com");
+  assert.equal(parseAddress('a..b@x.com').error, 'the local part contains consecutive dots');
+  assert.equal(parseAddress('a@@b.com').error, "the local part contains an invalid character '@'");
+});
+
+test('address lists split on commas outside quotes', () => {
+  assert.deepEqual(splitAddressList('"Doe, Jane" <jane@acme.com>, bob@x.com'), ['"Doe, Jane" <jane@acme.com>', 'bob@x.com']);
+});
+
+test('formatting quotes display names that need it', () => {
+  assert.equal(formatAddress({ name: 'Doe, Jane', email: 'jane@acme.com' }), '"Doe, Jane" <jane@acme.com>');
+  assert.equal(formatAddress({ email: 'jane@acme.com' }), 'jane@acme.com');
+});
+
+test('lists mixing strings and objects are normalized, and errors name the field', () => {
+  assert.deepEqual(normalizeAddressList(['Jane <jane@acme.com>', { email: 'bob@x.com' }], 'to').value, ['Jane <jane@acme.com>', 'bob@x.com']);
+  assert.equal(normalizeAddressList('bad', 'cc').error, "Invalid cc email address: bad (missing '@')");
+});
+
+test('sendEmail accepts display names and address objects', async () => {
+  const payloads = [];
+  const transport = async ({ body }) => {
+    payloads.push(JSON.parse(body));
+    return { status: 200, headers: {}, data: { id: 'email_1', status: 'sent' } };
+  };
+  const client = new Mailblock('mb_test', { transport });
+
+  const result = await client.sendEmail({
+    to: [{ name: 'Jane Doe', email: 'jane@bücher.de' }],
+    from: 'Acme <team@acme.com>',
+    subject: 'Hello',
+    text: 'Hi'
+  });
+
+  assert.equal(result.success, true);
+  assert.deepEqual(payloads[0].to, ['Jane Doe <jane@xn--bcher-kva.de>']);
+  assert.equal(payloads[0].from, 'Acme <team@acme.com>');
+});
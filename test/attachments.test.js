@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Readable } from 'node:stream';
+import Mailblock from '../index.js';
+import { normalizeAttachments } from '../lib/attachments.js';
+
+test('attachments are resolved to base64 with a content type', async () => {
+  const result = await normalizeAttachments([
+    { filename: 'notes.txt', content: 'hello', encoding: 'utf8' },
+    { filename: 'logo.png', content: Buffer.from([1, 2, 3]), contentId: 'logo' }
+  ]);
+
+  assert.equal(result.isValid, true);
+  assert.equal(result.totalSize, 8);
+  assert.deepEqual(result.attachments[0], {
+    filename: 'notes.txt',
+    content: Buffer.from('hello').toString('base64'),
+    content_type: 'text/plain',
+    disposition: 'attachment'
+  });
+  assert.equal(result.attachments[1].disposition, 'inline');
+  assert.equal(result.attachments[1].content_id, 'logo');
+});
+
+test('a file larger than the remaining budget fails without being read', async (t) => {
+  const dir = await mkdtemp(join(tmpdir(), 'mailblock-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const path = join(dir, 'report.pdf');
+  await writeFile(path, Buffer.alloc(2048));
+
+  const result = await normalizeAttachments([
+    { filename: 'a.txt', content: 'x'.repeat(600), encoding: 'utf8' },
+    { path }
+  ], { maxTotalSize: 1024 });
+
+  assert.equal(result.isValid, false);
+  assert.match(result.error, /maximum total size of 1\.0 KB \(adding 'report\.pdf' brings the total to 2\.6 KB\)/);
+});
+
+test('a stream is no longer consumed once it exceeds the budget', async () => {
+  let pulled = 0;
+  const stream = Readable.from((function* () {
+    for (let i = 0; i < 100; i++) {
+      pulled++;
+      yield Buffer.alloc(256);
+    }
+  })());
+
+  const result = await normalizeAttachments([{ filename: 'big.bin', content: stream }], { maxTotalSize: 1024 });
+
+  assert.equal(result.isValid, false);
+  assert.match(result.error, /brings the total to more than/);
+  assert.ok(pulled < 100, `expected the stream to be abandoned early, pulled ${pulled} chunks`);
+  assert.equal(stream.destroyed, true);
+});
+
+test('maxAttachmentsSize must be a positive number', () => {
+  for (const maxAttachmentsSize of [0, -1, '10mb', NaN, null]) {
+    assert.throws(() => new Mailblock('mb_test', { maxAttachmentsSize }), /maxAttachmentsSize must be a positive number/);
+  }
+  assert.equal(new Mailblock('mb_test', { maxAttachmentsSize: 1024 }).maxAttachmentsSize, 1024);
+});
+
+test('a send rejected by validation leaves a stream attachment unread', async () => {
+  let pulled = 0;
+  const stream = Readable.from((function* () {
+    pulled++;
+    yield Buffer.from('report');
+  })());
+  const transport = async () => ({ status: 200, headers: {}, data: { id: 'email_1', status: 'sent' } });
+  const client = new Mailblock('mb_test', { transport });
+  const email = { to: 'jane@example.com', from: 'team@example.com', subject: 'Report', text: 'Attached', attachments: [{ filename: 'report.txt', content: stream }] };
+
+  const badKey = await client.sendEmail({ ...email, idempotencyKey: '' });
+  const badSchedule = await client.sendEmail({ ...email, scheduledAt: 'someday' });
+
+  assert.equal(badKey.errorType, 'VALIDATION_ERROR');
+  assert.equal(badSchedule.errorType, 'VALIDATION_ERROR');
+  assert.equal(pulled, 0);
+  assert.equal(stream.destroyed, false);
+  assert.equal((await client.sendEmail(email)).success, true);
+  assert.equal(pulled, 1);
+});
@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Mailblock from '../index.js';
+
+// Answers sends like the API and records each payload, its Idempotency-Key and how many sends overlapped
+function createApi({ reject = [] } = {}) {
+  const api = { sent: [], active: 0, maxActive: 0 };
+  api.transport = async ({ body, headers }) => {
+    const payload = JSON.parse(body);
+    api.active++;
+    api.maxActive = Math.max(api.maxActive, api.active);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    api.active--;
+    if (reject.includes(payload.to)) {
+      return { status: 400, headers: {}, data: { error: `Mailbox ${payload.to} is unavailable` } };
+    }
+    api.sent.push({ payload, idempotencyKey: headers['Idempotency-Key'] });
+    return { status: 200, headers: {}, data: { id: `email_${api.sent.length}`, status: payload.scheduled_at ? 'scheduled' : 'sent' } };
+  };
+  api.payloadFor = (to) => api.sent.find((entry) => entry.payload.to === to)?.payload;
+  return api;
+}
+
+const base = {
+  from: 'sales@example.com',
+  subject: 'An idea for {{company}}',
+  text: 'Hi {{firstName}}, about {{company}}',
+  variables: { firstName: 'there', company: 'your team' }
+};
+
+test('each recipient gets its own variables on top of the shared defaults', async () => {
+  const api = createApi();
+  const client = new Mailblock('mb_test', { transport: api.transport });
+
+  const report = await client.sendBatch([
+    'jane@example.com',
+    { to: 'john@example.com', variables: { firstName: 'John', company: 'Acme' } }
+  ], base);
+
+  assert.equal(report.success, true);
+  assert.deepEqual(api.payloadFor('jane@example.com'), { to: 'jane@example.com', from: 'sales@example.com', subject: 'An idea for your team', text: 'Hi there, about your team' });
+  assert.equal(api.payloadFor('john@example.com').subject, 'An idea for Acme');
+  assert.equal(api.payloadFor('john@example.com').text, 'Hi John, about Acme');
+});
+
+test('recipient overrides replace the shared fields for that recipient only', async () => {
+  const api = createApi();
+  const client = new Mailblock('mb_test', { transport: api.transport });
+
+  await client.sendBatch([
+    { to: 'ana@example.com', cc: 'ana.manager@example.com', from: 'ceo@example.com' },
+    'ben@example.com'
+  ], { ...base, cc: 'crm@example.com' });
+
+  assert.equal(api.payloadFor('ana@example.com').cc, 'ana.manager@example.com');
+  assert.equal(api.payloadFor('ana@example.com').from, 'ceo@example.com');
+  assert.equal(api.payloadFor('ben@example.com').cc, 'crm@example.com');
+  assert.equal(api.payloadFor('ben@example.com').from, 'sales@example.com');
+});
+
+test('a shared idempotency key becomes one key per recipient', async () => {
+  const api = createApi();
+  const client = new Mailblock('mb_test', { transport: api.transport });
+
+  const report = await client.sendBatch([
+    'a@example.com',
+    'b@example.com',
+    { to: 'c@example.com', idempotencyKey: 'custom-key' }
+  ], { ...base, idempotencyKey: 'spring-campaign' });
+
+  const keys = Object.fromEntries(api.sent.map((entry) => [entry.payload.to, entry.idempotencyKey]));
+  assert.deepEqual(keys, { 'a@example.com': 'spring-campaign:0', 'b@example.com': 'spring-campaign:1', 'c@example.com': 'custom-key' });
+  assert.equal(report.success, true);
+});
+
+test('stagger spreads the sends evenly across the window', async () => {
+  const api = createApi();
+  const client = new Mailblock('mb_test', { transport: api.transport });
+
+  const report = await client.sendBatch(['a@example.com', 'b@example.com', 'c@example.com'], base, {
+    stagger: { start: '2099-01-05T09:00:00Z', end: '2099-01-05T11:00:00Z' }
+  });
+
+  const expected = ['2099-01-05T09:00:00.000Z', '2099-01-05T10:00:00.000Z', '2099-01-05T11:00:00.000Z'];
+  assert.deepEqual(report.data.results.map((result) => result.scheduled_at), expected);
+  assert.deepEqual(['a', 'b', 'c'].map((name) => api.payloadFor(`${name}@example.com`).scheduled_at), expected);
+});
+
+test('sends never exceed the concurrency limit', async () => {
+  const api = createApi();
+  const client = new Mailblock('mb_test', { transport: api.transport });
+  const recipients = Array.from({ length: 7 }, (_, i) => `user${i}@example.com`);
+
+  const report = await client.sendBatch(recipients, base, { concurrency: 2 });
+
+  assert.equal(report.data.success_count, 7);
+  assert.equal(api.maxActive, 2);
+});
+
+test('failed recipients are reported in order without stopping the rest', async () => {
+  const api = createApi({ reject: ['b@example.com'] });
+  const client = new Mailblock('mb_test', { transport: api.transport });
+
+  const report = await client.sendBatch(['a@example.com', 'b@example.com', { variables: {} }, 'd@example.com'], base);
+
+  assert.equal(report.success, false);
+  assert.equal(report.message, 'Sent 2 of 4 emails');
+  assert.equal(report.data.success_count, 2);
+  assert.equal(report.data.error_count, 2);
+  assert.equal(report.data.total_recipients, 4);
+  assert.deepEqual(report.data.results.map(({ index, success, errorType }) => ({ index, success, errorType })), [
+    { index: 0, success: true, errorType: undefined },
+    { index: 1, success: false, errorType: 'CLIENT_ERROR' },
+    { index: 2, success: false, errorType: 'VALIDATION_ERROR' },
+    { index: 3, success: true, errorType: undefined }
+  ]);
+  assert.equal(report.data.results[1].error, 'Mailbox b@example.com is unavailable');
+});
+
+test('an invalid batch fails before anything is sent', async () => {
+  const api = createApi();
+  const client = new Mailblock('mb_test', { transport: api.transport });
+
+  assert.equal((await client.sendBatch([], base)).error, 'Recipients must be a non-empty array');
+  assert.equal((await client.sendBatch(['a@example.com'], base, { concurrency: 0 })).error, 'concurrency must be a positive integer');
+  assert.match((await client.sendBatch(['a@example.com'], base, { stagger: { start: '2099-01-05T09:00:00Z' } })).error, /stagger requires an end date/);
+  assert.deepEqual(api.sent, []);
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Mailblock, { MailblockValidationError } from '../index.js';
+
+const email = { to: 'jane@example.com', from: 'team@example.com', subject: 'Hello', text: 'Hi' };
+
+async function setup(options = {}) {
+  const client = new Mailblock('mb_test', { dryRun: true, ...options });
+  const scheduled = (await client.sendEmail({ ...email, scheduledAt: '2099-03-07T14:00:00Z' })).data.id;
+  const sent = (await client.sendEmail(email)).data.id;
+  return { client, scheduled, sent };
+}
+
+test('every update is applied and reported per email', async () => {
+  const { client, scheduled } = await setup();
+  const other = (await client.sendEmail({ ...email, scheduledAt: '2099-03-20T09:00:00Z' })).data.id;
+
+  const result = await client.updateScheduledEmails([
+    { id: scheduled, updates: { subject: 'New subject' } },
+    { id: other, updates: { scheduled_at: '2099-04-01T10:00:00Z' } }
+  ], { concurrency: 1 });
+
+  assert.equal(result.success, true);
+  assert.equal(result.message, 'Updated 2 of 2 emails');
+  assert.equal(client.recorder.find(scheduled).subject, 'New subject');
+  assert.equal(result.data.results[1].scheduled_at, '2099-04-01T10:00:00.000Z');
+});
+
+test('a partial failure fails the call with the first error, like cancelEmails', async () => {
+  const { client, scheduled, sent } = await setup();
+
+  const result = await client.updateScheduledEmails([
+    { id: scheduled, updates: { subject: 'New subject' } },
+    { id: sent, updates: { subject: 'Too late' } }
+  ]);
+
+  assert.equal(result.success, false);
+  assert.equal(result.errorType, 'CLIENT_ERROR');
+  assert.equal(result.statusCode, 400);
+  assert.match(result.error, /^1 of 2 updates failed: Only scheduled emails can be updated/);
+  assert.deepEqual(result.data.results.map((entry) => entry.success), [true, false]);
+  assert.equal(result.data.results[1].currentStatus, 'sent');
+});
+
+test('with throwOnError a partial failure throws and keeps the per-email results', async () => {
+  const { client, scheduled, sent } = await setup({ throwOnError: true });
+
+  await assert.rejects(client.shiftSchedule([scheduled, sent], '1h'), (error) => {
+    assert.ok(error instanceof MailblockValidationError);
+    assert.match(error.message, /Only scheduled emails can be shifted/);
+    assert.equal(error.response.data.success_count, 1);
+    return true;
+  });
+});
+
+test('invalid entries fail on their own without stopping the rest', async () => {
+  const { client, scheduled } = await setup();
+
+  const result = await client.updateScheduledEmails([null, { id: scheduled, updates: { subject: 'Still applied' } }]);
+
+  assert.equal(result.data.results[0].errorType, 'VALIDATION_ERROR');
+  assert.equal(result.data.results[1].success, true);
+  assert.equal(result.errorType, 'VALIDATION_ERROR');
+});
+
+test('shifting by days keeps the wall-clock time across a DST change', async () => {
+  const { client, scheduled } = await setup();
+
+  // 09:00 in New York on the day before clocks go forward
+  const result = await client.shiftSchedule([scheduled], '1d', { timezone: 'America/New_York' });
+
+  assert.equal(result.success, true);
+  assert.equal(result.data.results[0].previous_scheduled_at, '2099-03-07T14:00:00.000Z');
+  assert.equal(result.data.results[0].scheduled_at, '2099-03-08T13:00:00.000Z');
+});
+
+test('shifting by milliseconds moves the exact instant', async () => {
+  const { client, scheduled } = await setup();
+
+  const result = await client.shiftSchedule([scheduled], -2 * 60 * 60 * 1000);
+
+  assert.equal(result.data.results[0].scheduled_at, '2099-03-07T12:00:00.000Z');
+});
+
+test('an empty list or a zero offset is rejected up front', async () => {
+  const { client, scheduled } = await setup();
+
+  assert.equal((await client.updateScheduledEmails([])).errorType, 'VALIDATION_ERROR');
+  assert.equal((await client.shiftSchedule([scheduled], 0)).errorType, 'VALIDATION_ERROR');
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Mailblock from '../index.js';
+
+async function schedule(client, count, tag = () => 'campaign') {
+  const ids = [];
+  for (let i = 0; i < count; i++) {
+    const result = await client.sendEmail({ to: `user${i}@example.com`, from: 'team@example.com', subject: 'Hello', text: 'Hi', scheduledAt: '2d', tags: [tag(i)] });
+    ids.push(result.data.id);
+  }
+  return ids;
+}
+
+// Records the size of every bulk cancel request, and can fail some of them
+function cancelSpy(shouldFail = () => false) {
+  const sizes = [];
+  return {
+    sizes,
+    middleware: {
+      beforeRequest(ctx) {
+        if (ctx.operation !== 'cancelEmails') return undefined;
+        sizes.push(ctx.body.email_ids.length);
+        return shouldFail(sizes.length) ? { status: 503, data: { error: 'Service unavailable' } } : undefined;
+      }
+    }
+  };
+}
+
+test('large lists are split into chunks and the results are merged', async () => {
+  const spy = cancelSpy();
+  const client = new Mailblock('mb_test', { dryRun: true, middleware: [spy.middleware] });
+  const ids = await schedule(client, 7);
+
+  const result = await client.cancelEmails(ids, { chunkSize: 3, concurrency: 2 });
+
+  assert.equal(result.success, true);
+  assert.deepEqual(spy.sizes.sort(), [1, 3, 3]);
+  assert.equal(result.data.chunks, 3);
+  assert.equal(result.data.success_count, 7);
+  assert.deepEqual(result.data.results.map((entry) => entry.email_id).sort(), [...ids].sort());
+  assert.equal(client.recorder.scheduled().length, 0);
+});
+
+test('invalid and repeated IDs do not fail the rest', async () => {
+  const spy = cancelSpy();
+  const client = new Mailblock('mb_test', { dryRun: true, middleware: [spy.middleware] });
+  const ids = await schedule(client, 2);
+
+  const result = await client.cancelEmails([ids[0], ids[1], ids[0], '', 'x'.repeat(0)]);
+
+  assert.equal(result.success, true);
+  assert.deepEqual(spy.sizes, [2]);
+  assert.equal(result.data.success_count, 2);
+  assert.deepEqual(result.data.errors.map((error) => error.errorType), ['VALIDATION_ERROR', 'VALIDATION_ERROR']);
+});
+
+test('a failed chunk marks each of its IDs and fails the call', async () => {
+  const spy = cancelSpy((request) => request === 2);
+  const client = new Mailblock('mb_test', { dryRun: true, middleware: [spy.middleware] });
+  const ids = await schedule(client, 6);
+
+  const result = await client.cancelEmails(ids, { chunkSize: 2, concurrency: 1 });
+
+  assert.equal(result.success, false);
+  assert.equal(result.errorType, 'SERVER_ERROR');
+  assert.equal(result.error, '1 of 3 chunks failed: Service unavailable');
+  assert.equal(result.data.success_count, 4);
+  assert.deepEqual(result.data.errors.map((error) => error.email_id), ids.slice(2, 4));
+  assert.deepEqual(result.data.failed_chunks.map(({ chunk, size, statusCode }) => ({ chunk, size, statusCode })), [{ chunk: 2, size: 2, statusCode: 503 }]);
+  assert.equal(client.recorder.scheduled().length, 2);
+});
+
+test('chunk options are validated', async () => {
+  const client = new Mailblock('mb_test', { dryRun: true });
+
+  assert.equal((await client.cancelEmails(['email_1'], { chunkSize: 0 })).error, 'chunkSize must be a positive integer');
+  assert.equal((await client.cancelEmails(['email_1'], { concurrency: 1.5 })).error, 'concurrency must be a positive integer');
+});
+
+test('cancelWhere cancels only the scheduled emails that match', async () => {
+  const client = new Mailblock('mb_test', { dryRun: true });
+  await schedule(client, 6, (i) => (i % 2 ? 'odd' : 'even'));
+
+  const result = await client.cancelWhere({ tag: 'odd' }, { chunkSize: 2 });
+
+  assert.equal(result.success, true);
+  assert.equal(result.data.matched, 3);
+  assert.equal(result.data.chunks, 2);
+  assert.deepEqual(client.recorder.scheduled().map((email) => email.tags[0]), ['even', 'even', 'even']);
+
+  const again = await client.cancelWhere({ tag: 'odd' });
+  assert.equal(again.message, 'No scheduled emails matched');
+  assert.equal(again.data.matched, 0);
+});
+
+test('cancelWhere needs at least one known filter', async () => {
+  const client = new Mailblock('mb_test', { dryRun: true });
+
+  assert.match((await client.cancelWhere({})).error, /At least one of tag, to, from/);
+  assert.match((await client.cancelWhere({ campaign: 'spring' })).error, /Unknown filter 'campaign'/);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'node:stream';
+import { run, EXIT_CODES } from '../lib/cli.js';
+
+function capture() {
+  const stream = new PassThrough();
+  let output = '';
+  stream.on('data', (chunk) => { output += chunk; });
+  return { stream, text: () => output };
+}
+
+const send = ['send', '--to', 'jane@example.com', '--from', 'team@example.com', '--subject', 'Hello', '--dry-run'];
+
+test('a dry-run send reads the body from stdin and prints the request', async () => {
+  const stdin = new PassThrough();
+  const stdout = capture();
+  stdin.end('Body from stdin');
+
+  const code = await run([...send, '--text-file', '-'], { env: {}, stdin, stdout: stdout.stream, stderr: capture().stream });
+
+  assert.equal(code, EXIT_CODES.SUCCESS);
+  assert.match(stdout.text(), /Dry run: would POST \/v1\/send-email/);
+  assert.match(stdout.text(), /"text": "Body from stdin"/);
+});
+
+test('aborting while stdin is still open exits with 130', async () => {
+  const stdin = new PassThrough();
+  const stderr = capture();
+  const controller = new AbortController();
+
+  // Ctrl+C once the CLI has started waiting for input that never ends
+  stdin.once('resume', () => controller.abort());
+
+  const code = await run([...send, '--text-file', '-'], { env: {}, stdin, stdout: capture().stream, stderr: stderr.stream, signal: controller.signal });
+
+  assert.equal(code, EXIT_CODES.ABORTED);
+  assert.equal(stdin.destroyed, true);
+  assert.match(stderr.text(), /Aborted/);
+});
+
+test('an unknown command is a usage error', async () => {
+  const stderr = capture();
+
+  const code = await run(['resend'], { env: {}, stdin: new PassThrough(), stdout: capture().stream, stderr: stderr.stream });
+
+  assert.equal(code, EXIT_CODES.USAGE_ERROR);
+  assert.match(stderr.text(), /Unknown command 'resend'/);
+});
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import Mailblock, { ConnectionPool } from '../index.js';
+
+async function startServer(handler) {
+  const server = http.createServer(handler);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+test('a non-JSON error page from a proxy settles as a SERVER_ERROR', async () => {
+  const server = await startServer((req, res) => {
+    res.writeHead(502, { 'content-type': 'text/html' });
+    res.end('<html><body>502 Bad Gateway</body></html>');
+  });
+  const client = new Mailblock('mb_test', { baseUrl: server.baseUrl, connection: true });
+  try {
+    const result = await client.cancelEmail('email-1');
+    assert.equal(result.success, false);
+    assert.equal(result.errorType, 'SERVER_ERROR');
+    assert.equal(result.statusCode, 502);
+  } finally {
+    await client.close();
+    await server.close();
+  }
+});
+
+test('an empty 204 body is not treated as a failure', async () => {
+  const server = await startServer((req, res) => {
+    res.writeHead(204);
+    res.end();
+  });
+  const client = new Mailblock('mb_test', { baseUrl: server.baseUrl, connection: true });
+  try {
+    const result = await client.cancelEmail('email-1');
+    assert.equal(result.success, true);
+  } finally {
+    await client.close();
+    await server.close();
+  }
+});
+
+test('the default fetch transport also tolerates a non-JSON error page and retries it', async () => {
+  let requests = 0;
+  const server = await startServer((req, res) => {
+    requests++;
+    res.writeHead(502, { 'content-type': 'text/html' });
+    res.end('<html><body>502 Bad Gateway</body></html>');
+  });
+  const client = new Mailblock('mb_test', { baseUrl: server.baseUrl, retry: { maxAttempts: 2, baseDelay: 1 } });
+  try {
+    const result = await client.cancelEmail('email-1');
+    assert.equal(result.errorType, 'SERVER_ERROR');
+    assert.equal(result.statusCode, 502);
+    assert.equal(result.attempts, 2);
+    assert.equal(requests, 2);
+  } finally {
+    await server.close();
+  }
+});
+
+test('the default fetch transport treats an empty body as no payload', async () => {
+  const server = await startServer((req, res) => {
+    res.writeHead(204);
+    res.end();
+  });
+  const client = new Mailblock('mb_test', { baseUrl: server.baseUrl });
+  try {
+    assert.equal((await client.cancelEmail('email-1')).success, true);
+  } finally {
+    await server.close();
+  }
+});
+
+test('keep-alive sockets are reused across calls and released on close', async () => {
+  const sockets = new Set();
+  const server = await startServer((req, res) => {
+    sockets.add(req.socket);
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ success: true }));
+  });
+  const pool = new ConnectionPool();
+  const client = new Mailblock('mb_test', { baseUrl: server.baseUrl, connection: pool });
+  try {
+    await client.cancelEmail('email-1');
+    await client.cancelEmail('email-2');
+    assert.equal(sockets.size, 1);
+    assert.equal(pool.stats().idleSockets, 1);
+
+    await pool.close();
+    assert.equal(pool.stats().closed, true);
+    const result = await client.cancelEmail('email-3');
+    assert.equal(result.success, false);
+  } finally {
+    await pool.close();
+    await server.close();
+  }
+});
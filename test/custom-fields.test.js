@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Mailblock from '../index.js';
+
+const email = { to: 'jane@example.com', from: 'team@example.com', subject: 'Hello', text: 'Hi Jane' };
+
+function createClient() {
+  const payloads = [];
+  const transport = async ({ body }) => {
+    payloads.push(JSON.parse(body));
+    return { status: 200, headers: {}, data: { id: 'email_1', status: 'sent' } };
+  };
+  return { client: new Mailblock('mb_test', { transport }), payloads };
+}
+
+test('replyTo, headers, tags and metadata map onto the API payload', async () => {
+  const { client, payloads } = createClient();
+
+  const result = await client.sendEmail({
+    ...email,
+    replyTo: 'support@example.com',
+    headers: { 'List-Unsubscribe': '<https://example.com/unsubscribe>', 'X-Priority': 1 },
+    tags: ['welcome', 'onboarding', 'welcome'],
+    metadata: { userId: 'u_42', plan: 'pro', trial: true, seats: 3 }
+  });
+
+  assert.equal(result.success, true);
+  assert.deepEqual(payloads[0], {
+    ...email,
+    reply_to: 'support@example.com',
+    headers: { 'List-Unsubscribe': '<https://example.com/unsubscribe>', 'X-Priority': '1' },
+    tags: ['welcome', 'onboarding'],
+    metadata: { userId: 'u_42', plan: 'pro', trial: true, seats: 3 }
+  });
+});
+
+test('empty headers, tags and metadata are left out of the payload', async () => {
+  const { client, payloads } = createClient();
+
+  await client.sendEmail({ ...email, headers: {}, tags: [], metadata: {} });
+
+  assert.deepEqual(payloads[0], email);
+});
+
+test('reserved, malformed or injected headers are rejected', async () => {
+  const { client, payloads } = createClient();
+
+  const cases = [
+    [{ Subject: 'Other' }, "Header 'Subject' is reserved and cannot be set as a custom header"],
+    [{ 'X-Mailblock-Id': '1' }, "Header 'X-Mailblock-Id' is reserved and cannot be set as a custom header"],
+    [{ 'Bad Name': 'x' }, "Invalid header name 'Bad Name': use printable ASCII without spaces or colons"],
+    [{ 'X-Note': 'a\r\nBcc: attacker@example.com' }, "Header 'X-Note' cannot contain line breaks"],
+    [{ 'X-Team': 'a', 'x-team': 'b' }, "Header 'x-team' is set more than once"],
+    [{ 'X-Flags': ['a'] }, "Header 'X-Flags' must have a string value"]
+  ];
+  for (const [headers, error] of cases) {
+    const result = await client.sendEmail({ ...email, headers });
+    assert.equal(result.errorType, 'VALIDATION_ERROR');
+    assert.equal(result.error, error);
+  }
+  assert.equal(payloads.length, 0);
+});
+
+test('invalid tags and metadata are rejected', async () => {
+  const { client } = createClient();
+
+  assert.match((await client.sendEmail({ ...email, tags: ['has space'] })).error, /Invalid tag 'has space'/);
+  assert.match((await client.sendEmail({ ...email, tags: Array.from({ length: 21 }, (_, i) => `t${i}`) })).error, /At most 20 tags/);
+  assert.match((await client.sendEmail({ ...email, metadata: { nested: { a: 1 } } })).error, /Metadata value for 'nested' must be a string/);
+  assert.match((await client.sendEmail({ ...email, metadata: ['a'] })).error, /metadata must be an object/);
+});
+
+test('an invalid replyTo address is rejected', async () => {
+  const { client } = createClient();
+
+  const result = await client.sendEmail({ ...email, replyTo: 'not-an-address' });
+
+  assert.equal(result.errorType, 'VALIDATION_ERROR');
+  assert.match(result.error, /^Invalid reply-to email address: not-an-address/);
+});
+
+test('the builder merges headers case-insensitively and accumulates tags and metadata', async () => {
+  const { client, payloads } = createClient();
+
+  await client.email()
+    .to(email.to).from(email.from).subject(email.subject).text(email.text)
+    .replyTo('support@example.com')
+    .header('X-Campaign', 'spring')
+    .header('x-campaign', 'summer')
+    .tag('welcome').tag(['onboarding', 'welcome'])
+    .metadata('userId', 'u_42')
+    .metadata({ plan: 'pro' })
+    .send();
+
+  assert.deepEqual(payloads[0].headers, { 'x-campaign': 'summer' });
+  assert.deepEqual(payloads[0].tags, ['welcome', 'onboarding']);
+  assert.deepEqual(payloads[0].metadata, { userId: 'u_42', plan: 'pro' });
+  assert.equal(payloads[0].reply_to, 'support@example.com');
+  assert.throws(() => client.email().header('To', 'x@example.com'), /reserved/);
+});
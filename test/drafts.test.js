@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import Mailblock, { EmailBuilder, MailblockValidationError } from '../index.js';
+
+const client = new Mailblock('mb_test', { dryRun: true });
+
+const base = () => client.email()
+  .from('news@example.com')
+  .subject('Spring sale')
+  .html('<p>20% off</p>')
+  .tag('spring-sale');
+
+test('a clone can be edited without touching the original', () => {
+  const original = base().attach(Buffer.from('report'), { filename: 'report.txt' });
+  const copy = original.clone().to('vip@example.com').subject('Early access').tag('vip');
+
+  copy.emailData.attachments[0].content[0] = 0;
+
+  assert.equal(original.emailData.subject, 'Spring sale');
+  assert.equal(original.emailData.to, undefined);
+  assert.deepEqual(original.emailData.tags, ['spring-sale']);
+  assert.equal(original.emailData.attachments[0].content.toString(), 'report');
+});
+
+test('a draft with a stream attachment cannot be cloned or saved', () => {
+  const draft = base().attach(Readable.from(['data']), { filename: 'export.csv' });
+
+  assert.throws(() => draft.clone(), (error) => error instanceof MailblockValidationError && /'export\.csv' is a stream and cannot be cloned/.test(error.message));
+  assert.throws(() => draft.toJSON(), /cannot be saved in a draft/);
+});
+
+test('validate() reports every problem at once', () => {
+  const { isValid, errors } = client.email().subject('Hello').validate();
+
+  assert.equal(isValid, false);
+  assert.deepEqual(errors.map((error) => error.field), ['to', 'from', 'html']);
+});
+
+test('a draft survives a JSON round trip', async () => {
+  const draft = base()
+    .to('jane@example.com')
+    .scheduleAt('2099-04-01T09:00:00Z')
+    .attach(Buffer.from('hello'), { filename: 'hello.txt' });
+
+  const restored = EmailBuilder.fromJSON(JSON.stringify(draft), client);
+
+  assert.deepEqual(restored.toJSON(), draft.toJSON());
+  assert.equal(restored.validate().isValid, true);
+  const result = await restored.send();
+  assert.equal(result.success, true);
+  assert.equal(client.recorder.find(result.data.id).scheduled_at, '2099-04-01T09:00:00.000Z');
+});
+
+test('fromJSON throws validation errors for bad input', () => {
+  for (const [json, message] of [
+    ['{ not json', /Draft is not valid JSON/],
+    [[], /must be an object or a JSON string/],
+    [{ subjcet: 'typo' }, /Unknown draft field: subjcet/]
+  ]) {
+    assert.throws(() => EmailBuilder.fromJSON(json, client), (error) => error instanceof MailblockValidationError && message.test(error.message));
+  }
+  assert.throws(() => EmailBuilder.fromJSON({}, {}), MailblockValidationError);
+});
+
+test('diff() lists only the fields that can still change', () => {
+  const original = base().to('jane@example.com').scheduleAt('2099-04-01T09:00:00Z');
+  const edited = original.clone().subject('Extended').scheduleAt('2099-04-02T09:00:00Z');
+
+  assert.deepEqual(edited.diff(original), { subject: 'Extended', scheduled_at: new Date('2099-04-02T09:00:00Z') });
+});
@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Mailblock, { EmailRecorder } from '../index.js';
+
+const email = (overrides = {}) => ({ to: 'jane@example.com', from: 'team@example.com', subject: 'Hello', text: 'Hi Jane', ...overrides });
+const inTwoDays = () => new Date(Date.now() + 2 * 24 * 60 * 60 * 1000);
+
+test('sent and scheduled emails are recorded and can be found', async () => {
+  const client = new Mailblock('mb_test', { dryRun: true });
+
+  const sent = await client.sendEmail(email({ cc: 'Boss@Example.com' }));
+  const scheduled = await client.sendEmail(email({ subject: 'Later', scheduledAt: inTwoDays() }));
+
+  assert.equal(sent.data.status, 'sent');
+  assert.equal(scheduled.data.status, 'scheduled');
+  assert.equal(client.recorder.find(sent.data.id).subject, 'Hello');
+  assert.equal(client.recorder.last().id, scheduled.data.id);
+  assert.deepEqual(client.recorder.scheduled().map((recorded) => recorded.subject), ['Later']);
+  assert.equal(client.recorder.sentTo('boss@example.com').length, 1);
+  assert.equal(client.recorder.sentTo('Jane <JANE@example.com>').length, 2);
+  assert.equal(client.recorder.find('dryrun_missing'), null);
+});
+
+test('validation still runs and failed sends are not recorded', async () => {
+  const client = new Mailblock('mb_test', { dryRun: true });
+
+  const result = await client.sendEmail(email({ to: 'not-an-address' }));
+
+  assert.equal(result.errorType, 'VALIDATION_ERROR');
+  assert.deepEqual(client.recorder.all(), []);
+  assert.deepEqual(client.recorder.requests, []);
+});
+
+test('scheduled emails can be looked up, updated and cancelled', async () => {
+  const client = new Mailblock('mb_test', { dryRun: true });
+  const { data } = await client.sendEmail(email({ scheduledAt: inTwoDays() }));
+
+  const updated = await client.updateScheduledEmail(data.id, { subject: 'Updated' });
+  const cancelled = await client.cancelEmail(data.id);
+  const lookup = await client.getEmail(data.id);
+
+  assert.equal(updated.success, true);
+  assert.equal(cancelled.success, true);
+  assert.equal(lookup.data.status, 'cancelled');
+  assert.equal(lookup.data.subject, 'Updated');
+  assert.deepEqual(client.recorder.cancelled().map((recorded) => recorded.id), [data.id]);
+});
+
+test('emails that are no longer scheduled cannot be cancelled or updated', async () => {
+  const client = new Mailblock('mb_test', { dryRun: true });
+  const { data } = await client.sendEmail(email());
+
+  const cancelled = await client.cancelEmail(data.id);
+  const updated = await client.updateScheduledEmail(data.id, { subject: 'Too late' });
+  const missing = await client.cancelEmail('dryrun_404');
+
+  assert.equal(cancelled.errorType, 'CLIENT_ERROR');
+  assert.match(cancelled.error, /current status: sent/);
+  assert.equal(updated.errorType, 'CLIENT_ERROR');
+  assert.match(updated.error, /Only scheduled emails can be updated/);
+  assert.equal(missing.statusCode, 404);
+  assert.equal(client.recorder.find(data.id).subject, 'Hello');
+});
+
+test('a scheduled email counts as sent once its time has passed', async () => {
+  const client = new Mailblock('mb_test', { dryRun: true });
+  const { data } = await client.sendEmail(email({ scheduledAt: new Date(Date.now() + 50) }));
+
+  assert.equal(client.recorder.scheduled().length, 1);
+  await new Promise((resolve) => setTimeout(resolve, 80));
+
+  assert.deepEqual(client.recorder.scheduled(), []);
+  assert.equal(client.recorder.find(data.id).status, 'sent');
+  assert.equal((await client.cancelEmail(data.id)).errorType, 'CLIENT_ERROR');
+});
+
+test('listEmails pages through the recorded emails', async () => {
+  const client = new Mailblock('mb_test', { dryRun: true });
+  for (const subject of ['One', 'Two', 'Three']) {
+    await client.sendEmail(email({ subject, scheduledAt: inTwoDays() }));
+  }
+  await client.sendEmail(email({ subject: 'Now' }));
+
+  const subjects = [];
+  for await (const recorded of client.listEmails({ status: 'scheduled', limit: 2 })) {
+    subjects.push(recorded.subject);
+  }
+
+  assert.deepEqual(subjects, ['One', 'Two', 'Three']);
+});
+
+test('a repeated idempotency key replays the first response', async () => {
+  const client = new Mailblock('mb_test', { dryRun: true });
+
+  const first = await client.sendEmail(email({ idempotencyKey: 'receipt-1' }));
+  const second = await client.sendEmail(email({ idempotencyKey: 'receipt-1', subject: 'Changed' }));
+
+  assert.equal(second.data.id, first.data.id);
+  assert.equal(client.recorder.all().length, 1);
+});
+
+test('a shared recorder collects emails from several clients and can be cleared', async () => {
+  const recorder = new EmailRecorder();
+  const a = new Mailblock('mb_a', { dryRun: true, recorder });
+  const b = new Mailblock('mb_b', { dryRun: true, recorder });
+
+  await a.sendEmail(email());
+  await b.sendEmail(email());
+  assert.equal(recorder.all().length, 2);
+
+  recorder.clear();
+  assert.deepEqual(recorder.all(), []);
+});
+
+test('dryRun cannot be combined with a real transport', () => {
+  assert.throws(() => new Mailblock('mb_test', { dryRun: true, transport: async () => ({}) }), /dryRun cannot be combined with transport or fetch/);
+  assert.throws(() => new Mailblock('mb_test', { recorder: new EmailRecorder() }), /recorder can only be used with dryRun: true/);
+});
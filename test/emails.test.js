@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Mailblock from '../index.js';
+
+// Serves three pages of emails, two per page, and records every request URL
+function createApi({ failCursor } = {}) {
+  const api = { urls: [] };
+  const pages = { start: ['e1', 'e2'], c1: ['e3', 'e4'], c2: ['e5'] };
+  const next = { start: 'c1', c1: 'c2', c2: null };
+  api.transport = async ({ method, url }) => {
+    api.urls.push(`${method} ${url}`);
+    const { pathname, searchParams } = new URL(url);
+    if (pathname.startsWith('/v1/emails/')) {
+      const id = decodeURIComponent(pathname.slice('/v1/emails/'.length));
+      return id === 'missing'
+        ? { status: 404, headers: {}, data: { error: 'Email not found' } }
+        : { status: 200, headers: {}, data: { email: { id, status: 'scheduled' } } };
+    }
+    const cursor = searchParams.get('cursor') || 'start';
+    if (cursor === failCursor) {
+      return { status: 500, headers: {}, data: { error: 'Database unavailable' } };
+    }
+    return {
+      status: 200,
+      headers: {},
+      data: { emails: pages[cursor].map((id) => ({ id })), has_more: next[cursor] !== null, next_cursor: next[cursor], total: 5 }
+    };
+  };
+  return api;
+}
+
+test('getEmail returns the email and encodes the ID into the path', async () => {
+  const api = createApi();
+  const client = new Mailblock('mb_test', { transport: api.transport, baseUrl: 'https://api.example.com' });
+
+  const result = await client.getEmail('batch/42?x');
+
+  assert.equal(result.success, true);
+  assert.deepEqual(result.data, { id: 'batch/42?x', status: 'scheduled' });
+  assert.deepEqual(api.urls, ['GET https://api.example.com/v1/emails/batch%2F42%3Fx']);
+});
+
+test('getEmail reports an unknown ID as a client error with a hint', async () => {
+  const client = new Mailblock('mb_test', { transport: createApi().transport });
+
+  const result = await client.getEmail('missing');
+
+  assert.equal(result.errorType, 'CLIENT_ERROR');
+  assert.equal(result.statusCode, 404);
+  assert.match(result.suggestion, /No email exists with this ID/);
+  assert.equal((await client.getEmail('')).errorType, 'VALIDATION_ERROR');
+});
+
+test('listEmails turns filters into query parameters', async () => {
+  const api = createApi();
+  const client = new Mailblock('mb_test', { transport: api.transport, baseUrl: 'https://api.example.com' });
+
+  await client.listEmails({
+    status: ['scheduled', 'sent'],
+    to: ' jane@example.com ',
+    tag: 'onboarding',
+    scheduledBefore: new Date('2099-02-01T00:00:00Z'),
+    scheduledAfter: '2099-01-01T00:00:00Z',
+    limit: 2
+  });
+
+  const { searchParams } = new URL(api.urls[0].slice('GET '.length));
+  assert.deepEqual(Object.fromEntries(searchParams), {
+    status: 'scheduled,sent',
+    to: 'jane@example.com',
+    tag: 'onboarding',
+    scheduled_before: '2099-02-01T00:00:00.000Z',
+    scheduled_after: '2099-01-01T00:00:00.000Z',
+    limit: '2'
+  });
+});
+
+test('invalid list filters fail before any request', async () => {
+  const api = createApi();
+  const client = new Mailblock('mb_test', { transport: api.transport });
+
+  assert.equal((await client.listEmails({ limit: 101 })).error, 'limit must be an integer between 1 and 100');
+  assert.equal((await client.listEmails({ status: [] })).error, 'status must be a non-empty string or array of strings');
+  assert.equal((await client.listEmails({ scheduledBefore: 'soon' })).error, 'scheduledBefore must be a Date object or valid date string');
+  assert.deepEqual(api.urls, []);
+});
+
+test('awaiting listEmails gives one page and its cursor', async () => {
+  const client = new Mailblock('mb_test', { transport: createApi().transport });
+
+  const first = await client.listEmails();
+  const second = await client.listEmails({ cursor: first.data.next_cursor });
+
+  assert.deepEqual(first.data.emails.map((email) => email.id), ['e1', 'e2']);
+  assert.equal(first.data.has_more, true);
+  assert.deepEqual(second.data.emails.map((email) => email.id), ['e3', 'e4']);
+  assert.equal(second.data.next_cursor, 'c2');
+});
+
+test('for await walks every page once', async () => {
+  const api = createApi();
+  const client = new Mailblock('mb_test', { transport: api.transport });
+
+  const ids = [];
+  for await (const email of client.listEmails({ limit: 2 })) {
+    ids.push(email.id);
+  }
+
+  assert.deepEqual(ids, ['e1', 'e2', 'e3', 'e4', 'e5']);
+  assert.equal(api.urls.length, 3);
+  assert.ok(api.urls.every((url) => url.includes('limit=2')));
+});
+
+test('iteration rethrows a failed page with its error details', async () => {
+  const client = new Mailblock('mb_test', { transport: createApi({ failCursor: 'c1' }).transport });
+
+  const ids = [];
+  await assert.rejects(async () => {
+    for await (const email of client.listEmails()) {
+      ids.push(email.id);
+    }
+  }, (error) => error.errorType === 'SERVER_ERROR' && error.statusCode === 500 && error.message === 'Database unavailable');
+  assert.deepEqual(ids, ['e1', 'e2']);
+});
+
+test('iteration rethrows a failed first page', async () => {
+  const client = new Mailblock('mb_test', { transport: createApi({ failCursor: 'start' }).transport });
+
+  const page = await client.listEmails();
+  assert.equal(page.success, false);
+
+  await assert.rejects(async () => {
+    for await (const email of client.listEmails()) {
+      assert.fail(`unexpected email ${email.id}`);
+    }
+  }, (error) => error.errorType === 'SERVER_ERROR');
+});
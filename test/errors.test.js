@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Mailblock, {
+  MailblockError,
+  MailblockValidationError,
+  MailblockClientError,
+  MailblockRateLimitError,
+  MailblockServerError,
+  MailblockNetworkError,
+  MailblockTimeoutError,
+  MailblockAbortError
+} from '../index.js';
+
+const respondWith = (status, error) => async () => ({ status, headers: {}, data: { error } });
+
+test('without throwOnError failures are returned, not thrown', async () => {
+  const client = new Mailblock('mb_test', { transport: respondWith(500, 'Boom') });
+
+  const result = await client.cancelEmail('email_1');
+
+  assert.equal(result.success, false);
+  assert.equal(result.errorType, 'SERVER_ERROR');
+});
+
+for (const [status, ErrorClass, errorType] of [
+  [400, MailblockClientError, 'CLIENT_ERROR'],
+  [404, MailblockClientError, 'CLIENT_ERROR'],
+  [429, MailblockRateLimitError, 'RATE_LIMIT_ERROR'],
+  [503, MailblockServerError, 'SERVER_ERROR']
+]) {
+  test(`an HTTP ${status} throws ${ErrorClass.name} with the response attached`, async () => {
+    const client = new Mailblock('mb_test', { transport: respondWith(status, 'Nope'), throwOnError: true });
+
+    await assert.rejects(client.cancelEmail('email_1'), (error) => {
+      assert.ok(error instanceof ErrorClass);
+      assert.ok(error instanceof MailblockError);
+      assert.equal(error.name, ErrorClass.name);
+      assert.equal(error.errorType, errorType);
+      assert.equal(error.statusCode, status);
+      assert.equal(error.message, 'Nope');
+      assert.match(error.requestId, /^req_/);
+      assert.equal(error.response.success, false);
+      assert.equal(error.response.requestId, error.requestId);
+      assert.ok(!Object.keys(error).includes('response'));
+      return true;
+    });
+  });
+}
+
+test('a connection failure throws MailblockNetworkError', async () => {
+  const transport = async () => {
+    throw Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:443'), { code: 'ECONNREFUSED' });
+  };
+  const client = new Mailblock('mb_test', { transport, throwOnError: true });
+
+  await assert.rejects(client.cancelEmail('email_1'), (error) => {
+    assert.ok(error instanceof MailblockNetworkError);
+    assert.equal(error.statusCode, null);
+    assert.match(error.message, /ECONNREFUSED/);
+    return true;
+  });
+});
+
+test('a timeout throws MailblockTimeoutError', async () => {
+  const transport = () => new Promise(() => {});
+  const client = new Mailblock('mb_test', { transport, timeout: 20, throwOnError: true });
+
+  await assert.rejects(client.cancelEmail('email_1'), MailblockTimeoutError);
+});
+
+test('an aborted call throws MailblockAbortError', async () => {
+  const client = new Mailblock('mb_test', { transport: respondWith(200), throwOnError: true });
+
+  await assert.rejects(client.cancelEmail('email_1', { signal: AbortSignal.abort() }), MailblockAbortError);
+});
+
+test('invalid input throws MailblockValidationError before any request', async () => {
+  let calls = 0;
+  const transport = async () => {
+    calls++;
+    return { status: 200, headers: {}, data: {} };
+  };
+  const client = new Mailblock('mb_test', { transport, throwOnError: true });
+
+  await assert.rejects(client.sendEmail({ from: 'team@example.com', subject: 'Hi', text: 'Hello' }), (error) => {
+    assert.ok(error instanceof MailblockValidationError);
+    assert.equal(error.errorType, 'VALIDATION_ERROR');
+    assert.equal(error.message, 'Recipient email address (to) is required');
+    return true;
+  });
+  assert.equal(calls, 0);
+});
+
+test('a failed page while iterating listEmails throws the typed error', async () => {
+  const client = new Mailblock('mb_test', { transport: respondWith(503, 'Unavailable') });
+
+  await assert.rejects(async () => {
+    for await (const email of client.listEmails()) {
+      assert.fail(`unexpected email ${email.id}`);
+    }
+  }, MailblockServerError);
+});
+
+test('fromResponse falls back to MailblockError for unknown error types', () => {
+  const error = MailblockError.fromResponse({ success: false, error: 'Odd', errorType: 'UNKNOWN_ERROR', requestId: 'req_1' });
+
+  assert.equal(error.constructor, MailblockError);
+  assert.equal(error.errorType, 'UNKNOWN_ERROR');
+  assert.equal(error.requestId, 'req_1');
+});
+
+test('EmailBuilder throws MailblockValidationError for invalid input', () => {
+  const client = new Mailblock('mb_test', { transport: respondWith(200) });
+
+  for (const build of [
+    () => client.email().to('not-an-email'),
+    () => client.email().from('also not one'),
+    () => client.email().subject(''),
+    () => client.email().idempotencyKey('')
+  ]) {
+    assert.throws(build, (error) => error instanceof MailblockValidationError && error.errorType === 'VALIDATION_ERROR');
+  }
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { htmlToText } from '../index.js';
+
+test('paragraphs, lists and links become readable text', () => {
+  const html = '<h1>Welcome</h1><p>Hello&nbsp;<b>Jane</b>,</p><ul><li>One</li><li>Two</li></ul><p><a href="https://example.com/start">Get started</a></p>';
+
+  assert.equal(htmlToText(html), 'WELCOME\n=======\n\nHello Jane,\n\n* One\n* Two\n\nGet started (https://example.com/start)');
+});
+
+test('long lines are wrapped at the word wrap width', () => {
+  const text = htmlToText(`<p>${'word '.repeat(30)}</p>`, { wordwrap: 40 });
+
+  assert.ok(text.split('\n').every((line) => line.length <= 40));
+  assert.equal(text.split('\n').length, 4);
+});
+
+test('preformatted blocks keep their lines and indentation', () => {
+  const code = 'function greet(name) {\n  return `Hello ${name}, this line is much longer than the configured word wrap width`;\n}';
+  const text = htmlToText(`<p>Example:</p><pre><code>${code}</code></pre><p>Done</p>`, { wordwrap: 40 });
+
+  assert.equal(text, `Example:\n\n${code}\n\nDone`);
+});
+
+test('inline code is never split across lines', () => {
+  const text = htmlToText('<p>Install it with <code>npm install --save-dev mailblock</code> and run the tests.</p>', { wordwrap: 30 });
+
+  assert.ok(text.split('\n').some((line) => line.includes('npm install --save-dev mailblock')));
+});
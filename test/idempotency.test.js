@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Mailblock from '../index.js';
+
+const email = { to: 'jane@example.com', from: 'team@example.com', subject: 'Hello', text: 'Hi Jane' };
+
+// Answers with the listed statuses in turn (200 once they run out) and records each request's headers
+function createTransport(...statuses) {
+  const headers = [];
+  const transport = async (request) => {
+    headers.push(request.headers);
+    const status = statuses.shift() ?? 200;
+    return { status, headers: {}, data: status === 200 ? { id: 'email_1', status: 'sent' } : { error: 'Unavailable' } };
+  };
+  return { transport, headers };
+}
+
+test('an idempotency key is sent as the Idempotency-Key header and returned', async () => {
+  const { transport, headers } = createTransport();
+  const client = new Mailblock('mb_test', { transport });
+
+  const result = await client.sendEmail({ ...email, idempotencyKey: 'order-1234-receipt' });
+
+  assert.equal(headers[0]['Idempotency-Key'], 'order-1234-receipt');
+  assert.equal(result.idempotencyKey, 'order-1234-receipt');
+});
+
+test('without a key nothing is sent unless autoIdempotencyKey is on', async () => {
+  const manual = createTransport();
+  const auto = createTransport();
+
+  const plain = await new Mailblock('mb_test', { transport: manual.transport }).sendEmail(email);
+  const generated = await new Mailblock('mb_test', { transport: auto.transport, autoIdempotencyKey: true }).sendEmail(email);
+
+  assert.equal(manual.headers[0]['Idempotency-Key'], undefined);
+  assert.equal(plain.idempotencyKey, undefined);
+  assert.match(generated.idempotencyKey, /^idem_/);
+  assert.equal(auto.headers[0]['Idempotency-Key'], generated.idempotencyKey);
+});
+
+test('a send with a key is retried with the same key', async () => {
+  const { transport, headers } = createTransport(503, 503);
+  const client = new Mailblock('mb_test', { transport, retry: { baseDelay: 1 } });
+
+  const result = await client.sendEmail({ ...email, idempotencyKey: 'welcome-42' });
+
+  assert.equal(result.success, true);
+  assert.equal(result.attempts, 3);
+  assert.deepEqual(headers.map((sent) => sent['Idempotency-Key']), ['welcome-42', 'welcome-42', 'welcome-42']);
+});
+
+test('generated keys are new for each send but stable across its retries', async () => {
+  const { transport, headers } = createTransport(503);
+  const client = new Mailblock('mb_test', { transport, retry: { baseDelay: 1 }, autoIdempotencyKey: true });
+
+  await client.sendEmail(email);
+  await client.sendEmail(email);
+
+  const keys = headers.map((sent) => sent['Idempotency-Key']);
+  assert.equal(keys.length, 3);
+  assert.equal(keys[0], keys[1]);
+  assert.notEqual(keys[1], keys[2]);
+});
+
+test('invalid keys fail validation before any request', async () => {
+  const { transport, headers } = createTransport();
+  const client = new Mailblock('mb_test', { transport });
+
+  for (const idempotencyKey of ['', '   ', 'x'.repeat(256), 42]) {
+    const result = await client.sendEmail({ ...email, idempotencyKey });
+    assert.equal(result.errorType, 'VALIDATION_ERROR');
+    assert.equal(result.error, 'idempotencyKey must be a non-empty string of at most 255 characters');
+  }
+  assert.equal(headers.length, 0);
+});
+
+test('EmailBuilder passes its key through and rejects invalid ones', async () => {
+  const { transport, headers } = createTransport();
+  const client = new Mailblock('mb_test', { transport });
+
+  await client.email().to(email.to).from(email.from).subject(email.subject).text(email.text).idempotencyKey('builder-key').send();
+
+  assert.equal(headers[0]['Idempotency-Key'], 'builder-key');
+  assert.throws(() => client.email().idempotencyKey('x'.repeat(256)), /Idempotency key must be a non-empty string of at most 255 characters/);
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Mailblock from '../index.js';
+
+const ok = async () => ({ status: 200, headers: {}, data: { success: true } });
+
+function createTracer() {
+  const spans = [];
+  return {
+    spans,
+    startSpan(name) {
+      const span = {
+        name,
+        ended: 0,
+        status: null,
+        attributes: {},
+        setAttribute(key, value) { this.attributes[key] = value; },
+        setStatus(status) { this.status = status; },
+        recordException(error) { this.exception = error; },
+        end() { this.ended += 1; }
+      };
+      spans.push(span);
+      return span;
+    }
+  };
+}
+
+test('hooks run in registration order and unwind in reverse', async () => {
+  const calls = [];
+  const track = (name) => ({
+    name,
+    beforeRequest: () => { calls.push(`before:${name}`); },
+    afterResponse: () => { calls.push(`after:${name}`); }
+  });
+  const client = new Mailblock('mb_test', { transport: ok, middleware: [track('outer'), track('inner')] });
+
+  await client.cancelEmail('email-1');
+
+  assert.deepEqual(calls, ['before:outer', 'before:inner', 'after:inner', 'after:outer']);
+});
+
+test('a throwing beforeRequest ends the span opened by the tracer', async () => {
+  const tracer = createTracer();
+  const client = new Mailblock('mb_test', {
+    transport: ok,
+    tracer,
+    middleware: [{ beforeRequest: () => { throw new Error('boom'); } }]
+  });
+
+  const result = await client.cancelEmail('email-1');
+
+  assert.equal(result.success, false);
+  assert.equal(tracer.spans.length, 1);
+  assert.equal(tracer.spans[0].ended, 1);
+  assert.equal(tracer.spans[0].exception.message, 'boom');
+});
+
+test('a throwing afterResponse goes to the onError of the middleware outside it', async () => {
+  const tracer = createTracer();
+  const client = new Mailblock('mb_test', {
+    transport: ok,
+    tracer,
+    middleware: [{ afterResponse: () => { throw new Error('bad hook'); } }]
+  });
+
+  const result = await client.cancelEmail('email-1');
+
+  assert.equal(result.success, false);
+  assert.equal(tracer.spans[0].ended, 1);
+  assert.equal(tracer.spans[0].status.code, 2);
+});
+
+test('an onError that recovers continues outwards through afterResponse', async () => {
+  const calls = [];
+  const client = new Mailblock('mb_test', {
+    transport: ok,
+    middleware: [
+      { afterResponse: (ctx, response) => { calls.push(`outer:${response.status}`); } },
+      { onError: () => ({ status: 202, data: { success: true } }) },
+      { beforeRequest: () => { throw new Error('boom'); } }
+    ]
+  });
+
+  const result = await client.cancelEmail('email-1');
+
+  assert.equal(result.success, true);
+  assert.deepEqual(calls, ['outer:202']);
+});
+
+test('the tracing span is ended even if the tracer throws while annotating it', async () => {
+  const tracer = createTracer();
+  const startSpan = tracer.startSpan;
+  tracer.startSpan = (name) => Object.assign(startSpan(name), { setAttribute() { throw new Error('exporter down'); } });
+  const client = new Mailblock('mb_test', { transport: ok, tracer });
+
+  await client.cancelEmail('email-1');
+
+  assert.equal(tracer.spans[0].ended, 1);
+});
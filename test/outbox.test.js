@@ -0,0 +1,198 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, readdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import Mailblock, { FileOutboxStore } from '../index.js';
+
+const email = (subject) => ({ to: 'jane@example.com', from: 'team@example.com', subject, text: 'Hello' });
+
+// Answers every send like the API, unless the network is down or the subject is listed as failing
+function createApi() {
+  const api = { online: true, failing: new Set(), delivered: [] };
+  api.transport = async ({ body, headers }) => {
+    if (!api.online) {
+      throw Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:443'), { code: 'ECONNREFUSED' });
+    }
+    const payload = JSON.parse(body);
+    if (api.failing.has(payload.subject)) {
+      return { status: 503, headers: {}, data: { error: 'Service unavailable' } };
+    }
+    api.delivered.push({ subject: payload.subject, idempotencyKey: headers['Idempotency-Key'] });
+    return { status: 200, headers: {}, data: { id: `email_${api.delivered.length}`, status: 'sent' } };
+  };
+  return api;
+}
+
+// Waits for the background flushes started by queued sends
+async function drained(outbox) {
+  while (outbox.flushing) await outbox.flushing.catch(() => {});
+}
+
+test('a queued send fails with the original error and an outbox id', async () => {
+  const api = createApi();
+  api.online = false;
+  const client = new Mailblock('mb_test', { transport: api.transport, outbox: { flushInterval: 0 } });
+
+  const result = await client.sendEmail(email('Offline'));
+
+  assert.equal(result.success, false);
+  assert.equal(result.queued, true);
+  assert.equal(result.errorType, 'NETWORK_ERROR');
+  assert.match(result.error, /ECONNREFUSED/);
+  assert.equal(result.data.status, 'queued');
+  assert.equal((await client.outbox.pending())[0].id, result.data.outboxId);
+});
+
+test('throwOnError still throws for a queued send and exposes the response', async () => {
+  const api = createApi();
+  api.online = false;
+  const client = new Mailblock('mb_test', { transport: api.transport, outbox: { flushInterval: 0 }, throwOnError: true });
+
+  await assert.rejects(client.sendEmail(email('Offline')), (error) => {
+    assert.equal(error.errorType, 'NETWORK_ERROR');
+    assert.equal(error.response.queued, true);
+    return true;
+  });
+});
+
+test('a new send goes out after the emails already waiting in the outbox', async () => {
+  const api = createApi();
+  const client = new Mailblock('mb_test', { transport: api.transport, outbox: { flushInterval: 0 } });
+
+  api.online = false;
+  await client.sendEmail(email('First'));
+  await client.sendEmail(email('Second'));
+  api.online = true;
+  const result = await client.sendEmail(email('Third'));
+  await drained(client.outbox);
+
+  assert.equal(result.queued, true);
+  assert.deepEqual(api.delivered.map((delivery) => delivery.subject), ['First', 'Second', 'Third']);
+  assert.deepEqual(await client.outbox.pending(), []);
+});
+
+test('a new send is queued behind an email the outbox could not deliver yet', async () => {
+  const api = createApi();
+  const client = new Mailblock('mb_test', { transport: api.transport, outbox: { flushInterval: 0 } });
+
+  api.online = false;
+  await client.sendEmail(email('Stuck'));
+  api.online = true;
+  api.failing.add('Stuck');
+  const result = await client.sendEmail(email('Behind'));
+  await drained(client.outbox);
+
+  assert.equal(result.queued, true);
+  assert.equal(result.errorType, 'NETWORK_ERROR');
+  assert.match(result.error, /^Earlier emails are still waiting in the outbox: .*ECONNREFUSED/);
+  assert.deepEqual(api.delivered, []);
+  const pending = await client.outbox.pending();
+  assert.deepEqual(pending.map((entry) => entry.payload.subject), ['Stuck', 'Behind']);
+  assert.equal(pending[0].lastErrorType, 'SERVER_ERROR');
+
+  api.failing.clear();
+  const { sent, remaining } = await client.outbox.flush();
+  assert.equal(sent.length, 2);
+  assert.equal(remaining, 0);
+  assert.deepEqual(api.delivered.map((delivery) => delivery.subject), ['Stuck', 'Behind']);
+});
+
+test('concurrent sends behind a backlog return at once and are delivered one at a time, in order', async () => {
+  const api = createApi();
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const transport = async (request) => {
+    maxInFlight = Math.max(maxInFlight, ++inFlight);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    inFlight--;
+    return api.transport(request);
+  };
+  const client = new Mailblock('mb_test', { transport, outbox: { flushInterval: 0 } });
+
+  api.online = false;
+  await client.sendEmail(email('Waiting'));
+  api.online = true;
+  const subjects = ['A', 'B', 'C', 'D', 'E'];
+  const results = await Promise.all(subjects.map((subject) => client.sendEmail(email(subject))));
+
+  assert.ok(results.every((result) => result.queued));
+  // The backlog is delivered in the background, so none of the calls waited for it
+  assert.deepEqual(api.delivered, []);
+
+  await drained(client.outbox);
+  assert.deepEqual(api.delivered.map((delivery) => delivery.subject), ['Waiting', ...subjects]);
+  assert.equal(maxInFlight, 1);
+  assert.deepEqual(await client.outbox.pending(), []);
+});
+
+test('an email the API rejects does not hold up the rest of the outbox', async () => {
+  let rejectNext = false;
+  const api = createApi();
+  const transport = async (request) => {
+    if (rejectNext) {
+      rejectNext = false;
+      return { status: 422, headers: {}, data: { error: 'Invalid recipient' } };
+    }
+    return api.transport(request);
+  };
+  const client = new Mailblock('mb_test', { transport, outbox: { flushInterval: 0 } });
+
+  api.online = false;
+  await client.sendEmail(email('Rejected'));
+  await client.sendEmail(email('Fine'));
+  await drained(client.outbox);
+  api.online = true;
+  rejectNext = true;
+  const { sent, failed } = await client.outbox.flush();
+
+  assert.deepEqual(failed.map((entry) => entry.errorType), ['CLIENT_ERROR']);
+  assert.equal(sent.length, 1);
+  const [kept] = await client.outbox.pending();
+  assert.equal(kept.status, 'failed');
+  assert.equal((await client.sendEmail(email('Next'))).success, true);
+});
+
+test('queued emails survive a restart and keep their idempotency key', async (t) => {
+  const dir = await mkdtemp(join(tmpdir(), 'mailblock-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const path = join(dir, 'outbox.json');
+  const api = createApi();
+
+  api.online = false;
+  const before = new Mailblock('mb_test', { transport: api.transport, outbox: { path, flushInterval: 0 } });
+  const queued = await before.sendEmail(email('Persisted'));
+  await before.close();
+
+  api.online = true;
+  const after = new Mailblock('mb_test', { transport: api.transport, outbox: { path, flushInterval: 0 } });
+  const { sent } = await after.outbox.flush();
+
+  assert.equal(sent.length, 1);
+  assert.deepEqual(api.delivered, [{ subject: 'Persisted', idempotencyKey: queued.idempotencyKey }]);
+  assert.deepEqual(JSON.parse(await readFile(path, 'utf8')), []);
+});
+
+test('the file store serializes concurrent writes and leaves no temporary files', async (t) => {
+  const dir = await mkdtemp(join(tmpdir(), 'mailblock-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const path = join(dir, 'nested', 'outbox.json');
+  const store = new FileOutboxStore(path);
+
+  await Promise.all(Array.from({ length: 20 }, (_, i) => store.add({ id: `entry_${i}`, status: 'pending' })));
+  await store.remove('entry_0');
+
+  const reloaded = await new FileOutboxStore(path).list();
+  assert.deepEqual(reloaded.map((entry) => entry.id), Array.from({ length: 19 }, (_, i) => `entry_${i + 1}`));
+  assert.deepEqual(await readdir(join(dir, 'nested')), ['outbox.json']);
+});
+
+test('the file store refuses a file that is not a JSON array', async (t) => {
+  const dir = await mkdtemp(join(tmpdir(), 'mailblock-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const path = join(dir, 'outbox.json');
+  await new FileOutboxStore(path).add({ id: 'entry_1' });
+  await writeFile(path, '{"not":"a list"}');
+
+  await assert.rejects(new FileOutboxStore(path).list(), /must contain a JSON array/);
+});
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Mailblock, { RateLimiter } from '../index.js';
+import { parseRetryAfter, RateLimitQueueFullError } from '../lib/rate-limiter.js';
+
+test('Retry-After is read as seconds or as an HTTP date', () => {
+  const now = Date.UTC(2026, 0, 15, 12, 0, 0);
+
+  assert.equal(parseRetryAfter('2', now), 2000);
+  assert.equal(parseRetryAfter(0.5, now), 500);
+  assert.equal(parseRetryAfter('-3', now), 0);
+  assert.equal(parseRetryAfter('Thu, 15 Jan 2026 12:00:30 GMT', now), 30000);
+  assert.equal(parseRetryAfter('Thu, 15 Jan 2026 11:00:00 GMT', now), 0);
+  for (const value of [undefined, null, '', '  ', 'soon']) {
+    assert.equal(parseRetryAfter(value, now), null);
+  }
+});
+
+test('callers beyond the burst wait and are released in arrival order', async () => {
+  const limiter = new RateLimiter({ requestsPerSecond: 100, burst: 1 });
+  const released = [];
+
+  const waits = await Promise.all([0, 1, 2, 3].map((index) => limiter.acquire().then((waited) => {
+    released.push(index);
+    return waited;
+  })));
+
+  assert.deepEqual(released, [0, 1, 2, 3]);
+  assert.equal(waits[0], 0);
+  assert.ok(waits.slice(1).every((waited) => waited > 0));
+  const stats = limiter.stats();
+  assert.equal(stats.totalRequests, 4);
+  assert.equal(stats.delayedRequests, 3);
+  assert.equal(stats.queueDepth, 0);
+});
+
+test('a full queue rejects new callers straight away', async () => {
+  const limiter = new RateLimiter({ requestsPerSecond: 1, burst: 1, maxQueue: 1 });
+  const controller = new AbortController();
+
+  await limiter.acquire();
+  const queued = limiter.acquire(controller.signal);
+
+  await assert.rejects(limiter.acquire(), RateLimitQueueFullError);
+  controller.abort();
+  await assert.rejects(queued, { name: 'AbortError' });
+});
+
+test('an aborted waiter leaves the queue and the rest keep their order', async () => {
+  const limiter = new RateLimiter({ requestsPerSecond: 100, burst: 1 });
+  const controller = new AbortController();
+  const released = [];
+
+  await limiter.acquire();
+  const first = limiter.acquire().then(() => released.push('first'));
+  const aborted = limiter.acquire(controller.signal);
+  const last = limiter.acquire().then(() => released.push('last'));
+  controller.abort();
+
+  await assert.rejects(aborted, { name: 'AbortError' });
+  await Promise.all([first, last]);
+  assert.deepEqual(released, ['first', 'last']);
+});
+
+test('the drain timer is cleared once the last waiter aborts', async () => {
+  const limiter = new RateLimiter({ requestsPerSecond: 1, burst: 1 });
+  const controller = new AbortController();
+
+  await limiter.acquire();
+  limiter.update(429, { 'retry-after': '3600' });
+  const waiting = limiter.acquire(controller.signal);
+  assert.notEqual(limiter.timer, null);
+
+  controller.abort();
+
+  await assert.rejects(waiting, { name: 'AbortError' });
+  assert.equal(limiter.timer, null);
+  assert.equal(limiter.stats().queueDepth, 0);
+});
+
+test('X-RateLimit-Remaining caps the tokens and X-RateLimit-Reset pauses at zero', () => {
+  const limiter = new RateLimiter({ requestsPerSecond: 1, burst: 10 });
+
+  limiter.update(200, { 'x-ratelimit-remaining': '3' });
+  assert.equal(limiter.stats().availableTokens, 3);
+  assert.equal(limiter.stats().pausedUntil, null);
+
+  const before = Date.now();
+  limiter.update(200, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': '20' });
+  const { availableTokens, pausedUntil } = limiter.stats();
+  assert.equal(availableTokens, 0);
+  assert.ok(pausedUntil.getTime() >= before + 20000 && pausedUntil.getTime() <= Date.now() + 20000);
+
+  const epoch = Math.floor(Date.now() / 1000) + 3600;
+  limiter.update(200, { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(epoch) });
+  assert.equal(limiter.stats().pausedUntil.getTime(), epoch * 1000);
+});
+
+test('the rate limiter pauses for the Retry-After of a 429', () => {
+  const limiter = new RateLimiter({ requestsPerSecond: 5 });
+  const before = Date.now();
+
+  limiter.update(429, { 'retry-after': '30' });
+
+  const { pausedUntil, availableTokens } = limiter.stats();
+  assert.equal(availableTokens, 0);
+  assert.ok(pausedUntil.getTime() >= before + 30000);
+  assert.ok(pausedUntil.getTime() <= Date.now() + 30000);
+});
+
+test('the client syncs the limiter from response headers and reports a full queue', async () => {
+  const transport = async () => ({ status: 200, headers: { 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': '3600' }, data: { success: true } });
+  const client = new Mailblock('mb_test', { transport, rateLimit: { requestsPerSecond: 10, maxQueue: 0 } });
+
+  assert.equal((await client.cancelEmail('email_1')).success, true);
+  const result = await client.cancelEmail('email_2');
+
+  assert.equal(result.errorType, 'RATE_LIMIT_ERROR');
+  assert.match(result.error, /queue is full/);
+  assert.ok(client.getRateLimitStats().pausedUntil > new Date());
+});
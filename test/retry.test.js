@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Mailblock from '../index.js';
+
+// Answers with the listed statuses in turn and counts the calls
+function createTransport(...responses) {
+  const transport = async () => {
+    transport.calls++;
+    const { status, headers = {} } = responses.shift();
+    return { status, headers, data: status < 400 ? { success: true } : { error: `Status ${status}` } };
+  };
+  transport.calls = 0;
+  return transport;
+}
+
+test('retries are off unless asked for', async () => {
+  const transport = createTransport({ status: 503 }, { status: 200 });
+
+  const result = await new Mailblock('mb_test', { transport }).cancelEmail('email-1');
+
+  assert.equal(result.errorType, 'SERVER_ERROR');
+  assert.equal(result.attempts, 1);
+  assert.equal(transport.calls, 1);
+});
+
+test('once enabled, server errors are retried until one succeeds', async () => {
+  const transport = createTransport({ status: 503 }, { status: 500 }, { status: 200 });
+  const client = new Mailblock('mb_test', { transport, retry: { baseDelay: 1 } });
+
+  const result = await client.cancelEmail('email-1');
+
+  assert.equal(result.success, true);
+  assert.equal(result.attempts, 3);
+});
+
+test('client errors are never retried', async () => {
+  const transport = createTransport({ status: 400 }, { status: 200 });
+  const client = new Mailblock('mb_test', { transport, retry: true });
+
+  const result = await client.cancelEmail('email-1');
+
+  assert.equal(result.errorType, 'CLIENT_ERROR');
+  assert.equal(transport.calls, 1);
+});
+
+test('the last failure is returned once maxAttempts is used up', async () => {
+  const transport = createTransport({ status: 502 }, { status: 503 }, { status: 200 });
+  const client = new Mailblock('mb_test', { transport, retry: { maxAttempts: 2, baseDelay: 1 } });
+
+  const result = await client.cancelEmail('email-1');
+
+  assert.equal(result.statusCode, 503);
+  assert.equal(result.attempts, 2);
+});
+
+test('a 429 is retried after its Retry-After delay', async () => {
+  const transport = createTransport({ status: 429, headers: { 'retry-after': '0' } }, { status: 200 });
+  const client = new Mailblock('mb_test', { transport, retry: { baseDelay: 60000 } });
+  const started = Date.now();
+
+  const result = await client.cancelEmail('email-1');
+
+  assert.equal(result.success, true);
+  assert.equal(result.attempts, 2);
+  assert.ok(Date.now() - started < 5000, 'Retry-After should replace the backoff delay');
+});
+
+test('a Retry-After longer than maxDelay returns the 429 instead of waiting', async () => {
+  const transport = createTransport({ status: 429, headers: { 'retry-after': '120' } }, { status: 200 });
+  const client = new Mailblock('mb_test', { transport, retry: { maxDelay: 1000 } });
+
+  const result = await client.cancelEmail('email-1');
+
+  assert.equal(result.statusCode, 429);
+  assert.equal(result.attempts, 1);
+});
+
+test('sends without an idempotency key are not retried after a server error', async () => {
+  const transport = createTransport({ status: 503 }, { status: 200 });
+  const client = new Mailblock('mb_test', { transport, retry: { baseDelay: 1 } });
+
+  const result = await client.sendEmail({ to: 'jane@example.com', from: 'team@example.com', subject: 'Hi', text: 'Hello' });
+
+  assert.equal(result.errorType, 'SERVER_ERROR');
+  assert.equal(transport.calls, 1);
+});
+
+test('invalid retry options are rejected', () => {
+  assert.throws(() => new Mailblock('mb_test', { retry: 3 }), /retry must be a boolean or an options object/);
+  assert.throws(() => new Mailblock('mb_test', { retry: { maxAttempts: 0 } }), /retry.maxAttempts must be a positive integer/);
+  assert.throws(() => new Mailblock('mb_test', { retry: { jitter: 2 } }), /retry.jitter must be a number between 0 and 1/);
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Mailblock, { resolveSchedule } from '../index.js';
+
+// Friday 2027-03-12, 10:00 in New York; clocks go forward on Sunday the 14th
+const now = Date.UTC(2027, 2, 12, 15, 0, 0);
+const timezone = 'America/New_York';
+const weekdays = { days: 'weekdays', start: '09:00', end: '17:00', timezone };
+
+const resolve = (when, options = {}) => {
+  const result = resolveSchedule(when, { now, ...options });
+  return result.isValid ? result.date.toISOString() : result.error;
+};
+
+test('relative durations count from now', () => {
+  assert.equal(resolve('2h'), '2027-03-12T17:00:00.000Z');
+  assert.equal(resolve('1h30m'), '2027-03-12T16:30:00.000Z');
+});
+
+test('day offsets keep the wall-clock time across a DST change', () => {
+  assert.equal(resolve('3d', { timezone }), '2027-03-15T14:00:00.000Z');
+  assert.equal(resolve('1bd', { timezone }), '2027-03-15T14:00:00.000Z');
+  assert.equal(resolve('3bd', { timezone }), '2027-03-17T14:00:00.000Z');
+});
+
+test('a time of day is the next occurrence in the timezone', () => {
+  assert.equal(resolve('09:00', { timezone }), '2027-03-13T14:00:00.000Z');
+  assert.equal(resolve('11:00', { timezone }), '2027-03-12T16:00:00.000Z');
+});
+
+test('a local time skipped by the spring-forward gap moves past it', () => {
+  assert.equal(resolve('2027-03-14T02:30', { timezone }), '2027-03-14T07:30:00.000Z');
+});
+
+test('a local time repeated in the fall-back overlap uses the first occurrence', () => {
+  assert.equal(resolve('2027-11-07T01:30', { timezone }), '2027-11-07T05:30:00.000Z');
+});
+
+test('a send window moves a time into the next allowed slot', () => {
+  assert.equal(resolve('1h', { window: weekdays }), '2027-03-12T16:00:00.000Z');
+  // 18:00 on Friday is after hours, so it waits for Monday 09:00, which is already daylight time
+  assert.equal(resolve('8h', { window: weekdays }), '2027-03-15T13:00:00.000Z');
+});
+
+test('unknown timezones and unreadable values are rejected', () => {
+  assert.match(resolve('2h', { timezone: 'Mars/Olympus' }), /Unknown timezone 'Mars\/Olympus'/);
+  assert.equal(resolve('yesterday'), 'Invalid date format for scheduling');
+});
+
+// Records each payload and answers like the API
+function createClient() {
+  const payloads = [];
+  const transport = async ({ body }) => {
+    const payload = JSON.parse(body);
+    payloads.push(payload);
+    return { status: 200, headers: {}, data: { id: `email_${payloads.length}`, status: payload.scheduled_at ? 'scheduled' : 'sent' } };
+  };
+  return { client: new Mailblock('mb_test', { transport }), payloads };
+}
+
+const email = { to: 'jane@example.com', from: 'team@example.com', subject: 'Hello', text: 'Hi' };
+
+test('sendEmail resolves scheduledAt with a timezone before sending', async () => {
+  const { client, payloads } = createClient();
+
+  const result = await client.sendEmail({ ...email, scheduledAt: { at: '2099-03-16T09:00', timezone } });
+
+  assert.equal(result.success, true);
+  assert.equal(payloads[0].scheduled_at, '2099-03-16T13:00:00.000Z');
+});
+
+test('sendEmail rejects a scheduledAt that has already passed', async () => {
+  const { client, payloads } = createClient();
+
+  for (const scheduledAt of [new Date(Date.now() - 60000), '2020-01-01T09:00:00Z']) {
+    const result = await client.sendEmail({ ...email, scheduledAt });
+    assert.equal(result.errorType, 'VALIDATION_ERROR');
+    assert.equal(result.error, 'Scheduled date must be in the future');
+  }
+  assert.equal(payloads.length, 0);
+});
+
+test('a stagger starting now sends its first slot right away', async () => {
+  const { client, payloads } = createClient();
+
+  const result = await client.sendBatch(
+    ['a@example.com', 'b@example.com'],
+    email,
+    { stagger: { start: new Date(), window: 60 * 60 * 1000 } }
+  );
+
+  assert.equal(result.success, true);
+  const byRecipient = Object.fromEntries(payloads.map((payload) => [payload.to, payload.scheduled_at]));
+  assert.equal(byRecipient['a@example.com'], undefined);
+  assert.ok(Date.parse(byRecipient['b@example.com']) > Date.now());
+});
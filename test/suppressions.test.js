@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import Mailblock, { FileSuppressionStore, MemorySuppressionStore } from '../index.js';
+
+const email = { to: 'jane@example.com', cc: ['former@example.com', 'Jane@Example.com'], from: 'team@example.com', subject: 'Hello', text: 'Hi' };
+
+test('suppressed and duplicate recipients are dropped before sending', async () => {
+  const bodies = [];
+  const transport = async ({ body }) => {
+    bodies.push(JSON.parse(body));
+    return { status: 200, headers: {}, data: { id: 'email_1', status: 'sent' } };
+  };
+  const client = new Mailblock('mb_test', { transport, suppressions: new MemorySuppressionStore([{ email: 'Former@example.com', reason: 'unsubscribed' }]) });
+
+  const result = await client.sendEmail(email);
+
+  assert.equal(result.success, true);
+  assert.equal(bodies[0].cc, undefined);
+  assert.deepEqual(result.droppedRecipients, [
+    { email: 'former@example.com', field: 'cc', reason: 'suppressed', suppressionReason: 'unsubscribed' },
+    { email: 'Jane@example.com', field: 'cc', reason: 'duplicate', duplicateOf: 'to' }
+  ]);
+});
+
+test('a failed send still reports the recipients that were dropped', async () => {
+  const transport = async () => ({ status: 500, headers: {}, data: { error: 'Internal error' } });
+  const client = new Mailblock('mb_test', { transport, suppressions: new MemorySuppressionStore(['former@example.com']) });
+
+  const result = await client.sendEmail(email);
+
+  assert.equal(result.success, false);
+  assert.equal(result.errorType, 'SERVER_ERROR');
+  assert.deepEqual(result.droppedRecipients.map((dropped) => dropped.reason), ['suppressed', 'duplicate']);
+
+  const invalid = await client.sendEmail({ ...email, attachments: [{ filename: 'notes.txt' }] });
+  assert.equal(invalid.errorType, 'VALIDATION_ERROR');
+  assert.equal(invalid.droppedRecipients.length, 2);
+});
+
+test('the file store persists suppressions across instances', async (t) => {
+  const dir = await mkdtemp(join(tmpdir(), 'mailblock-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const path = join(dir, 'suppressions.json');
+
+  const store = new FileSuppressionStore(path);
+  await Promise.all([
+    store.add('Bounced <BOUNCED@example.com>', { reason: 'bounced' }),
+    store.add('gone@example.com', { reason: 'complained', note: 'via webhook' })
+  ]);
+  await store.remove('gone@example.com');
+
+  const reloaded = new FileSuppressionStore(path);
+  assert.equal((await reloaded.get('bounced@example.com')).reason, 'bounced');
+  assert.equal(await reloaded.get('gone@example.com'), null);
+  assert.deepEqual(await readdir(dir), ['suppressions.json']);
+});
+
+test('the file store refuses a file that is not a JSON array', async (t) => {
+  const dir = await mkdtemp(join(tmpdir(), 'mailblock-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const path = join(dir, 'suppressions.json');
+  await writeFile(path, '{}');
+
+  await assert.rejects(new FileSuppressionStore(path).list(), /Suppression file .* must contain a JSON array/);
+});
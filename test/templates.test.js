@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Mailblock, { TemplateEngine, TemplateError } from '../index.js';
+
+test('variables are HTML-escaped in html but not in text or subject', () => {
+  const engine = new TemplateEngine();
+  engine.registerTemplate('note', { subject: 'Re: {{topic}}', html: '<p>{{topic}}</p>', text: '{{topic}}' });
+
+  const rendered = engine.render('note', { topic: `<b>Tom & "Jerry"</b> 'n' co` });
+
+  assert.equal(rendered.html, '<p>&lt;b&gt;Tom &amp; &quot;Jerry&quot;&lt;/b&gt; &#39;n&#39; co</p>');
+  assert.equal(rendered.text, `<b>Tom & "Jerry"</b> 'n' co`);
+  assert.equal(rendered.subject, `Re: <b>Tom & "Jerry"</b> 'n' co`);
+});
+
+test('triple braces output a value unescaped', () => {
+  const engine = new TemplateEngine();
+  engine.registerTemplate('raw', { html: '<div>{{{banner}}}</div>' });
+
+  assert.equal(engine.render('raw', { banner: '<img src="a.png">' }).html, '<div><img src="a.png"></div>');
+});
+
+test('partials render with the caller variables', () => {
+  const engine = new TemplateEngine();
+  engine.registerPartial('signature', '<p>{{sender.name}} at {{company}}</p>');
+  engine.registerTemplate('welcome', { html: 'Hi {{name}}{{> signature}}' });
+
+  const { html } = engine.render('welcome', { name: 'Jane', company: 'A&B', sender: { name: 'Sam' } });
+
+  assert.equal(html, 'Hi Jane<p>Sam at A&amp;B</p>');
+});
+
+test('a layout wraps the already escaped body with {{{body}}}', () => {
+  const engine = new TemplateEngine();
+  engine.registerLayout('branded', { html: '<main>{{{body}}}</main><footer>{{company}}</footer>', text: '{{{body}}}\n-- {{company}}' });
+  engine.registerTemplate('alert', { layout: 'branded', html: '<b>{{message}}</b>', text: '{{message}}' });
+
+  const rendered = engine.render('alert', { message: '1 < 2', company: 'Acme' });
+
+  assert.equal(rendered.html, '<main><b>1 &lt; 2</b></main><footer>Acme</footer>');
+  assert.equal(rendered.text, '1 < 2\n-- Acme');
+});
+
+test('each and if blocks iterate and branch', () => {
+  const engine = new TemplateEngine();
+  engine.registerTemplate('order', {
+    text: '{{#each items}}{{@index}}:{{name}}{{#if @last}}.{{else}}, {{/if}}{{/each}}{{#unless items}}empty{{/unless}}'
+  });
+
+  assert.equal(engine.render('order', { items: [{ name: 'tea' }, { name: 'cake' }] }).text, '0:tea, 1:cake.');
+  assert.equal(engine.render('order', { items: [] }).text, 'empty');
+});
+
+test('a missing variable throws a TemplateError naming it', () => {
+  const engine = new TemplateEngine();
+  engine.registerTemplate('greeting', { subject: 'Hello {{user.firstName}}' });
+
+  assert.throws(() => engine.render('greeting', { user: {} }), (error) => {
+    assert.ok(error instanceof TemplateError);
+    assert.equal(error.message, "Missing template variable 'user.firstName' in template 'greeting' (subject)");
+    return true;
+  });
+});
+
+test('template syntax errors are reported when the template is registered', () => {
+  const engine = new TemplateEngine();
+
+  assert.throws(() => engine.registerTemplate('broken', { html: '{{#if ready}}open' }), /Unclosed '\{\{#if\}\}' block/);
+  assert.throws(() => engine.registerTemplate('broken', { html: '{{#with user}}{{/with}}' }), /Unknown block helper '#with'/);
+});
+
+test('sendEmail renders a registered template and reports render errors as validation errors', async () => {
+  const bodies = [];
+  const transport = async ({ body }) => {
+    bodies.push(JSON.parse(body));
+    return { status: 200, headers: {}, data: { id: 'email_1', status: 'sent' } };
+  };
+  const client = new Mailblock('mb_test', { transport });
+  client.registerTemplate('welcome', { subject: 'Welcome, {{name}}', html: '<h1>Hi {{name}}</h1>', text: 'Hi {{name}}' });
+
+  const sent = await client.sendEmail({ to: 'jane@example.com', from: 'team@example.com', template: 'welcome', variables: { name: '<Jane>' } });
+  const failed = await client.sendEmail({ to: 'jane@example.com', from: 'team@example.com', template: 'welcome', variables: {} });
+
+  assert.equal(sent.success, true);
+  assert.deepEqual(bodies[0], { to: 'jane@example.com', from: 'team@example.com', subject: 'Welcome, <Jane>', text: 'Hi <Jane>', html: '<h1>Hi &lt;Jane&gt;</h1>' });
+  assert.equal(failed.errorType, 'VALIDATION_ERROR');
+  assert.match(failed.error, /Missing template variable 'name'/);
+  assert.equal(bodies.length, 1);
+});
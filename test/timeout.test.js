@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Mailblock from '../index.js';
+
+// Never answers, like a hung connection; records the signal each request was given
+function createHangingTransport() {
+  const signals = [];
+  const transport = ({ signal }) => {
+    signals.push(signal);
+    return new Promise(() => {});
+  };
+  return { transport, signals };
+}
+
+test('a request that takes longer than the timeout fails with TIMEOUT_ERROR', async () => {
+  const { transport, signals } = createHangingTransport();
+  const client = new Mailblock('mb_test', { transport, timeout: 30 });
+
+  const result = await client.cancelEmail('email_1');
+
+  assert.equal(result.success, false);
+  assert.equal(result.errorType, 'TIMEOUT_ERROR');
+  assert.match(result.error, /Request timed out after 30ms/);
+  assert.equal(signals[0].aborted, true);
+  assert.equal(signals[0].reason.name, 'TimeoutError');
+});
+
+test('a per-call timeout overrides the client timeout', async () => {
+  const { transport } = createHangingTransport();
+  const client = new Mailblock('mb_test', { transport, timeout: 60000 });
+  const started = Date.now();
+
+  const result = await client.cancelEmail('email_1', { timeout: 20 });
+
+  assert.equal(result.errorType, 'TIMEOUT_ERROR');
+  assert.ok(Date.now() - started < 5000);
+});
+
+test('a timeout of 0 lets a slow request finish', async () => {
+  const transport = () => new Promise((resolve) => setTimeout(() => resolve({ status: 200, headers: {}, data: { success: true } }), 40));
+  const client = new Mailblock('mb_test', { transport, timeout: 10 });
+
+  const result = await client.cancelEmail('email_1', { timeout: 0 });
+
+  assert.equal(result.success, true);
+});
+
+test('an already aborted signal fails without calling the transport', async () => {
+  const { transport, signals } = createHangingTransport();
+  const client = new Mailblock('mb_test', { transport });
+
+  const result = await client.cancelEmail('email_1', { signal: AbortSignal.abort() });
+
+  assert.equal(result.errorType, 'ABORTED');
+  assert.equal(signals.length, 0);
+});
+
+test('aborting mid-flight cancels the request and aborts the transport signal', async () => {
+  const { transport, signals } = createHangingTransport();
+  const client = new Mailblock('mb_test', { transport });
+  const controller = new AbortController();
+
+  const pending = client.cancelEmail('email_1', { signal: controller.signal });
+  setTimeout(() => controller.abort(), 10);
+  const result = await pending;
+
+  assert.equal(result.errorType, 'ABORTED');
+  assert.equal(result.statusCode, null);
+  assert.equal(signals.length, 1);
+  assert.equal(signals[0].aborted, true);
+});
+
+test('aborting while waiting to retry stops the retries', async () => {
+  let calls = 0;
+  const transport = async () => {
+    calls++;
+    return { status: 503, headers: {}, data: { error: 'Unavailable' } };
+  };
+  const client = new Mailblock('mb_test', { transport, retry: { maxAttempts: 5, baseDelay: 60000, jitter: 0 } });
+  const controller = new AbortController();
+
+  const pending = client.cancelEmail('email_1', { signal: controller.signal });
+  setTimeout(() => controller.abort(), 10);
+  const result = await pending;
+
+  assert.equal(result.errorType, 'ABORTED');
+  assert.equal(calls, 1);
+});
+
+test('timeouts must be non-negative numbers', () => {
+  for (const timeout of [-1, '30s', Infinity]) {
+    assert.throws(() => new Mailblock('mb_test', { timeout }), /timeout must be a non-negative number of milliseconds/);
+  }
+});
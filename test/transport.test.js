@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Mailblock from '../index.js';
+
+const email = { to: 'jane@example.com', from: 'team@example.com', subject: 'Hello', text: 'Hi Jane' };
+
+// Records each request and answers with the given response
+function createTransport(response = { status: 200, headers: {}, data: { id: 'email_1', status: 'sent' } }) {
+  const requests = [];
+  const transport = async (request) => {
+    requests.push(request);
+    return response;
+  };
+  return { transport, requests };
+}
+
+test('requests go to the default API unless a baseUrl is given', async () => {
+  const { transport, requests } = createTransport();
+
+  await new Mailblock('mb_test', { transport }).cancelEmail('email_1');
+  await new Mailblock('mb_test', { transport, baseUrl: ' http://localhost:4000/api// ' }).cancelEmail('email_1');
+
+  assert.equal(requests[0].url, 'https://sdk-backend-production-20e1.up.railway.app/v1/cancel-email/email_1');
+  assert.equal(requests[1].url, 'http://localhost:4000/api/v1/cancel-email/email_1');
+});
+
+test('the transport gets the method, URL, auth headers and a JSON body', async () => {
+  const { transport, requests } = createTransport();
+  const client = new Mailblock('  mb_test  ', { transport, baseUrl: 'https://api.example.com' });
+
+  const result = await client.sendEmail(email);
+
+  const [request] = requests;
+  assert.equal(request.method, 'POST');
+  assert.equal(request.url, 'https://api.example.com/v1/send-email');
+  assert.equal(request.headers['Content-Type'], 'application/json');
+  assert.equal(request.headers.Authorization, 'Bearer mb_test');
+  assert.equal(request.headers['X-Request-ID'], result.requestId);
+  assert.deepEqual(JSON.parse(request.body), email);
+});
+
+test('the status and error from the transport decide the outcome', async () => {
+  const { transport } = createTransport({ status: 503, headers: {}, data: { error: 'Down for maintenance' } });
+  const client = new Mailblock('mb_test', { transport });
+
+  const result = await client.sendEmail(email);
+
+  assert.equal(result.success, false);
+  assert.equal(result.errorType, 'SERVER_ERROR');
+  assert.equal(result.statusCode, 503);
+  assert.equal(result.error, 'Down for maintenance');
+});
+
+test('a response without data is treated as an empty payload', async () => {
+  const { transport } = createTransport({ status: 500 });
+  const client = new Mailblock('mb_test', { transport });
+
+  const result = await client.cancelEmail('email_1');
+
+  assert.equal(result.statusCode, 500);
+  assert.equal(result.error, 'HTTP error! status: 500');
+});
+
+test('a custom fetch is called like the global fetch', async () => {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push({ url, init });
+    return new Response(JSON.stringify({ id: 'email_9', status: 'sent' }), { status: 200, headers: { 'content-type': 'application/json' } });
+  };
+  const client = new Mailblock('mb_test', { fetch, baseUrl: 'https://api.example.com' });
+
+  const result = await client.sendEmail(email);
+
+  assert.equal(result.success, true);
+  assert.equal(result.data.id, 'email_9');
+  assert.equal(calls[0].url, 'https://api.example.com/v1/send-email');
+  assert.equal(calls[0].init.method, 'POST');
+  assert.equal(calls[0].init.headers.Authorization, 'Bearer mb_test');
+});
+
+test('a transport that throws settles as a failed result', async () => {
+  const transport = async () => {
+    throw new Error('socket hang up');
+  };
+  const client = new Mailblock('mb_test', { transport });
+
+  const result = await client.cancelEmail('email_1');
+
+  assert.equal(result.success, false);
+  assert.equal(result.statusCode, null);
+  assert.match(result.error, /socket hang up/);
+});
+
+test('baseUrl, transport and fetch are validated', () => {
+  assert.throws(() => new Mailblock('mb_test', { baseUrl: '  ' }), /baseUrl must be a non-empty string/);
+  assert.throws(() => new Mailblock('mb_test', { transport: {} }), /transport must be a function/);
+  assert.throws(() => new Mailblock('mb_test', { fetch: 'fetch' }), /fetch must be a function/);
+});
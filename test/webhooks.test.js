@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'node:stream';
+import { webhooks, WebhookVerificationError } from '../index.js';
+
+const secret = 'whsec_test';
+const now = Date.UTC(2026, 0, 15, 12, 0, 0);
+const timestamp = Math.floor(now / 1000);
+const payload = JSON.stringify({ id: 'evt_1', type: 'email.bounced', created_at: '2026-01-15T12:00:00Z', data: { email_id: 'email_1' } });
+
+test('a signature made with the secret verifies', () => {
+  const header = webhooks.generateSignature(payload, secret, timestamp);
+
+  assert.deepEqual(webhooks.verifySignature(payload, header, secret, { now }), { isValid: true, timestamp });
+  assert.deepEqual(webhooks.verifySignature(Buffer.from(payload), header, secret, { now }), { isValid: true, timestamp });
+});
+
+test('a tampered payload, a wrong secret or a malformed header is rejected', () => {
+  const header = webhooks.generateSignature(payload, secret, timestamp);
+
+  assert.match(webhooks.verifySignature(payload.replace('bounced', 'opened'), header, secret, { now }).error, /does not match/);
+  assert.match(webhooks.verifySignature(payload, header, 'whsec_other', { now }).error, /does not match/);
+  assert.match(webhooks.verifySignature(payload, `t=${timestamp}`, secret, { now }).error, /Malformed/);
+  assert.match(webhooks.verifySignature(payload, undefined, secret, { now }).error, /Missing mailblock-signature/);
+});
+
+test('any of several secrets verifies during a rotation', () => {
+  const header = webhooks.generateSignature(payload, 'whsec_new', timestamp);
+
+  assert.equal(webhooks.verifySignature(payload, header, [secret, 'whsec_new'], { now }).isValid, true);
+});
+
+test('a signature outside the tolerance window is rejected as a replay', () => {
+  const header = webhooks.generateSignature(payload, secret, timestamp - 301);
+
+  assert.match(webhooks.verifySignature(payload, header, secret, { now }).error, /outside the 300s tolerance/);
+  assert.equal(webhooks.verifySignature(payload, header, secret, { now, tolerance: 600 }).isValid, true);
+  assert.equal(webhooks.verifySignature(payload, header, secret, { now, tolerance: Infinity }).isValid, true);
+});
+
+test('a tolerance of zero or less does not disable replay protection', () => {
+  const header = webhooks.generateSignature(payload, secret, timestamp - 3600);
+
+  for (const tolerance of [0, -1, NaN, '300']) {
+    assert.match(webhooks.verifySignature(payload, header, secret, { now, tolerance }).error, /tolerance must be a positive number/);
+    assert.throws(() => webhooks.createHandler({ secret, tolerance }), /tolerance must be a positive number/);
+  }
+});
+
+test('constructEvent throws a WebhookVerificationError for an invalid signature', () => {
+  assert.throws(() => webhooks.constructEvent(payload, 't=1,v1=' + '0'.repeat(64), secret), WebhookVerificationError);
+
+  const event = webhooks.constructEvent(payload, webhooks.generateSignature(payload, secret), secret);
+  assert.equal(event.type, 'email.bounced');
+  assert.equal(event.createdAt.toISOString(), '2026-01-15T12:00:00.000Z');
+});
+
+function request(body, headers = {}) {
+  const req = new PassThrough();
+  req.method = 'POST';
+  req.headers = headers;
+  req.end(body);
+  return req;
+}
+
+function deliver(handler, body, headers) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      headers: {},
+      headersSent: false,
+      setHeader(name, value) { this.headers[name] = value; },
+      end(body) {
+        this.headersSent = true;
+        resolve({ statusCode: this.statusCode, body: JSON.parse(body) });
+      }
+    };
+    handler(request(body, headers), res).catch(reject);
+  });
+}
+
+test('the handler dispatches verified events and answers 200', async () => {
+  const received = [];
+  const handler = webhooks.createHandler({ secret, on: { 'email.bounced': (event) => received.push(event.id) } });
+
+  const result = await deliver(handler, payload, { 'mailblock-signature': webhooks.generateSignature(payload, secret) });
+
+  assert.deepEqual(result, { statusCode: 200, body: { received: true } });
+  assert.deepEqual(received, ['evt_1']);
+});
+
+test('a throwing onError still lets the handler answer', async () => {
+  const handler = webhooks.createHandler({
+    secret,
+    onEvent: () => { throw new Error('handler failed'); },
+    onError: () => { throw new Error('logger failed'); }
+  });
+
+  const invalid = await deliver(handler, payload, { 'mailblock-signature': 't=1,v1=' + '0'.repeat(64) });
+  assert.equal(invalid.statusCode, 400);
+
+  const failed = await deliver(handler, payload, { 'mailblock-signature': webhooks.generateSignature(payload, secret) });
+  assert.equal(failed.statusCode, 500);
+});
+
+test('a rejecting async onError does not cause an unhandled rejection', async () => {
+  const unhandled = [];
+  const listener = (reason) => unhandled.push(reason);
+  process.on('unhandledRejection', listener);
+  try {
+    const handler = webhooks.createHandler({ secret, onError: async () => { throw new Error('logger failed'); } });
+    const result = await deliver(handler, payload, {});
+    await new Promise((resolve) => setImmediate(resolve));
+
+    assert.equal(result.statusCode, 400);
+    assert.deepEqual(unhandled, []);
+  } finally {
+    process.off('unhandledRejection', listener);
+  }
+});